@@ -8,6 +8,19 @@ import fs from 'fs';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 기존 테이블에 추가된 컬럼 목록 (createTables 이후 순서대로 적용)
+const COLUMN_MIGRATIONS = [
+    { table: 'market_orders', column: 'filled_quantity', definition: 'INTEGER DEFAULT 0' },
+    { table: 'trade_contracts', column: 'giver_type', definition: "TEXT DEFAULT 'merchant'" },
+    { table: 'merchant_stock', column: 'special_item_id', definition: 'TEXT' },
+    { table: 'merchant_stock', column: 'expires_at', definition: 'DATETIME' },
+    { table: 'inventory', column: 'crafted_by', definition: 'TEXT' },
+    { table: 'inventory', column: 'durability_checked_at', definition: 'DATETIME' },
+    { table: 'trades', column: 'market_price', definition: 'INTEGER' },
+    { table: 'players', column: 'location_lat', definition: 'REAL' },
+    { table: 'players', column: 'location_lng', definition: 'REAL' }
+];
+
 class DatabaseManager {
     constructor() {
         this.db = null;
@@ -57,7 +70,7 @@ class DatabaseManager {
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
             
-            // 플레이어 게임 데이터 테이블 (위치 정보 제거됨)
+            // 플레이어 게임 데이터 테이블 (위치는 마지막으로 보고한 좌표, 상인 거리 확인에 사용)
             `CREATE TABLE IF NOT EXISTS players (
                 id TEXT PRIMARY KEY,
                 user_id TEXT NOT NULL,
@@ -66,6 +79,8 @@ class DatabaseManager {
                 trust_points INTEGER DEFAULT 0,
                 current_license INTEGER DEFAULT 1,
                 max_inventory_size INTEGER DEFAULT 5,
+                location_lat REAL,
+                location_lng REAL,
                 last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
@@ -204,6 +219,8 @@ class DatabaseManager {
                 equipment_slot TEXT,
                 is_locked BOOLEAN DEFAULT FALSE,
                 is_favorite BOOLEAN DEFAULT FALSE,
+                crafted_by TEXT,
+                durability_checked_at DATETIME,
                 acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE,
@@ -296,6 +313,27 @@ class DatabaseManager {
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
             
+            // 상인 재고 테이블 (상인별 아이템 재고 + 보충 정보)
+            `CREATE TABLE IF NOT EXISTS merchant_stock (
+                id TEXT PRIMARY KEY,
+                merchant_id TEXT NOT NULL,
+                item_id TEXT NOT NULL,
+                item_name TEXT NOT NULL,
+                stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+                max_stock INTEGER,
+                price_override INTEGER,
+                restock_amount INTEGER,
+                restock_interval_minutes INTEGER,
+                special_item_id TEXT,
+                expires_at DATETIME,
+                last_restocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (merchant_id, item_id),
+                FOREIGN KEY (merchant_id) REFERENCES merchants (id) ON DELETE CASCADE,
+                FOREIGN KEY (item_id) REFERENCES item_master (id)
+            )`,
+            
             // 상인 대사 테이블
             `CREATE TABLE IF NOT EXISTS merchant_dialogues (
                 id TEXT PRIMARY KEY,
@@ -375,6 +413,7 @@ class DatabaseManager {
                 quantity INTEGER DEFAULT 1,
                 base_price INTEGER NOT NULL,
                 final_price INTEGER NOT NULL,
+                market_price INTEGER,
                 price_modifier REAL DEFAULT 1.0,
                 negotiation_discount REAL DEFAULT 0,
                 trade_type TEXT NOT NULL,
@@ -425,6 +464,46 @@ class DatabaseManager {
                 FOREIGN KEY (merchant_id) REFERENCES merchants (id)
             )`,
             
+            // 플레이어 간 직접 거래 제안 테이블
+            `CREATE TABLE IF NOT EXISTS p2p_trade_offers (
+                id TEXT PRIMARY KEY,
+                proposer_id TEXT NOT NULL,
+                recipient_id TEXT NOT NULL,
+                proposer_gold INTEGER DEFAULT 0,
+                recipient_gold INTEGER DEFAULT 0,
+                proposer_items TEXT DEFAULT '[]',
+                recipient_items TEXT DEFAULT '[]',
+                proposer_confirmed BOOLEAN DEFAULT FALSE,
+                recipient_confirmed BOOLEAN DEFAULT FALSE,
+                message TEXT,
+                status TEXT DEFAULT 'pending',
+                location_lat REAL,
+                location_lng REAL,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME,
+                FOREIGN KEY (proposer_id) REFERENCES players (id),
+                FOREIGN KEY (recipient_id) REFERENCES players (id)
+            )`,
+            
+            // 에스크로 보관 테이블 (거래 확정 전까지 골드/아이템 보관)
+            `CREATE TABLE IF NOT EXISTS escrow_holds (
+                id TEXT PRIMARY KEY,
+                reference_type TEXT NOT NULL,
+                reference_id TEXT NOT NULL,
+                player_id TEXT NOT NULL,
+                hold_type TEXT NOT NULL,
+                amount INTEGER DEFAULT 0,
+                inventory_id TEXT,
+                item_id TEXT,
+                quantity INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'held',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME,
+                FOREIGN KEY (player_id) REFERENCES players (id)
+            )`,
+            
             // 시장 동향 및 가격 변동 테이블
             `CREATE TABLE IF NOT EXISTS market_trends (
                 id TEXT PRIMARY KEY,
@@ -451,6 +530,7 @@ class DatabaseManager {
                 item_id TEXT NOT NULL,
                 order_type TEXT NOT NULL,
                 quantity INTEGER DEFAULT 1,
+                filled_quantity INTEGER DEFAULT 0,
                 price_per_unit INTEGER NOT NULL,
                 total_value INTEGER NOT NULL,
                 auction_start_price INTEGER,
@@ -491,6 +571,7 @@ class DatabaseManager {
                 id TEXT PRIMARY KEY,
                 contract_type TEXT NOT NULL,
                 giver_id TEXT NOT NULL,
+                giver_type TEXT DEFAULT 'merchant',
                 contractor_id TEXT,
                 title TEXT NOT NULL,
                 description TEXT NOT NULL,
@@ -553,6 +634,40 @@ class DatabaseManager {
                 UNIQUE(guild_id, player_id)
             )`,
             
+            // 길드 초대/가입 신청 테이블
+            `CREATE TABLE IF NOT EXISTS guild_invitations (
+                id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                player_id TEXT NOT NULL,
+                request_type TEXT NOT NULL CHECK (request_type IN ('invite', 'application')),
+                invited_by TEXT,
+                message TEXT,
+                status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME,
+                FOREIGN KEY (guild_id) REFERENCES trading_guilds (id),
+                FOREIGN KEY (player_id) REFERENCES players (id),
+                FOREIGN KEY (invited_by) REFERENCES players (id)
+            )`,
+            
+            // 길드 금고/창고 입출 기록 테이블
+            `CREATE TABLE IF NOT EXISTS guild_ledger (
+                id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                player_id TEXT,
+                entry_type TEXT NOT NULL CHECK (entry_type IN (
+                    'deposit', 'withdraw', 'perk_unlock', 'item_deposit', 'item_withdraw'
+                )),
+                amount INTEGER DEFAULT 0,
+                balance_after INTEGER,
+                item_id TEXT,
+                quantity INTEGER,
+                memo TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (guild_id) REFERENCES trading_guilds (id),
+                FOREIGN KEY (player_id) REFERENCES players (id)
+            )`,
+            
             // 거래 보험 시스템
             `CREATE TABLE IF NOT EXISTS trade_insurance (
                 id TEXT PRIMARY KEY,
@@ -587,6 +702,48 @@ class DatabaseManager {
                 processed_at DATETIME,
                 FOREIGN KEY (insurance_id) REFERENCES trade_insurance (id),
                 FOREIGN KEY (trade_id) REFERENCES trades (id)
+            )`,
+            
+            // 제작 기록 테이블 (업적/통계 집계용)
+            `CREATE TABLE IF NOT EXISTS crafting_history (
+                id TEXT PRIMARY KEY,
+                player_id TEXT NOT NULL,
+                item_id TEXT NOT NULL,
+                quantity INTEGER DEFAULT 1,
+                succeeded BOOLEAN NOT NULL,
+                success_rate REAL NOT NULL,
+                gold_spent INTEGER DEFAULT 0,
+                materials_used TEXT NOT NULL,
+                merchant_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (player_id) REFERENCES players (id),
+                FOREIGN KEY (item_id) REFERENCES item_master (id)
+            )`,
+            
+            // 소모품 버프 테이블 (같은 아이템을 다시 쓰면 효과/만료 시각 갱신)
+            `CREATE TABLE IF NOT EXISTS player_buffs (
+                id TEXT PRIMARY KEY,
+                player_id TEXT NOT NULL,
+                source_item_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                effects TEXT NOT NULL,
+                started_at DATETIME NOT NULL,
+                expires_at DATETIME NOT NULL,
+                UNIQUE (player_id, source_item_id),
+                FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE,
+                FOREIGN KEY (source_item_id) REFERENCES item_master (id)
+            )`,
+            
+            // 상인 서비스 이용 기록 (플레이어별 재사용 대기시간)
+            `CREATE TABLE IF NOT EXISTS player_service_usage (
+                id TEXT PRIMARY KEY,
+                player_id TEXT NOT NULL,
+                service_id TEXT NOT NULL,
+                use_count INTEGER DEFAULT 0,
+                last_used_at DATETIME NOT NULL,
+                UNIQUE (player_id, service_id),
+                FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE,
+                FOREIGN KEY (service_id) REFERENCES merchant_services (id) ON DELETE CASCADE
             )`
         ];
         
@@ -596,6 +753,9 @@ class DatabaseManager {
                 const tableName = sql.match(/CREATE TABLE IF NOT EXISTS (\w+)/)[1];
                 console.log(`✅ 테이블 생성: ${tableName}`);
             }
+            await this.addMissingColumns();
+            // 기존 DB 도 시작할 때마다 merchants.inventory 의 새 재고를 merchant_stock 으로 이전
+            await this.migrateMerchantStock();
             console.log('✅ 데이터베이스 테이블 생성 완료');
         } catch (error) {
             console.error('❌ 테이블 생성 실패:', error);
@@ -603,6 +763,17 @@ class DatabaseManager {
         }
     }
     
+    // ✅ 기존 DB에 새로 추가된 컬럼 반영 (CREATE TABLE IF NOT EXISTS 는 기존 테이블을 변경하지 않음)
+    async addMissingColumns() {
+        for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+            const columns = await this.db.all(`PRAGMA table_info(${table})`);
+            if (!columns.some(existing => existing.name === column)) {
+                await this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                console.log(`✅ 컬럼 추가: ${table}.${column}`);
+            }
+        }
+    }
+    
     // 초기 데이터 존재 여부 확인
     async checkInitialData() {
         try {
@@ -643,63 +814,80 @@ class DatabaseManager {
             // 2. 아이템 마스터 데이터 (현대 + 판타지)
             const items = [
                 // 현대 아이템
-                { id: 'it_common_1', name: 'IT부품 (커먼)', category: 'modern', subcategory: 'electronics', rarity: 'common', base_price: 5000, description: '기본적인 전자부품' },
-                { id: 'it_rare_1', name: 'IT부품 (중급)', category: 'modern', subcategory: 'electronics', rarity: 'uncommon', base_price: 15000, description: '향상된 전자부품' },
-                { id: 'it_epic_1', name: 'IT부품 (고급)', category: 'modern', subcategory: 'electronics', rarity: 'rare', base_price: 35000, description: '고급 전자부품' },
+                { id: 'it_common_1', name: 'IT부품 (커먼)', category: 'modern', subcategory: 'electronics', rarity: 'common', base_price: 5000, weight: 2.0, description: '기본적인 전자부품' },
+                { id: 'it_rare_1', name: 'IT부품 (중급)', category: 'modern', subcategory: 'electronics', rarity: 'uncommon', base_price: 15000, weight: 2.0, description: '향상된 전자부품' },
+                { id: 'it_epic_1', name: 'IT부품 (고급)', category: 'modern', subcategory: 'electronics', rarity: 'rare', base_price: 35000, weight: 2.5, description: '고급 전자부품',
+                  crafting_recipe: '{"materials": [{"item_id": "it_rare_1", "quantity": 2}], "gold": 3000, "required_level": 3, "required_license": 2, "required_merchant": "merchant_gangnam_1", "success_rate": 0.6}' },
                 
-                { id: 'luxury_common_1', name: '명품 (커먼)', category: 'modern', subcategory: 'luxury', rarity: 'common', base_price: 10000, description: '기본 명품 아이템' },
-                { id: 'luxury_rare_1', name: '명품 (중급)', category: 'modern', subcategory: 'luxury', rarity: 'uncommon', base_price: 25000, description: '고급 명품 아이템' },
+                { id: 'luxury_common_1', name: '명품 (커먼)', category: 'modern', subcategory: 'luxury', rarity: 'common', base_price: 10000, weight: 1.5, description: '기본 명품 아이템' },
+                { id: 'luxury_rare_1', name: '명품 (중급)', category: 'modern', subcategory: 'luxury', rarity: 'uncommon', base_price: 25000, weight: 1.5, description: '고급 명품 아이템' },
                 
-                { id: 'art_common_1', name: '예술품 (커먼)', category: 'modern', subcategory: 'art', rarity: 'common', base_price: 8000, description: '일반적인 예술 작품' },
-                { id: 'art_rare_1', name: '예술품 (중급)', category: 'modern', subcategory: 'art', rarity: 'uncommon', base_price: 20000, description: '가치 있는 예술 작품' },
+                { id: 'art_common_1', name: '예술품 (커먼)', category: 'modern', subcategory: 'art', rarity: 'common', base_price: 8000, weight: 4.0, description: '일반적인 예술 작품' },
+                { id: 'art_rare_1', name: '예술품 (중급)', category: 'modern', subcategory: 'art', rarity: 'uncommon', base_price: 20000, weight: 5.0, description: '가치 있는 예술 작품',
+                  crafting_recipe: '{"materials": [{"item_id": "art_common_1", "quantity": 2}, {"item_id": "cosmetic_common_1", "quantity": 1}], "gold": 1000, "required_level": 2, "station": "artisan", "success_rate": 0.7}' },
                 
-                { id: 'cosmetic_common_1', name: '화장품 (커먼)', category: 'modern', subcategory: 'cosmetics', rarity: 'common', base_price: 3000, description: '일반 화장품' },
-                { id: 'cosmetic_rare_1', name: '화장품 (중급)', category: 'modern', subcategory: 'cosmetics', rarity: 'uncommon', base_price: 8000, description: '프리미엄 화장품' },
+                { id: 'cosmetic_common_1', name: '화장품 (커먼)', category: 'modern', subcategory: 'cosmetics', rarity: 'common', base_price: 3000, weight: 0.5, description: '일반 화장품' },
+                { id: 'cosmetic_rare_1', name: '화장품 (중급)', category: 'modern', subcategory: 'cosmetics', rarity: 'uncommon', base_price: 8000, weight: 0.5, description: '프리미엄 화장품' },
                 
-                { id: 'book_common_1', name: '서적 (커먼)', category: 'modern', subcategory: 'books', rarity: 'common', base_price: 2000, description: '일반 도서' },
-                { id: 'daily_common_1', name: '생활용품 (커먼)', category: 'modern', subcategory: 'daily', rarity: 'common', base_price: 1500, description: '일상 생활용품' },
+                { id: 'book_common_1', name: '서적 (커먼)', category: 'modern', subcategory: 'books', rarity: 'common', base_price: 2000, weight: 1.0, description: '일반 도서' },
+                { id: 'daily_common_1', name: '생활용품 (커먼)', category: 'modern', subcategory: 'daily', rarity: 'common', base_price: 1500, weight: 1.5, description: '일상 생활용품' },
                 
                 // 판타지 아이템
-                { id: 'mana_crystal_1', name: '마나 크리스탈', category: 'artifact', subcategory: 'crystal', rarity: 'uncommon', base_price: 12000, description: '마법력이 깃든 신비로운 크리스탈', magical_properties: '{"mana_boost": 10}' },
-                { id: 'phoenix_feather_1', name: '불사조 깃털', category: 'material', subcategory: 'rare_material', rarity: 'rare', base_price: 30000, description: '전설의 불사조에서 떨어진 깃털', special_effects: '{"fire_resistance": 0.2}' },
-                { id: 'ancient_coin_1', name: '고대 주화', category: 'artifact', subcategory: 'currency', rarity: 'epic', base_price: 50000, description: '고대 문명의 신비로운 화폐', lore_text: '잃어버린 왕국의 마지막 유산' },
-                { id: 'dragon_scale_1', name: '용비늘', category: 'material', subcategory: 'rare_material', rarity: 'legendary', base_price: 100000, description: '고대 용의 비늘, 강력한 마법적 힘을 담고 있다' },
+                { id: 'mana_crystal_1', name: '마나 크리스탈', category: 'artifact', subcategory: 'crystal', rarity: 'uncommon', base_price: 12000, weight: 0.5, is_stackable: true, max_stack: 10, description: '마법력이 깃든 신비로운 크리스탈', magical_properties: '{"mana_boost": 10}',
+                  crafting_recipe: '{"materials": [{"item_id": "topaz_gem_1", "quantity": 1}, {"item_id": "health_potion_1", "quantity": 2}], "gold": 2000, "required_level": 2, "station": "mystic", "success_rate": 0.75}' },
+                { id: 'phoenix_feather_1', name: '불사조 깃털', category: 'material', subcategory: 'rare_material', rarity: 'rare', base_price: 30000, weight: 0.1, is_stackable: true, max_stack: 10, description: '전설의 불사조에서 떨어진 깃털', special_effects: '{"fire_resistance": 0.2}' },
+                { id: 'ancient_coin_1', name: '고대 주화', category: 'artifact', subcategory: 'currency', rarity: 'epic', base_price: 50000, weight: 0.1, is_stackable: true, max_stack: 10, description: '고대 문명의 신비로운 화폐', lore_text: '잃어버린 왕국의 마지막 유산' },
+                // 보석 (소켓에 장착하면 magical_properties 효과 적용)
+                { id: 'ruby_gem_1', name: '루비', category: 'artifact', subcategory: 'gem', rarity: 'rare', base_price: 20000, weight: 0.1, is_stackable: true, max_stack: 10, description: '매력을 끌어올리는 붉은 보석', magical_properties: '{"charisma": 2}' },
+                { id: 'topaz_gem_1', name: '토파즈', category: 'artifact', subcategory: 'gem', rarity: 'uncommon', base_price: 12000, weight: 0.1, is_stackable: true, max_stack: 10, description: '행운을 부르는 황금빛 보석', magical_properties: '{"luck": 3}' },
+                { id: 'emerald_gem_1', name: '에메랄드', category: 'artifact', subcategory: 'gem', rarity: 'epic', base_price: 45000, weight: 0.1, is_stackable: true, max_stack: 10, description: '상인들이 탐내는 행운의 녹색 보석', magical_properties: '{"price_discount": 0.03}' },
+                { id: 'dragon_scale_1', name: '용비늘', category: 'material', subcategory: 'rare_material', rarity: 'legendary', base_price: 100000, weight: 3.0, is_stackable: true, max_stack: 5, description: '고대 용의 비늘, 강력한 마법적 힘을 담고 있다' },
                 
                 // 소비 아이템
-                { id: 'health_potion_1', name: '치유 물약', category: 'potion', subcategory: 'healing', rarity: 'common', base_price: 500, is_consumable: true, description: '체력을 회복시키는 물약' },
-                { id: 'luck_potion_1', name: '행운 물약', category: 'potion', subcategory: 'buff', rarity: 'uncommon', base_price: 2000, is_consumable: true, description: '일정 시간 행운을 증가시키는 물약' },
-                { id: 'wisdom_scroll_1', name: '지혜의 두루마리', category: 'consumable', subcategory: 'scroll', rarity: 'rare', base_price: 8000, is_consumable: true, description: '일시적으로 지능을 향상시키는 고대 두루마리' }
+                { id: 'health_potion_1', name: '치유 물약', category: 'potion', subcategory: 'healing', rarity: 'common', base_price: 500, weight: 0.3, is_consumable: true, is_stackable: true, max_stack: 20, description: '체력을 회복시키는 물약',
+                  special_effects: '{"buff": {"name": "활력", "effects": {"strength": 2}, "duration_minutes": 15}}' },
+                { id: 'luck_potion_1', name: '행운 물약', category: 'potion', subcategory: 'buff', rarity: 'uncommon', base_price: 2000, weight: 0.3, is_consumable: true, is_stackable: true, max_stack: 20, description: '일정 시간 행운을 증가시키는 물약',
+                  special_effects: '{"buff": {"name": "행운 상승", "effects": {"luck": 5}, "duration_minutes": 30}}',
+                  crafting_recipe: '{"materials": [{"item_id": "health_potion_1", "quantity": 3}], "gold": 500, "success_rate": 0.9, "output_quantity": 1}' },
+                { id: 'wisdom_scroll_1', name: '지혜의 두루마리', category: 'consumable', subcategory: 'scroll', rarity: 'rare', base_price: 8000, weight: 0.2, is_consumable: true, is_stackable: true, max_stack: 10, description: '일시적으로 지능을 향상시키는 고대 두루마리',
+                  special_effects: '{"buff": {"name": "지혜 각성", "effects": {"intelligence": 5, "appraisal_skill": 1}, "duration_minutes": 60}}' }
             ];
             
             for (const item of items) {
                 const existing = await this.db.get('SELECT * FROM item_master WHERE id = ?', [item.id]);
                 if (!existing) {
                     await this.db.run(`
-                        INSERT INTO item_master (id, name, category, subcategory, rarity, base_price, description, lore_text, magical_properties, special_effects, is_consumable)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        INSERT INTO item_master (id, name, category, subcategory, rarity, base_price, weight, description, lore_text, magical_properties, special_effects, crafting_recipe, is_consumable, is_stackable, max_stack)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                     `, [
                         item.id, item.name, item.category, item.subcategory || null, item.rarity, 
-                        item.base_price, item.description || null, item.lore_text || null, 
-                        item.magical_properties || null, item.special_effects || null, item.is_consumable || false
+                        item.base_price, item.weight || 1.0, item.description || null, item.lore_text || null, 
+                        item.magical_properties || null, item.special_effects || null, item.crafting_recipe || null, item.is_consumable || false,
+                        item.is_stackable || false, item.max_stack || 1
                     ]);
                 }
             }
             
             // 3. 마법 속성 데이터
             const magicProperties = [
-                { id: 'fire_enchant_1', name: '불의 축복', type: 'elemental', effect_formula: '{"damage_bonus": 0.15, "element": "fire"}', rarity: 'uncommon', description: '화염 속성 부여' },
+                // applicable_items: 적용 가능한 아이템 ID/카테고리/하위 카테고리 (null 이면 전체)
+                { id: 'fire_enchant_1', name: '불의 축복', type: 'elemental', effect_formula: '{"damage_bonus": 0.15, "element": "fire"}', rarity: 'uncommon', applicable_items: '["artifact", "material"]', description: '화염 속성 부여' },
                 { id: 'luck_boost_1', name: '행운 증진', type: 'stat_boost', effect_formula: '{"luck": 5}', rarity: 'common', description: '행운 스탯 증가' },
-                { id: 'merchant_favor_1', name: '상인의 은총', type: 'special_ability', effect_formula: '{"price_discount": 0.1}', rarity: 'rare', description: '모든 거래에서 10% 할인' },
-                { id: 'crystal_resonance_1', name: '크리스탈 공명', type: 'special_ability', effect_formula: '{"mana_regen": 2}', rarity: 'epic', description: '마나 자동 회복' }
+                { id: 'merchant_favor_1', name: '상인의 은총', type: 'special_ability', effect_formula: '{"price_discount": 0.1}', rarity: 'rare', applicable_items: '["luxury", "art", "artifact"]', conflict_properties: '["silver_tongue_1"]', description: '모든 거래에서 10% 할인' },
+                { id: 'silver_tongue_1', name: '은빛 혀', type: 'special_ability', effect_formula: '{"sell_bonus": 0.05}', rarity: 'rare', applicable_items: '["luxury", "art", "electronics"]', conflict_properties: '["merchant_favor_1"]', description: '판매 가격 5% 증가' },
+                { id: 'crystal_resonance_1', name: '크리스탈 공명', type: 'special_ability', effect_formula: '{"mana_regen": 2}', rarity: 'epic', applicable_items: '["artifact", "crystal"]', description: '마나 자동 회복' }
             ];
             
             for (const prop of magicProperties) {
                 const existing = await this.db.get('SELECT * FROM magic_properties WHERE id = ?', [prop.id]);
                 if (!existing) {
                     await this.db.run(`
-                        INSERT INTO magic_properties (id, name, type, effect_formula, rarity, description)
-                        VALUES (?, ?, ?, ?, ?, ?)
-                    `, [prop.id, prop.name, prop.type, prop.effect_formula, prop.rarity, prop.description]);
+                        INSERT INTO magic_properties (id, name, type, effect_formula, rarity, applicable_items, conflict_properties, description)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        prop.id, prop.name, prop.type, prop.effect_formula, prop.rarity,
+                        prop.applicable_items || null, prop.conflict_properties || null, prop.description
+                    ]);
                 }
             }
             
@@ -710,7 +898,8 @@ class DatabaseManager {
                 { id: 'collector_1', name: '수집가', description: '10개의 서로 다른 아이템을 수집하세요', category: 'collection', condition_type: 'unique_items', condition_value: 10, reward_type: 'cosmetic', reward_value: '{"cosmetic_id": 101}' },
                 { id: 'explorer_1', name: '서울 탐험가', description: '5개 구역에서 거래하세요', category: 'exploration', condition_type: 'districts_visited', condition_value: 5, reward_type: 'title', reward_value: '{"title": "탐험가"}' },
                 { id: 'friend_maker', name: '친구 만들기', description: '상인과 친구가 되세요', category: 'social', condition_type: 'merchant_friendship', condition_value: 1, reward_type: 'exp', reward_value: '{"experience": 100}' },
-                { id: 'negotiator', name: '협상의 달인', description: '10번의 성공적인 협상을 하세요', category: 'trading', condition_type: 'successful_negotiations', condition_value: 10, reward_type: 'skill', reward_value: '{"negotiation_skill": 1}' }
+                { id: 'negotiator', name: '협상의 달인', description: '10번의 성공적인 협상을 하세요', category: 'trading', condition_type: 'successful_negotiations', condition_value: 10, reward_type: 'skill', reward_value: '{"negotiation_skill": 1}' },
+                { id: 'crafter_1', name: '견습 장인', description: '아이템 5개를 제작하세요', category: 'crafting', condition_type: 'items_crafted', condition_value: 5, reward_type: 'skill', reward_value: '{"appraisal_skill": 1}' }
             ];
             
             for (const achievement of achievements) {
@@ -744,9 +933,9 @@ class DatabaseManager {
                     reputation_requirement: 0,
                     friendship_level: 0,
                     inventory: JSON.stringify([
-                        { item_id: 'it_common_1', name: 'IT부품 (커먼)', price: 5000, stock: 10 },
-                        { item_id: 'it_rare_1', name: 'IT부품 (중급)', price: 15000, stock: 5 },
-                        { item_id: 'mana_crystal_1', name: '마나 크리스탈', price: 12000, stock: 3 }
+                        { item_id: 'it_common_1', name: 'IT부품 (커먼)', price: 5000, stock: 10, max_stock: 10 },
+                        { item_id: 'it_rare_1', name: 'IT부품 (중급)', price: 15000, stock: 5, max_stock: 5 },
+                        { item_id: 'mana_crystal_1', name: '마나 크리스탈', price: 12000, stock: 3, max_stock: 3 }
                     ]),
                     special_abilities: '["appraisal", "tech_enhancement"]',
                     quest_giver: true
@@ -769,9 +958,9 @@ class DatabaseManager {
                     reputation_requirement: 0,
                     friendship_level: 0,
                     inventory: JSON.stringify([
-                        { item_id: 'art_common_1', name: '예술품 (커먼)', price: 8000, stock: 8 },
-                        { item_id: 'art_rare_1', name: '예술품 (중급)', price: 20000, stock: 4 },
-                        { item_id: 'phoenix_feather_1', name: '불사조 깃털', price: 30000, stock: 1 }
+                        { item_id: 'art_common_1', name: '예술품 (커먼)', price: 8000, stock: 8, max_stock: 8 },
+                        { item_id: 'art_rare_1', name: '예술품 (중급)', price: 20000, stock: 4, max_stock: 4 },
+                        { item_id: 'phoenix_feather_1', name: '불사조 깃털', price: 30000, stock: 1, max_stock: 1 }
                     ]),
                     special_abilities: '["artistic_enhancement", "inspiration_reading"]',
                     quest_giver: true
@@ -794,9 +983,9 @@ class DatabaseManager {
                     reputation_requirement: 0,
                     friendship_level: 0,
                     inventory: JSON.stringify([
-                        { item_id: 'cosmetic_common_1', name: '화장품 (커먼)', price: 3000, stock: 15 },
-                        { item_id: 'cosmetic_rare_1', name: '화장품 (중급)', price: 8000, stock: 7 },
-                        { item_id: 'health_potion_1', name: '치유 물약', price: 500, stock: 20 }
+                        { item_id: 'cosmetic_common_1', name: '화장품 (커먼)', price: 3000, stock: 15, max_stock: 15 },
+                        { item_id: 'cosmetic_rare_1', name: '화장품 (중급)', price: 8000, stock: 7, max_stock: 7 },
+                        { item_id: 'health_potion_1', name: '치유 물약', price: 500, stock: 20, max_stock: 20 }
                     ]),
                     special_abilities: '["beauty_enhancement", "potion_brewing"]',
                     quest_giver: false
@@ -820,9 +1009,11 @@ class DatabaseManager {
                     reputation_requirement: 100,
                     friendship_level: 0,
                     inventory: JSON.stringify([
-                        { item_id: 'ancient_coin_1', name: '고대 주화', price: 50000, stock: 2 },
-                        { item_id: 'wisdom_scroll_1', name: '지혜의 두루마리', price: 8000, stock: 5 },
-                        { item_id: 'luck_potion_1', name: '행운 물약', price: 2000, stock: 10 }
+                        { item_id: 'ancient_coin_1', name: '고대 주화', price: 50000, stock: 2, max_stock: 2 },
+                        { item_id: 'wisdom_scroll_1', name: '지혜의 두루마리', price: 8000, stock: 5, max_stock: 5 },
+                        { item_id: 'luck_potion_1', name: '행운 물약', price: 2000, stock: 10, max_stock: 10 },
+                        { item_id: 'ruby_gem_1', name: '루비', price: 20000, stock: 3, max_stock: 3 },
+                        { item_id: 'topaz_gem_1', name: '토파즈', price: 12000, stock: 5, max_stock: 5 }
                     ]),
                     special_abilities: '["ancient_appraisal", "mystical_enhancement", "fortune_telling"]',
                     quest_giver: true
@@ -845,8 +1036,9 @@ class DatabaseManager {
                     reputation_requirement: 500,
                     friendship_level: 0,
                     inventory: JSON.stringify([
-                        { item_id: 'dragon_scale_1', name: '용비늘', price: 100000, stock: 1 },
-                        { item_id: 'ancient_coin_1', name: '고대 주화', price: 55000, stock: 3 }
+                        { item_id: 'dragon_scale_1', name: '용비늘', price: 100000, stock: 1, max_stock: 1 },
+                        { item_id: 'ancient_coin_1', name: '고대 주화', price: 55000, stock: 3, max_stock: 3 },
+                        { item_id: 'emerald_gem_1', name: '에메랄드', price: 45000, stock: 1, max_stock: 1 }
                     ]),
                     special_abilities: '["legendary_appraisal", "treasure_location", "dragon_blessing"]',
                     quest_giver: true,
@@ -875,6 +1067,9 @@ class DatabaseManager {
                 }
             }
             
+            // 5-1. 상인 재고 이전 (merchants.inventory JSON → merchant_stock)
+            await this.migrateMerchantStock();
+            
             // 6. 상인 대사 데이터
             const dialogues = [
                 // 김테크 (강남 IT상인)
@@ -938,6 +1133,166 @@ class DatabaseManager {
                 }
             }
             
+            // 8. 아이템 강화 레시피 (result_stats 의 value_bonus/stats 는 1단계당 증가량)
+            const enhancements = [
+                {
+                    id: 'enhance_it_rare_1', base_item_id: 'it_rare_1', required_npc: 'merchant_gangnam_1',
+                    required_materials: '[{"item_id": "mana_crystal_1", "quantity": 1}]', required_gold: 3000, success_rate: 0.8,
+                    failure_penalty: '{"type": "durability", "amount": 20}',
+                    result_stats: '{"max_level": 5, "value_bonus": 0.1, "stats": {"intelligence": 1}}'
+                },
+                {
+                    id: 'enhance_art_rare_1', base_item_id: 'art_rare_1', required_npc: 'merchant_hongdae_1',
+                    required_materials: '[{"item_id": "phoenix_feather_1", "quantity": 1}]', required_gold: 5000, success_rate: 0.7,
+                    failure_penalty: '{"type": "downgrade", "levels": 1}',
+                    result_stats: '{"max_level": 5, "value_bonus": 0.15, "stats": {"charisma": 1}}'
+                },
+                {
+                    id: 'enhance_ancient_coin_1', base_item_id: 'ancient_coin_1', required_npc: 'merchant_mystic_1',
+                    required_materials: '[{"item_id": "mana_crystal_1", "quantity": 2}]', required_gold: 10000, success_rate: 0.6,
+                    failure_penalty: '{"type": "destroy"}',
+                    result_stats: '{"max_level": 3, "value_bonus": 0.3, "stats": {"luck": 2}}'
+                }
+            ];
+            
+            for (const enhancement of enhancements) {
+                const existing = await this.db.get('SELECT * FROM item_enhancement WHERE id = ?', [enhancement.id]);
+                if (!existing) {
+                    await this.db.run(`
+                        INSERT INTO item_enhancement (id, base_item_id, enhancement_type, required_materials, required_gold, success_rate, failure_penalty, result_stats, required_npc)
+                        VALUES (?, ?, 'enhance', ?, ?, ?, ?, ?, ?)
+                    `, [
+                        enhancement.id, enhancement.base_item_id, enhancement.required_materials, enhancement.required_gold,
+                        enhancement.success_rate, enhancement.failure_penalty, enhancement.result_stats, enhancement.required_npc
+                    ]);
+                }
+            }
+            
+            // 9. 아이템 세트 (set_bonuses: 소지한 구성품 수 → 효과, 달성한 단계는 모두 누적)
+            const itemSets = [
+                {
+                    id: 'set_tech_startup', name: '테크 스타트업', theme: 'modern', rarity: 'uncommon',
+                    description: '강남 스타트업 창업자들이 모으는 IT 부품 세트',
+                    required_items: '["it_common_1", "it_rare_1", "it_epic_1"]',
+                    set_bonuses: '{"2": {"intelligence": 2}, "3": {"trading_skill": 1, "sell_bonus": 0.03}}'
+                },
+                {
+                    id: 'set_gallery', name: '홍대 갤러리', theme: 'art', rarity: 'rare',
+                    description: '신진 작가의 작품과 명품으로 꾸민 갤러리 컬렉션',
+                    required_items: '["art_common_1", "art_rare_1", "luxury_rare_1"]',
+                    set_bonuses: '{"2": {"charisma": 2}, "3": {"price_discount": 0.03}}'
+                },
+                {
+                    id: 'set_alchemist', name: '연금술사의 비밀', theme: 'fantasy', rarity: 'legendary',
+                    description: '전설의 연금술사가 남긴 네 가지 재료',
+                    lore_text: '모든 재료를 모은 자만이 황금의 비밀을 알게 된다',
+                    required_items: '["mana_crystal_1", "phoenix_feather_1", "ancient_coin_1", "dragon_scale_1"]',
+                    set_bonuses: '{"2": {"luck": 2}, "4": {"luck": 5, "price_discount": 0.05}}'
+                }
+            ];
+            
+            for (const itemSet of itemSets) {
+                const existing = await this.db.get('SELECT * FROM item_sets WHERE id = ?', [itemSet.id]);
+                if (!existing) {
+                    await this.db.run(`
+                        INSERT INTO item_sets (id, name, description, lore_text, required_items, set_bonuses, rarity, theme)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        itemSet.id, itemSet.name, itemSet.description, itemSet.lore_text || null,
+                        itemSet.required_items, itemSet.set_bonuses, itemSet.rarity, itemSet.theme
+                    ]);
+                }
+            }
+            
+            // 10. 한정/이벤트 아이템 (spawn_condition 이 맞는 상인 재고에 일정 시간 출현)
+            const specialItems = [
+                {
+                    id: 'special_moonlight_feather', base_item_id: 'phoenix_feather_1', special_type: 'limited_edition',
+                    spawn_condition: '{"time_window": {"start_hour": 22, "end_hour": 3}, "merchant_types": ["mystic", "artisan"], "chance": 0.5, "duration_minutes": 90, "stock": 1, "min_level": 5}',
+                    rarity_modifier: 1.5, special_properties: '{"display_name": "달빛 불사조 깃털", "edition": "midnight"}'
+                },
+                {
+                    id: 'special_storm_scale', base_item_id: 'dragon_scale_1', special_type: 'weather_event',
+                    spawn_condition: '{"weather": ["rain", "snow"], "districts": ["용산구", "종로구"], "chance": 0.3, "duration_minutes": 60, "stock": 1, "min_reputation": 200}',
+                    rarity_modifier: 2.0, special_properties: '{"display_name": "폭풍우 용비늘", "edition": "storm"}'
+                },
+                {
+                    id: 'special_gangnam_luxury', base_item_id: 'luxury_rare_1', special_type: 'seasonal',
+                    spawn_condition: '{"time_window": {"start_hour": 12, "end_hour": 18}, "districts": ["강남구"], "chance": 0.4, "duration_minutes": 120, "stock": 3}',
+                    rarity_modifier: 1.3, special_properties: '{"display_name": "강남 한정판 명품", "edition": "gangnam"}'
+                }
+            ];
+            
+            for (const special of specialItems) {
+                const existing = await this.db.get('SELECT * FROM special_items WHERE id = ?', [special.id]);
+                if (!existing) {
+                    await this.db.run(`
+                        INSERT INTO special_items (id, base_item_id, special_type, spawn_condition, rarity_modifier, special_properties)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `, [
+                        special.id, special.base_item_id, special.special_type, special.spawn_condition,
+                        special.rarity_modifier, special.special_properties
+                    ]);
+                }
+            }
+            
+            // 11. 상인 서비스 (cost_formula 가 없으면 유형별 기본 비용, 수리는 base_cost + 잃은 내구도에 비례한 비용)
+            // cost_formula 변수: base_cost, level, license, friendship, reputation, luck, uses,
+            //                   item_base_price, item_value, enhancement_level, missing_durability, recipe_gold
+            const merchantServices = [
+                {
+                    id: 'service_gangnam_repair', merchant_id: 'merchant_gangnam_1', service_type: 'repair',
+                    service_name: '전자기기 수리', description: '낡은 장비를 새것처럼 고쳐드립니다', base_cost: 1000
+                },
+                {
+                    id: 'service_hongdae_repair', merchant_id: 'merchant_hongdae_1', service_type: 'repair',
+                    service_name: '공방 수선', description: '작품과 소품을 정성껏 손질합니다', base_cost: 500
+                },
+                {
+                    id: 'service_gangnam_appraisal', merchant_id: 'merchant_gangnam_1', service_type: 'appraisal',
+                    service_name: '시세 감정', description: '지금 강남 시세로 물건 값을 어림해 드립니다', base_cost: 1000,
+                    cost_formula: 'max(base_cost, item_value * 0.01)'
+                },
+                {
+                    id: 'service_mystic_appraisal', merchant_id: 'merchant_mystic_1', service_type: 'appraisal',
+                    service_name: '고대 감정', description: '물건에 깃든 이야기와 숨은 힘까지 읽어냅니다', base_cost: 2000,
+                    cost_formula: 'base_cost + item_value * 0.02', required_friendship: 50
+                },
+                {
+                    id: 'service_mystic_enhancement', merchant_id: 'merchant_mystic_1', service_type: 'enhancement',
+                    service_name: '신비 강화', description: '비전의 손길로 강화 성공률을 높여드립니다', base_cost: 5000,
+                    cost_formula: 'base_cost + recipe_gold * 0.8', required_friendship: 100, success_rate: 1.1, cooldown_hours: 1
+                },
+                {
+                    id: 'service_mystic_fortune', merchant_id: 'merchant_mystic_1', service_type: 'fortune_telling',
+                    service_name: '오늘의 운세', description: '별과 카드로 오늘의 거래운을 점쳐드립니다', base_cost: 3000,
+                    cost_formula: 'base_cost + level * 200', cooldown_hours: 24
+                },
+                {
+                    id: 'service_dragon_fortune', merchant_id: 'merchant_dragon_1', service_type: 'fortune_telling',
+                    service_name: '용의 계시', description: '용의 눈으로 숨겨진 보물의 위치를 봅니다', base_cost: 20000,
+                    cost_formula: 'base_cost * (1 - min(friendship, 500) / 1000)',
+                    required_friendship: 200, required_reputation: 300, cooldown_hours: 72
+                }
+            ];
+            
+            for (const service of merchantServices) {
+                const existing = await this.db.get('SELECT * FROM merchant_services WHERE id = ?', [service.id]);
+                if (!existing) {
+                    await this.db.run(`
+                        INSERT INTO merchant_services (
+                            id, merchant_id, service_type, service_name, description, base_cost, cost_formula,
+                            required_friendship, required_reputation, success_rate, cooldown_hours
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        service.id, service.merchant_id, service.service_type, service.service_name,
+                        service.description, service.base_cost, service.cost_formula || null,
+                        service.required_friendship || 0, service.required_reputation || 0,
+                        service.success_rate || 1.0, service.cooldown_hours || 0
+                    ]);
+                }
+            }
+            
             console.log('✅ 초기 데이터 생성 완료');
             
         } catch (error) {
@@ -948,6 +1303,49 @@ class DatabaseManager {
     
     // ===== 기존 메서드들 (수정됨) =====
     
+    // ✅ merchants.inventory JSON 재고를 merchant_stock 행으로 이전 (이미 있는 행은 유지)
+    async migrateMerchantStock() {
+        const merchants = await this.db.all('SELECT id, inventory FROM merchants WHERE inventory IS NOT NULL');
+        
+        for (const merchant of merchants) {
+            let inventory;
+            try {
+                inventory = JSON.parse(merchant.inventory);
+            } catch (error) {
+                console.error(`상인 재고 JSON 파싱 실패 (${merchant.id}):`, error.message);
+                continue;
+            }
+            
+            for (const item of inventory) {
+                await this.db.run(`
+                    INSERT OR IGNORE INTO merchant_stock (
+                        id, merchant_id, item_id, item_name, stock, max_stock, price_override,
+                        restock_amount, restock_interval_minutes
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    `${merchant.id}_${item.item_id}`, merchant.id, item.item_id, item.name,
+                    Math.max(0, item.stock || 0), item.max_stock ?? null, item.price ?? null,
+                    item.restock_amount ?? null, item.restock_interval_minutes ?? null
+                ]);
+            }
+        }
+        
+        console.log('✅ 상인 재고 이전 완료');
+    }
+
+    // ✅ 공유 연결 쿼리 (서비스와 라우트는 DatabaseManager 를 연결처럼 받아 그대로 쿼리한다)
+    async run(sql, params = []) {
+        return await this.db.run(sql, params);
+    }
+
+    async get(sql, params = []) {
+        return await this.db.get(sql, params);
+    }
+
+    async all(sql, params = []) {
+        return await this.db.all(sql, params);
+    }
+
     async createUser(userData) {
         const sql = `INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)`;
         await this.db.run(sql, [userData.id, userData.email, userData.passwordHash]);
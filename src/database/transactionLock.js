@@ -0,0 +1,16 @@
+// 📁 src/database/transactionLock.js - 연결 단위 트랜잭션 직렬화
+// 하나의 SQLite 연결을 공유하므로 동시에 BEGIN 하면 서로의 트랜잭션이 섞인다
+
+const locks = new WeakMap();
+
+// ✅ 이전 트랜잭션이 끝날 때까지 대기 후 해제 함수 반환
+export async function acquireTransactionLock(db) {
+    const previous = locks.get(db) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    locks.set(db, previous.then(() => current));
+
+    await previous;
+    return release;
+}
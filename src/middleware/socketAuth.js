@@ -34,4 +34,23 @@ export const authenticateSocket = (socket, next) => {
             next(new Error('Authentication failed'));
         }
     }
-};
\ No newline at end of file
+};
+
+// 선택적 소켓 인증 (토큰이 유효하면 사용자 정보 저장, 없거나 잘못돼도 연결 허용)
+export const identifySocket = (socket, next) => {
+    const token = socket.handshake.headers.authorization?.split(' ')[1] ||
+                 socket.handshake.auth?.token ||
+                 socket.handshake.query?.token;
+
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+            socket.userId = decoded.userId;
+            socket.user = decoded;
+        } catch (error) {
+            console.log(`⚠️ Socket 토큰 무시: ${error.message} (${socket.id})`);
+        }
+    }
+
+    next();
+};
@@ -0,0 +1,183 @@
+// src/routes/auctions.js - 경매장 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createAuctionRoutes(auctionService) {
+
+    // 진행 중인 경매 목록
+    router.get('/', async (req, res) => {
+        try {
+            const { district, itemId, limit = 50 } = req.query;
+
+            const auctions = await auctionService.listAuctions({
+                district: district || null,
+                itemId: itemId || null,
+                limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100)
+            });
+
+            res.json({
+                success: true,
+                data: auctions
+            });
+        } catch (error) {
+            console.error('경매 목록 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 목록 조회 실패'
+            });
+        }
+    });
+
+    // 경매 상세 (최근 입찰 포함)
+    router.get('/:auctionId', async (req, res) => {
+        try {
+            const auction = await auctionService.getAuctionDetail(req.params.auctionId);
+
+            if (!auction) {
+                return res.status(404).json({
+                    success: false,
+                    error: '경매를 찾을 수 없습니다.'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: auction
+            });
+        } catch (error) {
+            console.error('경매 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 조회 실패'
+            });
+        }
+    });
+
+    // 경매 등록
+    router.post('/', authenticateToken, async (req, res) => {
+        try {
+            const { inventoryId, quantity = 1, startPrice, buyoutPrice = null, durationHours = 24, district } = req.body;
+
+            if (!inventoryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '경매할 인벤토리 아이템 ID가 필요합니다.'
+                });
+            }
+
+            if (district !== undefined && (typeof district !== 'string' || district.length === 0 || district.length > 20)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 구역(district)이 필요합니다.'
+                });
+            }
+
+            const result = await auctionService.createAuction(req.user.userId, {
+                inventoryId, quantity, startPrice, buyoutPrice, durationHours, district
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '경매가 등록되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('경매 등록 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 등록 실패'
+            });
+        }
+    });
+
+    // 입찰 (maxBid 까지 자동 입찰)
+    router.post('/:auctionId/bid', authenticateToken, async (req, res) => {
+        try {
+            const { maxBid } = req.body;
+
+            const result = await auctionService.placeBid(req.user.userId, req.params.auctionId, maxBid);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.isLeading ? '최고 입찰자가 되었습니다.' : '다른 입찰자의 자동 입찰에 밀렸습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('입찰 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '입찰 실패'
+            });
+        }
+    });
+
+    // 즉시 구매
+    router.post('/:auctionId/buyout', authenticateToken, async (req, res) => {
+        try {
+            const result = await auctionService.buyout(req.user.userId, req.params.auctionId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '즉시 구매가 완료되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('즉시 구매 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '즉시 구매 실패'
+            });
+        }
+    });
+
+    // 경매 취소 (입찰 전만)
+    router.post('/:auctionId/cancel', authenticateToken, async (req, res) => {
+        try {
+            const result = await auctionService.cancelAuction(req.user.userId, req.params.auctionId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '경매가 취소되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('경매 취소 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 취소 실패'
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,217 @@
+// src/routes/contracts.js - 배달 의뢰 게시판 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createContractRoutes(contractService) {
+
+    // 의뢰 게시판 (수락 가능한 의뢰)
+    router.get('/', async (req, res) => {
+        try {
+            const { limit = 50 } = req.query;
+
+            const contracts = await contractService.getBoard({
+                limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100)
+            });
+
+            res.json({
+                success: true,
+                data: contracts
+            });
+        } catch (error) {
+            console.error('의뢰 게시판 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '의뢰 게시판 조회 실패'
+            });
+        }
+    });
+
+    // 내 의뢰 (게시/수행)
+    router.get('/mine', authenticateToken, async (req, res) => {
+        try {
+            const result = await contractService.getMyContracts(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('내 의뢰 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '내 의뢰 조회 실패'
+            });
+        }
+    });
+
+    // 의뢰 상세
+    router.get('/:contractId', async (req, res) => {
+        try {
+            const contract = await contractService.getContract(req.params.contractId);
+
+            if (!contract) {
+                return res.status(404).json({
+                    success: false,
+                    error: '의뢰를 찾을 수 없습니다.'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: contract
+            });
+        } catch (error) {
+            console.error('의뢰 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '의뢰 조회 실패'
+            });
+        }
+    });
+
+    // 의뢰 게시
+    router.post('/', authenticateToken, async (req, res) => {
+        try {
+            const {
+                title, description, requiredItems, rewardGold = 0, rewardItems = [], timeLimitHours = 24,
+                requiredLevel = 1, requiredLicense = 1, requiredReputation = 0, deliveryLocation = null
+            } = req.body;
+
+            if (typeof title !== 'string' || title.trim().length === 0 || title.length > 50) {
+                return res.status(400).json({
+                    success: false,
+                    error: '제목은 1-50자여야 합니다.'
+                });
+            }
+
+            if (typeof description !== 'string' || description.length > 500) {
+                return res.status(400).json({
+                    success: false,
+                    error: '설명은 500자 이내여야 합니다.'
+                });
+            }
+
+            if (![requiredLevel, requiredLicense, requiredReputation].every(value => Number.isInteger(value) && value >= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '수락 조건이 올바르지 않습니다.'
+                });
+            }
+
+            const result = await contractService.postContract(req.user.userId, {
+                title: title.trim(), description, requiredItems, rewardGold, rewardItems, timeLimitHours,
+                requiredLevel, requiredLicense, requiredReputation, deliveryLocation
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '의뢰가 게시되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('의뢰 게시 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '의뢰 게시 실패'
+            });
+        }
+    });
+
+    // 의뢰 수락
+    router.post('/:contractId/accept', authenticateToken, async (req, res) => {
+        try {
+            const result = await contractService.acceptContract(req.user.userId, req.params.contractId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '의뢰를 수락했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('의뢰 수락 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '의뢰 수락 실패'
+            });
+        }
+    });
+
+    // 아이템 배달 (items: [{ inventoryId, quantity }])
+    router.post('/:contractId/deliver', authenticateToken, async (req, res) => {
+        try {
+            const { items } = req.body;
+
+            const result = await contractService.deliverItems(req.user.userId, req.params.contractId, items);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.completed ? '의뢰를 완료했습니다.' : '아이템을 배달했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('의뢰 배달 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '의뢰 배달 실패'
+            });
+        }
+    });
+
+    // 의뢰 취소 (수락 전만)
+    router.post('/:contractId/cancel', authenticateToken, async (req, res) => {
+        try {
+            const result = await contractService.cancelContract(req.user.userId, req.params.contractId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '의뢰가 취소되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('의뢰 취소 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '의뢰 취소 실패'
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,65 @@
+// src/routes/crafting.js - 아이템 제작 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createCraftingRoutes(craftingService) {
+
+    // 제작 레시피 목록 (조건/재료/확률)
+    router.get('/', authenticateToken, async (req, res) => {
+        try {
+            const result = await craftingService.getRecipes(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('제작 레시피 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '제작 레시피 조회 실패'
+            });
+        }
+    });
+
+    // 제작 시도 (상인/작업장이 필요한 레시피는 merchantId 지정)
+    router.post('/:itemId', authenticateToken, async (req, res) => {
+        try {
+            const { merchantId } = req.body;
+
+            const result = await craftingService.craftItem(req.user.userId, req.params.itemId, merchantId || null);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.succeeded
+                        ? `${result.data.craftedItem.name}을(를) 제작했습니다!`
+                        : '제작에 실패했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('아이템 제작 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '아이템 제작 실패'
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,98 @@
+// src/routes/enchantments.js - 인챈트/보석 소켓 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createEnchantmentRoutes(itemEffectService) {
+
+    // 인챈트 목록 (효과, 비용, 적용 가능 아이템, 충돌 속성)
+    router.get('/', async (req, res) => {
+        try {
+            const properties = await itemEffectService.getMagicProperties();
+
+            res.json({
+                success: true,
+                data: properties
+            });
+        } catch (error) {
+            console.error('인챈트 목록 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '인챈트 목록 조회 실패'
+            });
+        }
+    });
+
+    // 인챈트 부여
+    router.post('/:inventoryId', authenticateToken, async (req, res) => {
+        try {
+            const { propertyId } = req.body;
+
+            if (!propertyId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '부여할 인챈트를 선택해야 합니다.'
+                });
+            }
+
+            const result = await itemEffectService.applyEnchantment(req.user.userId, req.params.inventoryId, propertyId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '인챈트가 부여되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('인챈트 부여 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '인챈트 부여 실패'
+            });
+        }
+    });
+
+    // 보석 소켓 장착
+    router.post('/:inventoryId/sockets', authenticateToken, async (req, res) => {
+        try {
+            const { gemInventoryId } = req.body;
+
+            if (!gemInventoryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '장착할 보석을 선택해야 합니다.'
+                });
+            }
+
+            const result = await itemEffectService.socketGem(req.user.userId, req.params.inventoryId, gemInventoryId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '보석을 장착했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('보석 장착 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '보석 장착 실패'
+            });
+        }
+    });
+
+    return router;
+}
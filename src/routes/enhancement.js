@@ -0,0 +1,70 @@
+// src/routes/enhancement.js - 아이템 강화 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createEnhancementRoutes(enhancementService) {
+
+    // 강화 정보 (다음 단계 비용/확률/재료)
+    router.get('/:inventoryId', authenticateToken, async (req, res) => {
+        try {
+            const result = await enhancementService.getEnhancementInfo(req.user.userId, req.params.inventoryId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('강화 정보 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '강화 정보 조회 실패'
+            });
+        }
+    });
+
+    // 강화 시도
+    router.post('/:inventoryId', authenticateToken, async (req, res) => {
+        try {
+            const { merchantId } = req.body;
+
+            if (!merchantId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '강화할 상인을 지정해야 합니다.'
+                });
+            }
+
+            const result = await enhancementService.enhanceItem(req.user.userId, req.params.inventoryId, merchantId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.succeeded ? '강화에 성공했습니다!' : '강화에 실패했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('아이템 강화 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '아이템 강화 실패'
+            });
+        }
+    });
+
+    return router;
+}
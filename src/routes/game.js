@@ -1,11 +1,44 @@
 // src/routes/game.js - 수정된 버전
 import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken } from '../middleware/auth.js';
+import { acquireTransactionLock } from '../database/transactionLock.js';
 
 const router = express.Router();
 
 export default function createGameRoutes(gameService, db) {
     
+    // 공유 연결에 쓰는 작업은 트랜잭션 잠금 안에서 (다른 요청의 트랜잭션에 섞여 함께 롤백되지 않게)
+    const withTransactionLock = async (work) => {
+        const releaseTransaction = await acquireTransactionLock(db);
+        try {
+            return await work();
+        } finally {
+            releaseTransaction();
+        }
+    };
+    
+    // 플레이어-상인 관계도 조회 (없으면 생성, 잠금 안에서 호출)
+    const getOrCreateRelationship = async (playerId, merchantId) => {
+        const relationship = await db.get(`
+            SELECT * FROM player_merchant_relations 
+            WHERE player_id = ? AND merchant_id = ?
+        `, [playerId, merchantId]);
+        if (relationship) return relationship;
+        
+        await db.run(`
+            INSERT INTO player_merchant_relations (
+                id, player_id, merchant_id, friendship_points, reputation,
+                total_trades, total_spent, relationship_status
+            ) VALUES (?, ?, ?, 0, 0, 0, 0, 'stranger')
+        `, [uuidv4(), playerId, merchantId]);
+        
+        return await db.get(`
+            SELECT * FROM player_merchant_relations 
+            WHERE player_id = ? AND merchant_id = ?
+        `, [playerId, merchantId]);
+    };
+    
     // 플레이어 데이터 조회 (iOS 클라이언트와 일치)
     router.get('/player/data', authenticateToken, async (req, res) => {
         try {
@@ -67,7 +100,7 @@ export default function createGameRoutes(gameService, db) {
     // 시장 가격 조회
     router.get('/market/prices', async (req, res) => {
         try {
-            const prices = await gameService.getCurrentMarketPrices();
+            const prices = await gameService.getCurrentPrices();
             res.json({
                 success: true,
                 data: prices
@@ -81,6 +114,51 @@ export default function createGameRoutes(gameService, db) {
         }
     });
     
+    // 가격 이력 (OHLCV 캔들 / 스파크라인)
+    router.get('/market/history/:itemId', async (req, res) => {
+        try {
+            const { district, interval = '1h', limit = 24, format = 'candles' } = req.query;
+
+            if (!['1h', '1d', '1w'].includes(interval)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '캔들 간격은 1h, 1d, 1w 중 하나여야 합니다.'
+                });
+            }
+
+            const parsedLimit = parseInt(limit);
+            if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 캔들 개수가 필요합니다.'
+                });
+            }
+
+            const options = { district: district || null, interval, limit: parsedLimit };
+            const history = format === 'sparkline'
+                ? await gameService.marketService.getPriceSparkline(req.params.itemId, options)
+                : await gameService.marketService.getPriceHistory(req.params.itemId, options);
+
+            if (!history) {
+                return res.status(404).json({
+                    success: false,
+                    error: '아이템을 찾을 수 없습니다.'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: history
+            });
+        } catch (error) {
+            console.error('가격 이력 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '가격 이력 조회 실패'
+            });
+        }
+    });
+    
     // 주변 상인 조회
     router.get('/merchants', async (req, res) => {
         try {
@@ -110,10 +188,50 @@ export default function createGameRoutes(gameService, db) {
         }
     });
     
+    // 가격 견적 발급 (구매/판매 시 quoteToken으로 전달)
+    router.post('/trade/quote', authenticateToken, async (req, res) => {
+        try {
+            const { side = 'buy', merchantId, itemName, itemId, quantity = 1 } = req.body;
+            
+            if (!merchantId || (side === 'buy' && !itemName) || (side === 'sell' && !itemId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '상인 ID와 아이템 정보가 필요합니다.'
+                });
+            }
+            
+            const result = await gameService.getPriceQuote(req.user.userId, {
+                side,
+                merchantId,
+                itemName,
+                inventoryId: itemId,
+                quantity
+            });
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('가격 견적 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '가격 견적 발급 실패'
+            });
+        }
+    });
+    
     // 아이템 구매
     router.post('/trade/buy', authenticateToken, async (req, res) => {
         try {
-            const { merchantId, itemName, quantity = 1 } = req.body;
+            const { merchantId, itemName, quantity = 1, quoteToken } = req.body;
             
             if (!merchantId || !itemName) {
                 return res.status(400).json({
@@ -129,7 +247,7 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            const result = await gameService.buyItem(req.user.userId, merchantId, itemName, quantity);
+            const result = await gameService.buyItem(req.user.userId, merchantId, itemName, quantity, { quoteToken });
             
             if (result.success) {
                 res.json({
@@ -155,7 +273,7 @@ export default function createGameRoutes(gameService, db) {
     // 아이템 판매
     router.post('/trade/sell', authenticateToken, async (req, res) => {
         try {
-            const { itemId, merchantId, quantity = 1 } = req.body;
+            const { itemId, merchantId, quantity = 1, quoteToken } = req.body;
             
             if (!itemId || !merchantId) {
                 return res.status(400).json({
@@ -164,7 +282,7 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            const result = await gameService.sellItem(req.user.userId, itemId, merchantId, quantity);
+            const result = await gameService.sellItem(req.user.userId, itemId, merchantId, quantity, { quoteToken });
             
             if (result.success) {
                 res.json({
@@ -263,52 +381,37 @@ export default function createGameRoutes(gameService, db) {
             
             if (!characterStats) {
                 // 캐릭터 스탯이 없으면 기본값으로 생성
-                await db.run(`
-                    INSERT INTO character_stats (player_id) VALUES (?)
-                `, [player.id]);
-                
-                const newStats = await db.get(`
-                    SELECT * FROM character_stats WHERE player_id = ?
-                `, [player.id]);
-                
-                return res.json({
-                    success: true,
-                    data: {
-                        playerId: player.id,
-                        level: newStats.level,
-                        experience: newStats.experience,
-                        statPoints: newStats.stat_points,
-                        skillPoints: newStats.skill_points,
-                        stats: {
-                            strength: newStats.strength,
-                            intelligence: newStats.intelligence,
-                            charisma: newStats.charisma,
-                            luck: newStats.luck,
-                            tradingSkill: newStats.trading_skill,
-                            negotiationSkill: newStats.negotiation_skill,
-                            appraisalSkill: newStats.appraisal_skill
-                        }
-                    }
-                });
+                await withTransactionLock(() => db.run(`
+                    INSERT OR IGNORE INTO character_stats (player_id) VALUES (?)
+                `, [player.id]));
             }
             
+            // ✅ 기본 / 장비·아이템·버프 보너스 / 합계 (합계가 가격·흥정·소지 무게 계산에 쓰임)
+            const breakdown = await gameService.getStatBreakdown(player.id);
+            const formatStats = (values) => ({
+                strength: values.strength,
+                intelligence: values.intelligence,
+                charisma: values.charisma,
+                luck: values.luck,
+                tradingSkill: values.trading_skill,
+                negotiationSkill: values.negotiation_skill,
+                appraisalSkill: values.appraisal_skill
+            });
+            
             res.json({
                 success: true,
                 data: {
                     playerId: player.id,
-                    level: characterStats.level,
-                    experience: characterStats.experience,
-                    statPoints: characterStats.stat_points,
-                    skillPoints: characterStats.skill_points,
-                    stats: {
-                        strength: characterStats.strength,
-                        intelligence: characterStats.intelligence,
-                        charisma: characterStats.charisma,
-                        luck: characterStats.luck,
-                        tradingSkill: characterStats.trading_skill,
-                        negotiationSkill: characterStats.negotiation_skill,
-                        appraisalSkill: characterStats.appraisal_skill
-                    }
+                    level: breakdown.row.level,
+                    experience: breakdown.row.experience,
+                    statPoints: breakdown.row.stat_points,
+                    skillPoints: breakdown.row.skill_points,
+                    stats: formatStats(breakdown.total),
+                    baseStats: formatStats(breakdown.base),
+                    bonusStats: formatStats(breakdown.bonus),
+                    itemSets: (await gameService.itemEffectService.getSetProgress(player.id))
+                        .filter(set => set.ownedCount > 0),
+                    activeBuffs: await gameService.buffService.getActiveBuffs(player.id)
                 }
             });
             
@@ -323,6 +426,8 @@ export default function createGameRoutes(gameService, db) {
     
     // 스탯 포인트 할당
     router.put('/character/stats', authenticateToken, async (req, res) => {
+        let releaseTransaction = null;
+        
         try {
             const { stats } = req.body;
             
@@ -341,6 +446,9 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
+            // 잔여 포인트 확인과 할당 사이에 다른 요청이 끼어들지 않게 잠금
+            releaseTransaction = await acquireTransactionLock(db);
+            
             // 현재 스탯 조회
             const currentStats = await db.get(`
                 SELECT * FROM character_stats WHERE player_id = ?
@@ -425,11 +533,15 @@ export default function createGameRoutes(gameService, db) {
                 success: false,
                 error: '스탯 할당에 실패했습니다.'
             });
+        } finally {
+            releaseTransaction?.();
         }
     });
     
     // 레벨업 처리
     router.post('/character/levelup', authenticateToken, async (req, res) => {
+        let releaseTransaction = null;
+        
         try {
             const player = await db.getPlayerByUserId(req.user.userId);
             if (!player) {
@@ -439,6 +551,9 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
+            // 경험치 확인과 레벨 반영 사이에 다른 요청이 끼어들지 않게 잠금
+            releaseTransaction = await acquireTransactionLock(db);
+            
             // 현재 캐릭터 스탯 조회
             const currentStats = await db.get(`
                 SELECT * FROM character_stats WHERE player_id = ?
@@ -527,6 +642,8 @@ export default function createGameRoutes(gameService, db) {
                 success: false,
                 error: '레벨업 처리에 실패했습니다.'
             });
+        } finally {
+            releaseTransaction?.();
         }
     });
     
@@ -548,9 +665,9 @@ export default function createGameRoutes(gameService, db) {
             
             if (!appearance) {
                 // 외형 정보가 없으면 기본값으로 생성
-                await db.run(`
-                    INSERT INTO character_appearance (player_id) VALUES (?)
-                `, [player.id]);
+                await withTransactionLock(() => db.run(`
+                    INSERT OR IGNORE INTO character_appearance (player_id) VALUES (?)
+                `, [player.id]));
                 
                 const newAppearance = await db.get(`
                     SELECT * FROM character_appearance WHERE player_id = ?
@@ -655,10 +772,10 @@ export default function createGameRoutes(gameService, db) {
             updateFields.push('updated_at = CURRENT_TIMESTAMP');
             updateValues.push(player.id);
             
-            await db.run(`
+            await withTransactionLock(() => db.run(`
                 UPDATE character_appearance SET ${updateFields.join(', ')}
                 WHERE player_id = ?
-            `, updateValues);
+            `, updateValues));
             
             // 업데이트된 외형 정보 반환
             const updatedAppearance = await db.get(`
@@ -782,6 +899,9 @@ export default function createGameRoutes(gameService, db) {
     
     // 코스메틱 장착/해제
     router.put('/character/cosmetics/:cosmeticId/equip', authenticateToken, async (req, res) => {
+        let releaseTransaction = null;
+        let inTransaction = false;
+        
         try {
             const { cosmeticId } = req.params;
             const { isEquipped } = req.body;
@@ -794,6 +914,8 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
+            releaseTransaction = await acquireTransactionLock(db);
+            
             // 해당 코스메틱이 플레이어 소유인지 확인
             const cosmetic = await db.get(`
                 SELECT * FROM character_cosmetics 
@@ -807,6 +929,9 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
+            await db.run('BEGIN TRANSACTION');
+            inTransaction = true;
+            
             // 같은 타입의 다른 코스메틱들 해제 (한 번에 하나만 장착 가능)
             if (isEquipped) {
                 await db.run(`
@@ -823,6 +948,9 @@ export default function createGameRoutes(gameService, db) {
                 WHERE id = ?
             `, [isEquipped, cosmeticId]);
             
+            await db.run('COMMIT');
+            inTransaction = false;
+            
             res.json({
                 success: true,
                 data: {
@@ -835,11 +963,123 @@ export default function createGameRoutes(gameService, db) {
             });
             
         } catch (error) {
+            if (inTransaction) {
+                await db.run('ROLLBACK');
+            }
             console.error('코스메틱 장착 오류:', error);
             res.status(500).json({
                 success: false,
                 error: '코스메틱 장착에 실패했습니다.'
             });
+        } finally {
+            releaseTransaction?.();
+        }
+    });
+    
+    // ===== 장비 API =====
+    
+    // 장비 슬롯 현황
+    router.get('/character/equipment', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.equipmentService.getEquipment(req.user.userId);
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('장비 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '장비 조회에 실패했습니다.'
+            });
+        }
+    });
+    
+    // 아이템 장착
+    router.put('/character/equipment/:inventoryId/equip', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.equipmentService.equipItem(req.user.userId, req.params.inventoryId);
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '아이템을 장착했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('아이템 장착 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '아이템 장착에 실패했습니다.'
+            });
+        }
+    });
+    
+    // 아이템 장착 해제
+    router.put('/character/equipment/:inventoryId/unequip', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.equipmentService.unequipItem(req.user.userId, req.params.inventoryId);
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '아이템을 해제했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('아이템 해제 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '아이템 해제에 실패했습니다.'
+            });
+        }
+    });
+    
+    // ===== 소모품 API =====
+    
+    // 소모품 사용 (1개 소모, 시간제 버프 적용)
+    router.post('/inventory/:inventoryId/use', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.buffService.useItem(req.user.userId, req.params.inventoryId);
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: `${result.data.usedItem.name}을(를) 사용했습니다.`
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('아이템 사용 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '아이템 사용에 실패했습니다.'
+            });
         }
     });
     
@@ -871,26 +1111,8 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            // 플레이어-상인 관계도 조회
-            let relationship = await db.get(`
-                SELECT * FROM player_merchant_relations 
-                WHERE player_id = ? AND merchant_id = ?
-            `, [player.id, merchantId]);
-            
-            if (!relationship) {
-                // 관계도가 없으면 생성
-                await db.run(`
-                    INSERT INTO player_merchant_relations (
-                        id, player_id, merchant_id, friendship_points, reputation,
-                        total_trades, total_spent, relationship_status
-                    ) VALUES (?, ?, ?, 0, 0, 0, 0, 'stranger')
-                `, [require('uuid').v4(), player.id, merchantId]);
-                
-                relationship = await db.get(`
-                    SELECT * FROM player_merchant_relations 
-                    WHERE player_id = ? AND merchant_id = ?
-                `, [player.id, merchantId]);
-            }
+            // 플레이어-상인 관계도 조회 (없으면 생성)
+            const relationship = await withTransactionLock(() => getOrCreateRelationship(player.id, merchantId));
             
             // 상인 대사 조회 (조건 맞는 것들만)
             let dialogueQuery = `
@@ -968,6 +1190,8 @@ export default function createGameRoutes(gameService, db) {
     
     // 상인과 상호작용 (친밀도 증가, 기분 변화 등)
     router.post('/merchants/:merchantId/interact', authenticateToken, async (req, res) => {
+        let releaseTransaction = null;
+        
         try {
             const { merchantId } = req.params;
             const { interactionType, message } = req.body; // chat, gift, compliment 등
@@ -991,25 +1215,11 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            // 플레이어-상인 관계도 조회 또는 생성
-            let relationship = await db.get(`
-                SELECT * FROM player_merchant_relations 
-                WHERE player_id = ? AND merchant_id = ?
-            `, [player.id, merchantId]);
+            releaseTransaction = await acquireTransactionLock(db);
+            await db.run('BEGIN TRANSACTION');
             
-            if (!relationship) {
-                await db.run(`
-                    INSERT INTO player_merchant_relations (
-                        id, player_id, merchant_id, friendship_points, reputation,
-                        total_trades, total_spent, relationship_status
-                    ) VALUES (?, ?, ?, 0, 0, 0, 0, 'stranger')
-                `, [require('uuid').v4(), player.id, merchantId]);
-                
-                relationship = await db.get(`
-                    SELECT * FROM player_merchant_relations 
-                    WHERE player_id = ? AND merchant_id = ?
-                `, [player.id, merchantId]);
-            }
+            // 플레이어-상인 관계도 조회 또는 생성
+            const relationship = await getOrCreateRelationship(player.id, merchantId);
             
             // 상호작용 처리
             let friendshipGain = 0;
@@ -1019,7 +1229,7 @@ export default function createGameRoutes(gameService, db) {
             
             switch (interactionType) {
                 case 'chat':
-                    friendshipGain = Math.floor(Math.random() * 3) + 1; // 1-3
+                    friendshipGain = gameService.random.int(1, 3); // 1-3
                     responseDialogue = gameService.generateChatResponse(merchant.personality, merchant.mood, relationship.friendship_points);
                     break;
                     
@@ -1076,6 +1286,8 @@ export default function createGameRoutes(gameService, db) {
                 `, [moodChange, merchantId]);
             }
             
+            await db.run('COMMIT');
+            
             res.json({
                 success: true,
                 data: {
@@ -1102,11 +1314,16 @@ export default function createGameRoutes(gameService, db) {
             });
             
         } catch (error) {
+            if (releaseTransaction) {
+                await db.run('ROLLBACK');
+            }
             console.error('상인 상호작용 오류:', error);
             res.status(500).json({
                 success: false,
                 error: '상인과의 상호작용에 실패했습니다.'
             });
+        } finally {
+            releaseTransaction?.();
         }
     });
     
@@ -1134,26 +1351,8 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            // 관계도 조회
-            let relationship = await db.get(`
-                SELECT * FROM player_merchant_relations 
-                WHERE player_id = ? AND merchant_id = ?
-            `, [player.id, merchantId]);
-            
-            if (!relationship) {
-                // 관계도가 없으면 생성
-                await db.run(`
-                    INSERT INTO player_merchant_relations (
-                        id, player_id, merchant_id, friendship_points, reputation,
-                        total_trades, total_spent, relationship_status
-                    ) VALUES (?, ?, ?, 0, 0, 0, 0, 'stranger')
-                `, [require('uuid').v4(), player.id, merchantId]);
-                
-                relationship = await db.get(`
-                    SELECT * FROM player_merchant_relations 
-                    WHERE player_id = ? AND merchant_id = ?
-                `, [player.id, merchantId]);
-            }
+            // 관계도 조회 (없으면 생성)
+            const relationship = await withTransactionLock(() => getOrCreateRelationship(player.id, merchantId));
             
             // 관계도 레벨별 혜택 계산
             const relationshipBenefits = gameService.calculateRelationshipBenefits(relationship.friendship_points);
@@ -1332,6 +1531,8 @@ export default function createGameRoutes(gameService, db) {
 
     // 업적 보상 수령
     router.post('/achievements/:achievementId/claim', authenticateToken, async (req, res) => {
+        let releaseTransaction = null;
+        
         try {
             const { achievementId } = req.params;
             const player = await db.getPlayerByUserId(req.user.userId);
@@ -1359,8 +1560,25 @@ export default function createGameRoutes(gameService, db) {
                 return res.status(404).json({ success: false, error: '업적을 찾을 수 없습니다.' });
             }
 
+            releaseTransaction = await acquireTransactionLock(db);
             await db.run('BEGIN TRANSACTION');
 
+            // 보상 수령 표시 (동시에 요청해도 한 번만 지급되도록 조건부 갱신)
+            const claimed = await db.get(`
+                UPDATE player_achievements 
+                SET claimed = 1 
+                WHERE player_id = ? AND achievement_id = ? AND claimed = 0
+                RETURNING achievement_id
+            `, [player.id, achievementId]);
+
+            if (!claimed) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ 
+                    success: false, 
+                    error: '완료되지 않았거나 이미 수령한 업적입니다.' 
+                });
+            }
+
             // 보상 지급
             let rewardData = {};
             try {
@@ -1377,13 +1595,6 @@ export default function createGameRoutes(gameService, db) {
                 await gameService.giveExperience(player.id, rewardData.experience);
             }
 
-            // 보상 수령 표시
-            await db.run(`
-                UPDATE player_achievements 
-                SET claimed = 1 
-                WHERE player_id = ? AND achievement_id = ?
-            `, [player.id, achievementId]);
-
             await db.run('COMMIT');
 
             return res.json({ 
@@ -1395,12 +1606,16 @@ export default function createGameRoutes(gameService, db) {
             });
 
         } catch (error) {
-            await db.run('ROLLBACK');
+            if (releaseTransaction) {
+                await db.run('ROLLBACK');
+            }
             console.error('Claim achievement reward error:', error);
             return res.status(500).json({
                 success: false,
                 error: '보상을 수령하는 중 오류가 발생했습니다.'
             });
+        } finally {
+            releaseTransaction?.();
         }
     });
 
@@ -1412,7 +1627,7 @@ export default function createGameRoutes(gameService, db) {
                 return res.status(404).json({ success: false, error: '플레이어를 찾을 수 없습니다.' });
             }
 
-            const newAchievements = await gameService.checkAchievements(player.id);
+            const newAchievements = await withTransactionLock(() => gameService.checkAchievements(player.id));
             
             return res.json({ 
                 success: true, 
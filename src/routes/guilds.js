@@ -0,0 +1,600 @@
+// src/routes/guilds.js - 거래 길드 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createGuildRoutes(guildService) {
+
+    // 모집 중인 길드 목록
+    router.get('/', async (req, res) => {
+        try {
+            const { limit = 50 } = req.query;
+
+            const guilds = await guildService.listGuilds({
+                limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100)
+            });
+
+            res.json({
+                success: true,
+                data: guilds
+            });
+        } catch (error) {
+            console.error('길드 목록 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 목록 조회 실패'
+            });
+        }
+    });
+
+    // 내 길드 / 받은 초대 / 처리할 가입 신청
+    router.get('/mine', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.getMyGuild(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('내 길드 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '내 길드 조회 실패'
+            });
+        }
+    });
+
+    // 초대 수락 / 가입 신청 승인
+    router.post('/invitations/:invitationId/accept', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.acceptInvitation(req.user.userId, req.params.invitationId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드에 가입되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 초대 수락 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 초대 수락 실패'
+            });
+        }
+    });
+
+    // 초대 거절 / 가입 신청 거절·취소
+    router.post('/invitations/:invitationId/decline', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.declineInvitation(req.user.userId, req.params.invitationId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 초대 거절 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 초대 거절 실패'
+            });
+        }
+    });
+
+    // 길드 탈퇴
+    router.post('/leave', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.leaveGuild(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data?.disbanded ? '길드가 해산되었습니다.' : '길드에서 탈퇴했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 탈퇴 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 탈퇴 실패'
+            });
+        }
+    });
+
+    // 길드 상세 (길드원 목록 포함)
+    router.get('/:guildId', async (req, res) => {
+        try {
+            const guild = await guildService.getGuildDetail(req.params.guildId);
+
+            if (!guild) {
+                return res.status(404).json({
+                    success: false,
+                    error: '길드를 찾을 수 없습니다.'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: guild
+            });
+        } catch (error) {
+            console.error('길드 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 조회 실패'
+            });
+        }
+    });
+
+    // 길드 창설
+    router.post('/', authenticateToken, async (req, res) => {
+        try {
+            const { name, description = null, guildType = 'general', joinRequirements = {} } = req.body;
+
+            if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 20) {
+                return res.status(400).json({
+                    success: false,
+                    error: '길드 이름은 2-20자여야 합니다.'
+                });
+            }
+
+            if (description !== null && (typeof description !== 'string' || description.length > 200)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '길드 소개는 200자 이내여야 합니다.'
+                });
+            }
+
+            const result = await guildService.createGuild(req.user.userId, {
+                name: name.trim(), description, guildType, joinRequirements
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드가 창설되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 창설 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 창설 실패'
+            });
+        }
+    });
+
+    // 길드 설정 변경
+    router.post('/:guildId/settings', authenticateToken, async (req, res) => {
+        try {
+            const { description, isRecruiting, joinRequirements } = req.body;
+
+            if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '길드 소개는 200자 이내여야 합니다.'
+                });
+            }
+
+            const result = await guildService.updateSettings(req.user.userId, req.params.guildId, {
+                description, isRecruiting, joinRequirements
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 설정 변경 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 설정 변경 실패'
+            });
+        }
+    });
+
+    // 가입 신청
+    router.post('/:guildId/apply', authenticateToken, async (req, res) => {
+        try {
+            const { message = null } = req.body;
+
+            if (message !== null && (typeof message !== 'string' || message.length > 200)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '메시지는 200자 이내여야 합니다.'
+                });
+            }
+
+            const result = await guildService.applyToGuild(req.user.userId, req.params.guildId, message);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '가입 신청을 보냈습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 가입 신청 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 가입 신청 실패'
+            });
+        }
+    });
+
+    // 초대
+    router.post('/:guildId/invite', authenticateToken, async (req, res) => {
+        try {
+            const { playerId, message = null } = req.body;
+
+            if (!playerId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '초대할 플레이어 ID가 필요합니다.'
+                });
+            }
+
+            if (message !== null && (typeof message !== 'string' || message.length > 200)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '메시지는 200자 이내여야 합니다.'
+                });
+            }
+
+            const result = await guildService.invitePlayer(req.user.userId, req.params.guildId, playerId, message);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '초대를 보냈습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 초대 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 초대 실패'
+            });
+        }
+    });
+
+    // 직급/추가 권한 변경
+    router.post('/:guildId/members/:playerId/rank', authenticateToken, async (req, res) => {
+        try {
+            const { rank = null, permissions = null } = req.body;
+
+            const result = await guildService.updateMember(req.user.userId, req.params.guildId, req.params.playerId, {
+                rank, permissions
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드원 직급 변경 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드원 직급 변경 실패'
+            });
+        }
+    });
+
+    // 추방
+    router.post('/:guildId/members/:playerId/kick', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.kickMember(req.user.userId, req.params.guildId, req.params.playerId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드원을 추방했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드원 추방 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드원 추방 실패'
+            });
+        }
+    });
+
+    // 금고 입금
+    router.post('/:guildId/treasury/deposit', authenticateToken, async (req, res) => {
+        try {
+            const { amount, memo = null } = req.body;
+
+            if (memo !== null && (typeof memo !== 'string' || memo.length > 100)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '메모는 100자 이내여야 합니다.'
+                });
+            }
+
+            const result = await guildService.depositTreasury(req.user.userId, req.params.guildId, amount, memo);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드 금고에 입금했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 금고 입금 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 금고 입금 실패'
+            });
+        }
+    });
+
+    // 금고 출금 (직급별 한도)
+    router.post('/:guildId/treasury/withdraw', authenticateToken, async (req, res) => {
+        try {
+            const { amount, memo = null } = req.body;
+
+            if (memo !== null && (typeof memo !== 'string' || memo.length > 100)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '메모는 100자 이내여야 합니다.'
+                });
+            }
+
+            const result = await guildService.withdrawTreasury(req.user.userId, req.params.guildId, amount, memo);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드 금고에서 출금했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 금고 출금 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 금고 출금 실패'
+            });
+        }
+    });
+
+    // 금고/창고 입출 기록
+    router.get('/:guildId/ledger', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.getLedger(req.user.userId, req.params.guildId, {
+                limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 입출 기록 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 입출 기록 조회 실패'
+            });
+        }
+    });
+
+    // 창고 조회
+    router.get('/:guildId/warehouse', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.getWarehouse(req.user.userId, req.params.guildId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 창고 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 창고 조회 실패'
+            });
+        }
+    });
+
+    // 창고에 넣기
+    router.post('/:guildId/warehouse/deposit', authenticateToken, async (req, res) => {
+        try {
+            const { inventoryId, quantity = 1 } = req.body;
+
+            const result = await guildService.depositItem(req.user.userId, req.params.guildId, inventoryId, quantity);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드 창고에 보관했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 창고 보관 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 창고 보관 실패'
+            });
+        }
+    });
+
+    // 창고에서 꺼내기
+    router.post('/:guildId/warehouse/withdraw', authenticateToken, async (req, res) => {
+        try {
+            const { entryId, quantity = 1 } = req.body;
+
+            const result = await guildService.withdrawItem(req.user.userId, req.params.guildId, entryId, quantity);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드 창고에서 꺼냈습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 창고 꺼내기 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 창고 꺼내기 실패'
+            });
+        }
+    });
+
+    // 혜택 해금
+    router.post('/:guildId/perks/:perkId/unlock', authenticateToken, async (req, res) => {
+        try {
+            const result = await guildService.unlockPerk(req.user.userId, req.params.guildId, req.params.perkId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '길드 혜택을 해금했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('길드 혜택 해금 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 혜택 해금 실패'
+            });
+        }
+    });
+
+    // 혜택 목록 (해금 여부 포함)
+    router.get('/:guildId/perks', async (req, res) => {
+        try {
+            const guild = await guildService.getGuildDetail(req.params.guildId);
+
+            if (!guild) {
+                return res.status(404).json({
+                    success: false,
+                    error: '길드를 찾을 수 없습니다.'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: await guildService.getPerks(req.params.guildId)
+            });
+        } catch (error) {
+            console.error('길드 혜택 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '길드 혜택 조회 실패'
+            });
+        }
+    });
+
+    return router;
+}
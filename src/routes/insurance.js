@@ -0,0 +1,142 @@
+// src/routes/insurance.js - 거래 보험 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createInsuranceRoutes(insuranceService) {
+
+    // 보험 상품 목록
+    router.get('/products', (req, res) => {
+        res.json({
+            success: true,
+            data: insuranceService.getProducts()
+        });
+    });
+
+    // 보험료 견적 (청구 이력/신뢰도 반영)
+    router.get('/quote', authenticateToken, async (req, res) => {
+        try {
+            const { policyType, coverageAmount } = req.query;
+
+            const result = await insuranceService.getQuote(req.user.userId, policyType, parseInt(coverageAmount));
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('보험료 견적 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '보험료 견적 실패'
+            });
+        }
+    });
+
+    // 내 보험/청구 목록
+    router.get('/mine', authenticateToken, async (req, res) => {
+        try {
+            const result = await insuranceService.getMyInsurance(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('보험 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '보험 조회 실패'
+            });
+        }
+    });
+
+    // 보험 가입
+    router.post('/policies', authenticateToken, async (req, res) => {
+        try {
+            const { policyType, coverageAmount } = req.body;
+
+            const result = await insuranceService.purchasePolicy(req.user.userId, { policyType, coverageAmount });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '보험에 가입했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('보험 가입 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '보험 가입 실패'
+            });
+        }
+    });
+
+    // 보험금 청구
+    router.post('/claims', authenticateToken, async (req, res) => {
+        try {
+            const { policyId, tradeId, claimType, claimAmount, description, evidence = null } = req.body;
+
+            if (!policyId || !tradeId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '보험 ID와 거래 ID가 필요합니다.'
+                });
+            }
+
+            if (typeof description !== 'string' || description.trim().length === 0 || description.length > 500) {
+                return res.status(400).json({
+                    success: false,
+                    error: '청구 사유는 1-500자여야 합니다.'
+                });
+            }
+
+            const result = await insuranceService.fileClaim(req.user.userId, {
+                policyId, tradeId, claimType, claimAmount, description: description.trim(), evidence
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '보험금 청구가 접수되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('보험금 청구 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '보험금 청구 실패'
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,143 @@
+// src/routes/marketOrders.js - 지정가 주문장 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createMarketOrderRoutes(orderBookService) {
+
+    // 주문장 호가 조회
+    router.get('/book/:itemId', async (req, res) => {
+        try {
+            const { district, depth = 10 } = req.query;
+
+            if (!district) {
+                return res.status(400).json({
+                    success: false,
+                    error: '구역(district)이 필요합니다.'
+                });
+            }
+
+            const book = await orderBookService.getOrderBook(
+                req.params.itemId,
+                district,
+                Math.min(Math.max(parseInt(depth) || 10, 1), 50)
+            );
+
+            res.json({
+                success: true,
+                data: book
+            });
+        } catch (error) {
+            console.error('주문장 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '주문장 조회 실패'
+            });
+        }
+    });
+
+    // 내 주문 목록
+    router.get('/mine', authenticateToken, async (req, res) => {
+        try {
+            const result = await orderBookService.getMyOrders(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('주문 목록 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '주문 목록 조회 실패'
+            });
+        }
+    });
+
+    // 지정가 주문 등록
+    router.post('/', authenticateToken, async (req, res) => {
+        try {
+            const { side, itemId, district, quantity, pricePerUnit, inventoryId, durationHours = 24 } = req.body;
+
+            if (typeof district !== 'string' || district.length === 0 || district.length > 20) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 구역(district)이 필요합니다.'
+                });
+            }
+
+            if (side === 'buy' && !itemId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '매수할 아이템 ID가 필요합니다.'
+                });
+            }
+
+            if (side === 'sell' && !inventoryId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '매도할 인벤토리 아이템 ID가 필요합니다.'
+                });
+            }
+
+            const result = await orderBookService.placeOrder(req.user.userId, {
+                side, itemId, district, quantity, pricePerUnit, inventoryId, durationHours
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.fills.length > 0 ? '주문이 체결되었습니다.' : '주문이 등록되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('주문 등록 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '주문 등록 실패'
+            });
+        }
+    });
+
+    // 주문 취소
+    router.post('/:orderId/cancel', authenticateToken, async (req, res) => {
+        try {
+            const result = await orderBookService.cancelOrder(req.user.userId, req.params.orderId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '주문이 취소되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('주문 취소 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '주문 취소 실패'
+            });
+        }
+    });
+
+    return router;
+}
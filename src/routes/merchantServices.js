@@ -0,0 +1,67 @@
+// src/routes/merchantServices.js - 상인 특수 서비스 API (감정, 수리, 강화, 점술)
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createMerchantServiceRoutes(merchantServicesService) {
+
+    // 상인 서비스 목록 (이용 조건/대기시간/시작 가격)
+    router.get('/:merchantId/services', authenticateToken, async (req, res) => {
+        try {
+            const result = await merchantServicesService.getServices(req.user.userId, req.params.merchantId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('상인 서비스 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '상인 서비스 조회 실패'
+            });
+        }
+    });
+
+    // 상인 서비스 이용 (감정/수리/강화는 inventoryId 지정)
+    router.post('/:merchantId/services/:serviceId', authenticateToken, async (req, res) => {
+        try {
+            const { inventoryId } = req.body;
+
+            const result = await merchantServicesService.useService(
+                req.user.userId, req.params.merchantId, req.params.serviceId, { inventoryId }
+            );
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.succeeded
+                        ? `${result.data.serviceName} 서비스를 이용했습니다.`
+                        : `${result.data.serviceName} 서비스가 실패했습니다.`
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('상인 서비스 이용 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '상인 서비스 이용 실패'
+            });
+        }
+    });
+
+    return router;
+}
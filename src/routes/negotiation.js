@@ -0,0 +1,155 @@
+// src/routes/negotiation.js - 상인 흥정 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createNegotiationRoutes(negotiationService) {
+
+    // 흥정 시작
+    router.post('/start', authenticateToken, async (req, res) => {
+        try {
+            const { merchantId, itemName } = req.body;
+
+            if (!merchantId || !itemName) {
+                return res.status(400).json({
+                    success: false,
+                    error: '상인 ID와 아이템 이름이 필요합니다.'
+                });
+            }
+
+            const result = await negotiationService.startNegotiation(req.user.userId, merchantId, itemName);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('흥정 시작 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '흥정 시작 실패'
+            });
+        }
+    });
+
+    // 흥정 상태 조회
+    router.get('/:negotiationId', authenticateToken, async (req, res) => {
+        try {
+            const result = await negotiationService.getNegotiation(req.user.userId, req.params.negotiationId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('흥정 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '흥정 조회 실패'
+            });
+        }
+    });
+
+    // 가격 제안
+    router.post('/:negotiationId/offer', authenticateToken, async (req, res) => {
+        try {
+            const { offerPrice } = req.body;
+
+            if (!Number.isInteger(offerPrice) || offerPrice <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 제안 가격이 필요합니다.'
+                });
+            }
+
+            const result = await negotiationService.makeOffer(req.user.userId, req.params.negotiationId, offerPrice);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('가격 제안 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '가격 제안 실패'
+            });
+        }
+    });
+
+    // 현재 가격으로 거래 수락
+    router.post('/:negotiationId/accept', authenticateToken, async (req, res) => {
+        try {
+            const result = await negotiationService.acceptOffer(req.user.userId, req.params.negotiationId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '흥정이 성사되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('흥정 수락 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '흥정 수락 실패'
+            });
+        }
+    });
+
+    // 흥정 포기
+    router.post('/:negotiationId/walk-away', authenticateToken, async (req, res) => {
+        try {
+            const result = await negotiationService.walkAway(req.user.userId, req.params.negotiationId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '흥정을 포기했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('흥정 포기 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '흥정 포기 실패'
+            });
+        }
+    });
+
+    return router;
+}
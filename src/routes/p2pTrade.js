@@ -0,0 +1,157 @@
+// src/routes/p2pTrade.js - 플레이어 간 직접 거래 API
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+export default function createP2PTradeRoutes(p2pTradeService) {
+
+    // 내 거래 제안 목록
+    router.get('/', authenticateToken, async (req, res) => {
+        try {
+            const result = await p2pTradeService.getOffers(req.user.userId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('거래 제안 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 제안 조회 실패'
+            });
+        }
+    });
+
+    // 거래 제안
+    router.post('/', authenticateToken, async (req, res) => {
+        try {
+            const { recipientPlayerId, offerGold = 0, offerItems = [], requestGold = 0, requestItems = [], message = null } = req.body;
+
+            if (!recipientPlayerId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '거래 상대 ID가 필요합니다.'
+                });
+            }
+
+            if (message !== null && (typeof message !== 'string' || message.length > 200)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '메시지는 200자 이내여야 합니다.'
+                });
+            }
+
+            const result = await p2pTradeService.createOffer(req.user.userId, {
+                recipientPlayerId, offerGold, offerItems, requestGold, requestItems, message
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '거래를 제안했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('거래 제안 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 제안 실패'
+            });
+        }
+    });
+
+    // 거래 수락 (즉시 정산)
+    router.post('/:offerId/accept', authenticateToken, async (req, res) => {
+        try {
+            const result = await p2pTradeService.acceptOffer(req.user.userId, req.params.offerId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '거래가 완료되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('거래 수락 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 수락 실패'
+            });
+        }
+    });
+
+    // 거래 거절 (받은 제안)
+    router.post('/:offerId/decline', authenticateToken, async (req, res) => {
+        try {
+            const result = await p2pTradeService.declineOffer(req.user.userId, req.params.offerId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '거래를 거절했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('거래 거절 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 거절 실패'
+            });
+        }
+    });
+
+    // 거래 취소 (보낸 제안)
+    router.post('/:offerId/cancel', authenticateToken, async (req, res) => {
+        try {
+            const result = await p2pTradeService.cancelOffer(req.user.userId, req.params.offerId);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '거래 제안을 취소했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('거래 취소 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 취소 실패'
+            });
+        }
+    });
+
+    return router;
+}
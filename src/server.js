@@ -11,8 +11,30 @@ import dotenv from 'dotenv';
 import DatabaseManager from './database/DatabaseManager.js';
 import AuthService from './services/AuthService.js';
 import GameService from './services/GameService.js';
+import NegotiationService from './services/NegotiationService.js';
+import RestockService from './services/RestockService.js';
+import P2PTradeService from './services/P2PTradeService.js';
+import OrderBookService from './services/OrderBookService.js';
+import AuctionService from './services/AuctionService.js';
+import ContractService from './services/ContractService.js';
+import InsuranceService from './services/InsuranceService.js';
+import EnhancementService from './services/EnhancementService.js';
+import CraftingService from './services/CraftingService.js';
+import MerchantServicesService from './services/MerchantServicesService.js';
 import createAuthRoutes from './routes/auth.js';
 import createGameRoutes from './routes/game.js';
+import createNegotiationRoutes from './routes/negotiation.js';
+import createP2PTradeRoutes from './routes/p2pTrade.js';
+import createMarketOrderRoutes from './routes/marketOrders.js';
+import createAuctionRoutes from './routes/auctions.js';
+import createContractRoutes from './routes/contracts.js';
+import createGuildRoutes from './routes/guilds.js';
+import createInsuranceRoutes from './routes/insurance.js';
+import createEnhancementRoutes from './routes/enhancement.js';
+import createEnchantmentRoutes from './routes/enchantments.js';
+import createCraftingRoutes from './routes/crafting.js';
+import createMerchantServiceRoutes from './routes/merchantServices.js';
+import { identifySocket } from './middleware/socketAuth.js';
 
 dotenv.config();
 
@@ -27,6 +49,16 @@ class GameServer {
         console.log('✅ HTTP 서버 생성');
         
         this.gameService = null;
+        this.negotiationService = null;
+        this.restockService = null;
+        this.p2pTradeService = null;
+        this.orderBookService = null;
+        this.auctionService = null;
+        this.contractService = null;
+        this.insuranceService = null;
+        this.enhancementService = null;
+        this.craftingService = null;
+        this.merchantServicesService = null;
         this.io = new SocketIOServer(this.server, {
             cors: {
                 // ✅ 보안 강화: 특정 도메인만 허용
@@ -42,6 +74,9 @@ class GameServer {
         
         // ✅ Socket.io 타이머 관리
         this.priceUpdateInterval = null;
+        this.restockInterval = null;
+        this.maintenanceInterval = null;
+        this.maintenanceRunning = false;
         this.connectedClients = new Map();
         
         this.db = new DatabaseManager();
@@ -54,10 +89,6 @@ class GameServer {
         this.setupMiddleware();
         console.log('✅ 미들웨어 설정 완료');
         
-        console.log('🔧 라우트 설정 중...');
-        this.setupRoutes();
-        console.log('✅ 라우트 설정 완료');
-        
         console.log('🔧 Socket 설정 중...');
         this.setupSocket();
         console.log('✅ Socket 설정 완료');
@@ -77,6 +108,33 @@ class GameServer {
             
             console.log('🔄 GameService 초기화 중...');
             this.gameService = new GameService(this.db);    
+            this.negotiationService = new NegotiationService(this.db, this.gameService);
+            this.restockService = new RestockService(this.db, {
+                clock: this.gameService.clock,
+                random: this.gameService.random
+            });
+            this.p2pTradeService = new P2PTradeService(this.db, this.gameService, {
+                notify: (userId, event, payload) => this.notifyUser(userId, event, payload)
+            });
+            this.orderBookService = new OrderBookService(this.db, this.gameService, {
+                notify: (userId, event, payload) => this.notifyUser(userId, event, payload),
+                publish: (room, event, payload) => this.io.to(room).emit(event, payload)
+            });
+            this.auctionService = new AuctionService(this.db, this.gameService, {
+                notify: (userId, event, payload) => this.notifyUser(userId, event, payload),
+                publish: (room, event, payload) => this.io.to(room).emit(event, payload)
+            });
+            this.contractService = new ContractService(this.db, this.gameService, {
+                notify: (userId, event, payload) => this.notifyUser(userId, event, payload)
+            });
+            this.insuranceService = new InsuranceService(this.db, this.gameService, {
+                notify: (userId, event, payload) => this.notifyUser(userId, event, payload)
+            });
+            this.enhancementService = new EnhancementService(this.db, this.gameService);
+            this.craftingService = new CraftingService(this.db, this.gameService);
+            this.merchantServicesService = new MerchantServicesService(this.db, this.gameService, {
+                enhancementService: this.enhancementService
+            });
             console.log('✅ 데이터베이스 초기화 완료');
         } catch (error) {
             console.error('❌ 데이터베이스 초기화 실패:', error);
@@ -152,6 +210,17 @@ class GameServer {
         
         // ✅ 라우트 등록 수정
         this.app.use('/api/auth', createAuthRoutes(this.authService));
+        this.app.use('/api/game/trade/negotiate', createNegotiationRoutes(this.negotiationService));
+        this.app.use('/api/game/trade/p2p', createP2PTradeRoutes(this.p2pTradeService));
+        this.app.use('/api/game/market/orders', createMarketOrderRoutes(this.orderBookService));
+        this.app.use('/api/game/auctions', createAuctionRoutes(this.auctionService));
+        this.app.use('/api/game/contracts', createContractRoutes(this.contractService));
+        this.app.use('/api/game/guilds', createGuildRoutes(this.gameService.guildService));
+        this.app.use('/api/game/insurance', createInsuranceRoutes(this.insuranceService));
+        this.app.use('/api/game/enhancement', createEnhancementRoutes(this.enhancementService));
+        this.app.use('/api/game/enchantments', createEnchantmentRoutes(this.gameService.itemEffectService));
+        this.app.use('/api/game/crafting', createCraftingRoutes(this.craftingService));
+        this.app.use('/api/game/merchants', createMerchantServiceRoutes(this.merchantServicesService));
         this.app.use('/api/game', createGameRoutes(this.gameService, this.db));
 
         // 404 핸들러
@@ -178,13 +247,21 @@ class GameServer {
     
     // ✅ Socket.io 설정 개선
     setupSocket() {
+        // ✅ 토큰이 있으면 사용자 식별 (개인 알림용 user:<userId> 룸)
+        this.io.use(identifySocket);
+        
         this.io.on('connection', (socket) => {
             console.log(`👤 클라이언트 연결: ${socket.id}`);
             
+            if (socket.userId) {
+                socket.join(`user:${socket.userId}`);
+            }
+            
             // ✅ 클라이언트 추적
             this.connectedClients.set(socket.id, {
                 connectedAt: Date.now(),
-                lastActivity: Date.now()
+                lastActivity: Date.now(),
+                merchantRooms: new Set() // 재고 알림을 받는 주변 상인 룸
             });
             
             // 환영 메시지
@@ -211,6 +288,7 @@ class GameServer {
                     
                     const nearbyMerchants = await this.gameService?.findNearbyMerchants(lat, lng);
                     socket.emit('nearbyMerchants', nearbyMerchants || []);
+                    this.updateMerchantRooms(socket, nearbyMerchants || []);
                     
                     // 활동 시간 업데이트
                     if (this.connectedClients.has(socket.id)) {
@@ -230,6 +308,51 @@ class GameServer {
                 }
             });
             
+            // ✅ 주문장 실시간 구독 (호가/체결)
+            socket.on('subscribeOrderBook', async (data) => {
+                try {
+                    const { itemId, district } = data || {};
+                    if (typeof itemId !== 'string' || typeof district !== 'string' || !this.orderBookService) return;
+                    
+                    socket.join(OrderBookService.roomFor(itemId, district));
+                    socket.emit('orderBookDepth', await this.orderBookService.getOrderBook(itemId, district));
+                } catch (error) {
+                    console.error('주문장 구독 오류:', error);
+                    socket.emit('error', { message: '주문장 구독 실패' });
+                }
+            });
+            
+            socket.on('unsubscribeOrderBook', (data) => {
+                const { itemId, district } = data || {};
+                if (typeof itemId === 'string' && typeof district === 'string') {
+                    socket.leave(OrderBookService.roomFor(itemId, district));
+                }
+            });
+            
+            // ✅ 경매 실시간 구독 (입찰/종료)
+            socket.on('subscribeAuction', async (data) => {
+                try {
+                    const { auctionId } = data || {};
+                    if (typeof auctionId !== 'string' || !this.auctionService) return;
+                    
+                    const auction = await this.auctionService.getAuctionDetail(auctionId);
+                    if (!auction) return;
+                    
+                    socket.join(AuctionService.roomFor(auctionId));
+                    socket.emit('auctionUpdate', auction);
+                } catch (error) {
+                    console.error('경매 구독 오류:', error);
+                    socket.emit('error', { message: '경매 구독 실패' });
+                }
+            });
+            
+            socket.on('unsubscribeAuction', (data) => {
+                const { auctionId } = data || {};
+                if (typeof auctionId === 'string') {
+                    socket.leave(AuctionService.roomFor(auctionId));
+                }
+            });
+            
             socket.on('disconnect', (reason) => {
                 console.log(`👋 클라이언트 연결 해제: ${socket.id} (이유: ${reason})`);
                 this.connectedClients.delete(socket.id);
@@ -242,6 +365,44 @@ class GameServer {
                 this.broadcastPriceUpdates();
             }, 3 * 60 * 60 * 1000); // 3시간마다
         }
+        
+        // ✅ 상인 재고 보충 스케줄러
+        if (!this.restockInterval) {
+            this.restockInterval = setInterval(() => {
+                this.runRestock();
+            }, 5 * 60 * 1000); // 5분마다
+        }
+        
+        // ✅ 만료 처리 등 주기 작업
+        if (!this.maintenanceInterval) {
+            this.maintenanceInterval = setInterval(() => {
+                this.runMaintenance();
+            }, 60 * 1000); // 1분마다
+        }
+    }
+    
+    // ✅ 특정 사용자에게 실시간 알림
+    notifyUser(userId, event, payload) {
+        this.io.to(`user:${userId}`).emit(event, payload);
+    }
+    
+    // ✅ 주변 상인 룸 갱신 (멀어진 상인 룸은 떠나고 가까운 상인 룸에 참가)
+    updateMerchantRooms(socket, nearbyMerchants) {
+        const client = this.connectedClients.get(socket.id);
+        if (!client) return;
+        
+        const nearbyRooms = new Set(nearbyMerchants.map(merchant => `merchant:${merchant.id}`));
+        
+        for (const room of client.merchantRooms) {
+            if (!nearbyRooms.has(room)) {
+                socket.leave(room);
+            }
+        }
+        for (const room of nearbyRooms) {
+            socket.join(room);
+        }
+        
+        client.merchantRooms = nearbyRooms;
     }
     
     // ✅ 헬퍼 메서드들
@@ -266,6 +427,114 @@ class GameServer {
         }
     }
     
+    async runRestock() {
+        try {
+            if (!this.restockService) return;
+            
+            const changes = await this.restockService.runRestockCycle();
+            for (const change of changes) {
+                this.io.to(`merchant:${change.merchantId}`).emit('merchantStockUpdate', change);
+            }
+            
+            if (changes.length > 0) {
+                console.log(`📦 상인 재고 보충 완료 (${changes.length}명)`);
+            }
+        } catch (error) {
+            console.error('상인 재고 보충 오류:', error);
+        }
+    }
+    
+    // ✅ 주기 작업 (작업마다 따로 오류 처리, 이전 주기가 아직 돌고 있으면 이번 주기는 건너뜀)
+    async runMaintenance() {
+        if (!this.p2pTradeService || this.maintenanceRunning) return;
+        this.maintenanceRunning = true;
+        
+        try {
+            await this.runMaintenanceJob('거래 제안 만료', async () => {
+                const expiredOffers = await this.p2pTradeService.expireOffers();
+                if (expiredOffers > 0) {
+                    console.log(`⌛ 만료된 거래 제안 정리 (${expiredOffers}건)`);
+                }
+            });
+            
+            await this.runMaintenanceJob('주문 만료', async () => {
+                const expiredOrders = await this.orderBookService.expireOrders();
+                if (expiredOrders > 0) {
+                    console.log(`⌛ 만료된 주문 정리 (${expiredOrders}건)`);
+                }
+            });
+            
+            await this.runMaintenanceJob('경매 정산', async () => {
+                const endedAuctions = await this.auctionService.settleEndedAuctions();
+                if (endedAuctions > 0) {
+                    console.log(`🔨 마감된 경매 정산 (${endedAuctions}건)`);
+                }
+            });
+            
+            await this.runMaintenanceJob('의뢰 만료', async () => {
+                const overdueContracts = await this.contractService.expireContracts();
+                if (overdueContracts > 0) {
+                    console.log(`⌛ 기한이 지난 의뢰 정리 (${overdueContracts}건)`);
+                }
+            });
+            
+            // ✅ 시세 평균 회귀 (주기는 MarketService 가 조절)
+            await this.runMaintenanceJob('시세 평균 회귀', async () => {
+                const revertedTrends = await this.gameService.marketService.applyMeanReversion();
+                if (revertedTrends > 0) {
+                    console.log(`📉 시세 평균 회귀 (${revertedTrends}건)`);
+                }
+            });
+            
+            await this.runMaintenanceJob('보험 청구 처리', async () => {
+                const processedClaims = await this.insuranceService.processClaims();
+                if (processedClaims > 0) {
+                    console.log(`🛡️ 보험 청구 처리 (${processedClaims}건)`);
+                }
+            });
+            
+            // ✅ 한정 아이템 출현/만료 (주변 상인 룸에 있는 플레이어에게 알림)
+            await this.runMaintenanceJob('한정 아이템 출현/만료', async () => {
+                const spawnChanges = await this.gameService.specialSpawnService.runSpawnCycle();
+                for (const change of spawnChanges) {
+                    this.io.to(`merchant:${change.merchantId}`).emit('specialItemSpawn', change);
+                }
+                if (spawnChanges.length > 0) {
+                    console.log(`✨ 한정 아이템 출현/만료 (${spawnChanges.length}명의 상인)`);
+                }
+            });
+            
+            // ✅ 만료된 버프 정리 (접속 중이면 알림)
+            await this.runMaintenanceJob('버프 만료', async () => {
+                const expiredBuffs = await this.gameService.buffService.expireBuffs();
+                for (const { userId, buffs } of expiredBuffs) {
+                    this.notifyUser(userId, 'buffExpired', { buffs });
+                }
+                if (expiredBuffs.length > 0) {
+                    console.log(`⌛ 만료된 버프 정리 (${expiredBuffs.length}명)`);
+                }
+            });
+            
+            await this.runMaintenanceJob('내구도 감소', async () => {
+                const decayedItems = await this.gameService.durabilityService.decayOverTime();
+                if (decayedItems > 0) {
+                    console.log(`🔧 시간 경과 내구도 감소 (${decayedItems}개)`);
+                }
+            });
+        } finally {
+            this.maintenanceRunning = false;
+        }
+    }
+    
+    // 한 작업이 실패해도 나머지 주기 작업은 계속 진행
+    async runMaintenanceJob(name, job) {
+        try {
+            await job();
+        } catch (error) {
+            console.error(`주기 작업 오류 (${name}):`, error);
+        }
+    }
+    
     async findAvailablePort(startPort) {
         // 간단한 방법: 연속적으로 포트 증가시키기
         let port = startPort;
@@ -308,6 +577,11 @@ class GameServer {
             await this.initializeDatabase();
             console.log('✅ 데이터베이스 초기화 완료');
             
+            // 라우트는 서비스가 생성된 뒤에 등록해야 함
+            console.log('🔧 라우트 설정 중...');
+            this.setupRoutes();
+            console.log('✅ 라우트 설정 완료');
+            
             // 서버 시작 (IPv4와 IPv6 모두 지원하도록 설정)
             this.server.listen(this.port, () => {
                 console.log('🎉 서버 시작 성공!');
@@ -342,6 +616,12 @@ class GameServer {
         if (this.priceUpdateInterval) {
             clearInterval(this.priceUpdateInterval);
         }
+        if (this.restockInterval) {
+            clearInterval(this.restockInterval);
+        }
+        if (this.maintenanceInterval) {
+            clearInterval(this.maintenanceInterval);
+        }
         
         // Socket.io 연결 종료
         this.io.close();
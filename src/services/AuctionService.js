@@ -0,0 +1,612 @@
+// 📁 src/services/AuctionService.js - 경매장 (자동 입찰, 즉시 구매, 마감 연장)
+// 경매는 market_orders(order_type = 'auction'), 입찰은 auction_bids 에 기록한다.
+// 선두 입찰자의 최대 입찰액은 에스크로로 보관되고, 밀려나면 즉시 반환된다
+import { v4 as uuidv4 } from 'uuid';
+import EscrowService from './EscrowService.js';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 등록 수수료 (시작가 대비, 환불 없음) / 낙찰 수수료 (판매자 부담)
+const LISTING_FEE_RATE = 0.01;
+const MIN_LISTING_FEE = 10;
+const SUCCESS_FEE_RATE = 0.05;
+
+// 최소 입찰 단위 (현재가의 5%, 최소 100원)
+const MIN_BID_INCREMENT = 100;
+const BID_INCREMENT_RATE = 0.05;
+
+// 마감 직전 입찰 시 연장 (스나이핑 방지)
+const ANTI_SNIPE_WINDOW_MINUTES = 2;
+const ANTI_SNIPE_EXTENSION_MINUTES = 2;
+
+const MAX_AUCTION_DURATION_HOURS = 72;
+
+const ESCROW_REFERENCE = 'auction';
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+const parseSqlTimestamp = (value) => Date.parse(value.replace(' ', 'T') + 'Z');
+
+class AuctionService {
+    // options.notify(userId, event, payload) - 개인 알림, options.publish(room, event, payload) - 경매 구독자 알림
+    constructor(database, gameService, options = {}) {
+        this.db = database;
+        this.gameService = gameService;
+        this.escrowService = new EscrowService(database);
+        this.notify = options.notify || (() => {});
+        this.publish = options.publish || (() => {});
+    }
+
+    static roomFor(auctionId) {
+        return `auction:${auctionId}`;
+    }
+
+    calculateMinimumBid(auction) {
+        if (!auction.highest_bidder_id) {
+            return auction.auction_start_price;
+        }
+        const increment = Math.max(MIN_BID_INCREMENT, Math.ceil(auction.current_highest_bid * BID_INCREMENT_RATE));
+        return auction.current_highest_bid + increment;
+    }
+
+    // ✅ 경매 등록 (아이템 에스크로 보관)
+    async createAuction(userId, { inventoryId, quantity = 1, startPrice, buyoutPrice = null, durationHours = 24, district }) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('경매 수량이 올바르지 않습니다.');
+            }
+
+            if (!Number.isInteger(startPrice) || startPrice < 1) {
+                throw new Error('시작가가 올바르지 않습니다.');
+            }
+
+            if (buyoutPrice !== null && (!Number.isInteger(buyoutPrice) || buyoutPrice <= startPrice)) {
+                throw new Error('즉시 구매가는 시작가보다 높아야 합니다.');
+            }
+
+            if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_AUCTION_DURATION_HOURS) {
+                throw new Error(`경매 기간은 1-${MAX_AUCTION_DURATION_HOURS}시간이어야 합니다.`);
+            }
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.db.get(`
+                SELECT i.*, im.is_tradeable
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [inventoryId, player.id]);
+
+            if (!item) {
+                throw new Error('경매할 아이템을 인벤토리에서 찾을 수 없습니다.');
+            }
+
+            if (!item.is_tradeable) {
+                throw new Error('거래할 수 없는 아이템입니다.');
+            }
+
+            const listingFee = Math.max(MIN_LISTING_FEE, Math.floor(startPrice * LISTING_FEE_RATE));
+            const auctionId = uuidv4();
+            const expiresAtMs = this.gameService.clock.nowMs() + durationHours * 60 * 60 * 1000;
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [listingFee, player.id, listingFee]
+            );
+            if (!charged) {
+                throw new Error('등록 수수료가 부족합니다.');
+            }
+
+            await this.escrowService.holdItem(player.id, inventoryId, quantity, ESCROW_REFERENCE, auctionId);
+
+            await this.db.run(`
+                INSERT INTO market_orders (
+                    id, player_id, item_id, order_type, quantity, price_per_unit, total_value,
+                    auction_start_price, auction_buyout_price, status, expires_at, district,
+                    location_lat, location_lng, listing_fee, success_fee_rate, created_at
+                ) VALUES (?, ?, ?, 'auction', ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                auctionId, player.id, item.item_id, quantity, startPrice, startPrice,
+                startPrice, buyoutPrice, toSqlTimestamp(expiresAtMs), district || null,
+                player.location_lat, player.location_lng, listingFee, SUCCESS_FEE_RATE,
+                this.gameService.clock.sqlTimestamp()
+            ]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    auction: await this.getAuctionDetail(auctionId),
+                    listingFee: listingFee
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 입찰 (maxBid 까지 자동 입찰, 현재가는 경쟁자 최대액 + 입찰 단위까지만 오름)
+    async placeBid(userId, auctionId, maxBid) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Number.isInteger(maxBid) || maxBid < 1) {
+                throw new Error('입찰 금액이 올바르지 않습니다.');
+            }
+
+            const bidder = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!bidder) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const auction = await this.getActiveAuction(auctionId);
+
+            if (auction.player_id === bidder.id) {
+                throw new Error('자신의 경매에는 입찰할 수 없습니다.');
+            }
+
+            await this.assertWinnerCanReceive(bidder, auction);
+
+            const previousLeaderId = auction.highest_bidder_id;
+            const holds = await this.escrowService.getHolds(ESCROW_REFERENCE, auction.id);
+            const leaderHold = holds.find(hold => hold.hold_type === 'gold' && hold.player_id === previousLeaderId);
+            const leaderMax = leaderHold ? leaderHold.amount : 0;
+
+            let newPrice = auction.current_highest_bid;
+            let newLeaderId = previousLeaderId;
+            const bidRows = [];
+
+            if (previousLeaderId === bidder.id) {
+                // 선두 입찰자의 최대 입찰액 상향 (현재가는 그대로)
+                if (maxBid <= leaderMax) {
+                    throw new Error('기존 최대 입찰액보다 높아야 합니다.');
+                }
+                await this.escrowService.releaseHolds(ESCROW_REFERENCE, auction.id, bidder.id);
+                await this.escrowService.holdGold(bidder.id, maxBid, ESCROW_REFERENCE, auction.id);
+                bidRows.push({ bidderId: bidder.id, amount: newPrice, maxBid: maxBid, isAuto: false });
+            } else {
+                const minimumBid = this.calculateMinimumBid(auction);
+                if (maxBid < minimumBid) {
+                    throw new Error(`최소 ${minimumBid.toLocaleString()}원 이상 입찰해야 합니다.`);
+                }
+
+                if (!previousLeaderId) {
+                    newPrice = auction.auction_start_price;
+                    newLeaderId = bidder.id;
+                } else if (maxBid > leaderMax) {
+                    // 새 입찰자가 선두 (기존 선두의 최대액 + 입찰 단위, 단 자신의 최대액 이하)
+                    newPrice = Math.min(maxBid, this.calculateMinimumBid({ ...auction, current_highest_bid: leaderMax }));
+                    newLeaderId = bidder.id;
+                    bidRows.push({ bidderId: previousLeaderId, amount: leaderMax, maxBid: leaderMax, isAuto: true });
+                } else {
+                    // 기존 선두의 자동 입찰이 따라 올림
+                    newPrice = Math.min(leaderMax, this.calculateMinimumBid({ ...auction, current_highest_bid: maxBid }));
+                }
+
+                if (newLeaderId === bidder.id) {
+                    if (previousLeaderId) {
+                        await this.escrowService.releaseHolds(ESCROW_REFERENCE, auction.id, previousLeaderId);
+                    }
+                    await this.escrowService.holdGold(bidder.id, maxBid, ESCROW_REFERENCE, auction.id);
+                    bidRows.push({ bidderId: bidder.id, amount: newPrice, maxBid: maxBid, isAuto: false });
+                } else {
+                    bidRows.push({ bidderId: bidder.id, amount: maxBid, maxBid: maxBid, isAuto: false });
+                    bidRows.push({ bidderId: previousLeaderId, amount: newPrice, maxBid: leaderMax, isAuto: true });
+                }
+            }
+
+            for (const bid of bidRows) {
+                await this.db.run(`
+                    INSERT INTO auction_bids (id, order_id, bidder_id, bid_amount, is_auto_bid, max_auto_bid, bid_time)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [uuidv4(), auction.id, bid.bidderId, bid.amount, bid.isAuto ? 1 : 0, bid.maxBid, this.gameService.clock.sqlTimestamp()]);
+            }
+            await this.db.run(`
+                UPDATE auction_bids SET is_winning = (bidder_id = ? AND rowid = (
+                    SELECT MAX(rowid) FROM auction_bids WHERE order_id = ? AND bidder_id = ?
+                ))
+                WHERE order_id = ?
+            `, [newLeaderId, auction.id, newLeaderId, auction.id]);
+
+            // 마감 직전 입찰이면 마감 연장
+            const nowMs = this.gameService.clock.nowMs();
+            let expiresAtMs = parseSqlTimestamp(auction.expires_at);
+            if (expiresAtMs - nowMs < ANTI_SNIPE_WINDOW_MINUTES * 60 * 1000) {
+                expiresAtMs = nowMs + ANTI_SNIPE_EXTENSION_MINUTES * 60 * 1000;
+            }
+
+            await this.db.run(`
+                UPDATE market_orders SET
+                    current_highest_bid = ?, highest_bidder_id = ?, expires_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [newPrice, newLeaderId, toSqlTimestamp(expiresAtMs), auction.id]);
+
+            await this.db.run('COMMIT');
+
+            const detail = await this.getAuctionDetail(auction.id);
+            this.publish(AuctionService.roomFor(auction.id), 'auctionUpdate', detail);
+
+            if (previousLeaderId && previousLeaderId !== newLeaderId) {
+                await this.notifyPlayer(previousLeaderId, 'auctionOutbid', { auctionId: auction.id, currentBid: newPrice });
+            }
+
+            return {
+                success: true,
+                data: {
+                    auction: detail,
+                    isLeading: newLeaderId === bidder.id,
+                    currentBid: newPrice
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 즉시 구매
+    async buyout(userId, auctionId) {
+        let releaseTransaction = null;
+
+        try {
+            const buyer = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!buyer) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const auction = await this.getActiveAuction(auctionId);
+
+            if (auction.player_id === buyer.id) {
+                throw new Error('자신의 경매는 구매할 수 없습니다.');
+            }
+
+            if (!auction.auction_buyout_price) {
+                throw new Error('즉시 구매가 없는 경매입니다.');
+            }
+
+            if (auction.current_highest_bid >= auction.auction_buyout_price) {
+                throw new Error('현재 입찰가가 즉시 구매가 이상입니다.');
+            }
+
+            await this.assertWinnerCanReceive(buyer, auction);
+
+            const previousLeaderId = auction.highest_bidder_id;
+            if (previousLeaderId) {
+                await this.escrowService.releaseHolds(ESCROW_REFERENCE, auction.id, previousLeaderId);
+            }
+            await this.escrowService.holdGold(buyer.id, auction.auction_buyout_price, ESCROW_REFERENCE, auction.id);
+
+            await this.db.run(`
+                INSERT INTO auction_bids (id, order_id, bidder_id, bid_amount, max_auto_bid, bid_time, is_winning)
+                VALUES (?, ?, ?, ?, ?, ?, 1)
+            `, [uuidv4(), auction.id, buyer.id, auction.auction_buyout_price, auction.auction_buyout_price, this.gameService.clock.sqlTimestamp()]);
+
+            const settled = await this.settleAuction({
+                ...auction,
+                current_highest_bid: auction.auction_buyout_price,
+                highest_bidder_id: buyer.id
+            });
+
+            await this.db.run('COMMIT');
+
+            await this.announceSettlement(settled);
+            if (previousLeaderId) {
+                await this.notifyPlayer(previousLeaderId, 'auctionOutbid', { auctionId: auction.id, currentBid: auction.auction_buyout_price, boughtOut: true });
+            }
+
+            return {
+                success: true,
+                data: settled
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 경매 취소 (입찰이 없을 때만)
+    async cancelAuction(userId, auctionId) {
+        let releaseTransaction = null;
+
+        try {
+            const seller = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!seller) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const auction = await this.getActiveAuction(auctionId);
+            if (auction.player_id !== seller.id) {
+                throw new Error('자신의 경매만 취소할 수 있습니다.');
+            }
+
+            if (auction.highest_bidder_id) {
+                throw new Error('입찰이 있는 경매는 취소할 수 없습니다.');
+            }
+
+            await this.escrowService.releaseHolds(ESCROW_REFERENCE, auction.id);
+            await this.db.run(
+                "UPDATE market_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [auction.id]
+            );
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: await this.getAuctionDetail(auction.id)
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 마감된 경매 정산 (주기 작업)
+    async settleEndedAuctions() {
+        const ended = await this.db.all(
+            "SELECT * FROM market_orders WHERE order_type = 'auction' AND status = 'active' AND expires_at <= ?",
+            [this.gameService.clock.sqlTimestamp()]
+        );
+
+        for (const auction of ended) {
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            let settled = null;
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                settled = await this.settleAuction(auction);
+                await this.db.run('COMMIT');
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                console.error(`경매 정산 오류 (${auction.id}):`, error);
+            } finally {
+                releaseTransaction();
+            }
+
+            if (settled) {
+                await this.announceSettlement(settled);
+            }
+        }
+
+        return ended.length;
+    }
+
+    // 입찰/즉시 구매 시점의 소지 무게/인벤토리 칸 확인 (트랜잭션 안에서 호출)
+    async assertWinnerCanReceive(player, auction) {
+        const holds = await this.escrowService.getHolds(ESCROW_REFERENCE, auction.id);
+        await this.gameService.assertCanReceive(player, holds.filter(hold => hold.hold_type === 'item'));
+    }
+
+    // 낙찰: 아이템은 낙찰자에게, 대금(수수료 제외)은 판매자에게, 남은 보관금은 낙찰자에게 반환
+    // 유찰(입찰 없음 또는 낙찰자가 마감 시점에 아이템을 받을 수 없음): 보관물 반환 (트랜잭션 안에서 호출)
+    async settleAuction(auction) {
+        const holds = await this.escrowService.getHolds(ESCROW_REFERENCE, auction.id);
+        const itemHold = holds.find(hold => hold.hold_type === 'item');
+
+        const winner = auction.highest_bidder_id
+            ? await this.db.get('SELECT * FROM players WHERE id = ?', [auction.highest_bidder_id])
+            : null;
+        const rejection = winner ? await this.gameService.checkCanReceive(winner, [itemHold]) : null;
+
+        if (!winner || rejection) {
+            await this.escrowService.releaseHolds(ESCROW_REFERENCE, auction.id);
+            await this.db.run(
+                "UPDATE market_orders SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [auction.id]
+            );
+            return {
+                auctionId: auction.id,
+                status: 'expired',
+                sellerId: auction.player_id,
+                winnerId: null,
+                finalPrice: null,
+                undeliveredBidderId: rejection ? winner.id : null,
+                reason: rejection
+            };
+        }
+
+        const finalPrice = auction.current_highest_bid;
+        const successFee = Math.floor(finalPrice * (auction.success_fee_rate ?? SUCCESS_FEE_RATE));
+        const winnerHold = holds.find(hold => hold.hold_type === 'gold' && hold.player_id === auction.highest_bidder_id);
+
+        await this.escrowService.transferGold(winnerHold, auction.player_id, finalPrice - successFee);
+        if (successFee > 0) {
+            await this.escrowService.reduceHold(winnerHold, successFee, 'settled');
+        }
+        await this.escrowService.releaseHolds(ESCROW_REFERENCE, auction.id, auction.highest_bidder_id);
+        await this.escrowService.transferHold(itemHold, auction.highest_bidder_id, {
+            purchasePrice: Math.floor(finalPrice / itemHold.quantity)
+        });
+
+        const itemInfo = await this.db.get('SELECT * FROM item_master WHERE id = ?', [auction.item_id]);
+        const tradeId = uuidv4();
+        await this.db.run(`
+            INSERT INTO trades (
+                id, seller_id, buyer_id, item_id, item_name, item_category, item_rarity, quantity,
+                base_price, final_price, market_price, trade_type, trade_method, district, special_conditions, timestamp
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sell', 'auction', ?, ?, CURRENT_TIMESTAMP)
+        `, [
+            tradeId, auction.player_id, auction.highest_bidder_id, itemInfo.id, itemInfo.name, itemInfo.category,
+            itemInfo.rarity, itemHold.quantity, itemInfo.base_price * itemHold.quantity, finalPrice,
+            await this.gameService.marketService.getTrendPrice(itemInfo.id, auction.district), auction.district,
+            JSON.stringify({ auctionId: auction.id, successFee: successFee })
+        ]);
+
+        await this.db.run(`
+            UPDATE market_orders SET
+                status = 'sold', current_highest_bid = ?, highest_bidder_id = ?, filled_quantity = quantity,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [finalPrice, auction.highest_bidder_id, auction.id]);
+
+        return {
+            auctionId: auction.id,
+            status: 'sold',
+            sellerId: auction.player_id,
+            winnerId: auction.highest_bidder_id,
+            finalPrice: finalPrice,
+            successFee: successFee,
+            tradeId: tradeId
+        };
+    }
+
+    async announceSettlement(settled) {
+        this.publish(AuctionService.roomFor(settled.auctionId), 'auctionEnded', settled);
+        await this.notifyPlayer(settled.sellerId, 'auctionEnded', settled);
+        if (settled.winnerId) {
+            await this.notifyPlayer(settled.winnerId, 'auctionWon', settled);
+        } else if (settled.undeliveredBidderId) {
+            await this.notifyPlayer(settled.undeliveredBidderId, 'auctionEnded', settled);
+        }
+    }
+
+    async notifyPlayer(playerId, event, payload) {
+        try {
+            const player = await this.db.get('SELECT user_id FROM players WHERE id = ?', [playerId]);
+            if (player) {
+                this.notify(player.user_id, event, payload);
+            }
+        } catch (error) {
+            console.error('경매 알림 오류:', error);
+        }
+    }
+
+    // ✅ 진행 중인 경매 목록
+    async listAuctions({ district = null, itemId = null, limit = 50 } = {}) {
+        const conditions = ["mo.order_type = 'auction'", "mo.status = 'active'", 'mo.expires_at > ?'];
+        const params = [this.gameService.clock.sqlTimestamp()];
+
+        if (district) {
+            conditions.push('mo.district = ?');
+            params.push(district);
+        }
+        if (itemId) {
+            conditions.push('mo.item_id = ?');
+            params.push(itemId);
+        }
+
+        const auctions = await this.db.all(`
+            SELECT mo.*, im.name as item_name, im.rarity
+            FROM market_orders mo
+            JOIN item_master im ON mo.item_id = im.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY mo.expires_at ASC
+            LIMIT ?
+        `, [...params, limit]);
+
+        return auctions.map(auction => this.formatAuction(auction));
+    }
+
+    async getAuctionDetail(auctionId) {
+        const auction = await this.db.get(`
+            SELECT mo.*, im.name as item_name, im.rarity
+            FROM market_orders mo
+            JOIN item_master im ON mo.item_id = im.id
+            WHERE mo.id = ? AND mo.order_type = 'auction'
+        `, [auctionId]);
+
+        if (!auction) return null;
+
+        // 다른 입찰자의 최대 입찰액은 공개하지 않음
+        const bids = await this.db.all(`
+            SELECT bidder_id, bid_amount, is_auto_bid, bid_time, is_winning
+            FROM auction_bids WHERE order_id = ?
+            ORDER BY bid_time DESC, rowid DESC
+            LIMIT 20
+        `, [auctionId]);
+
+        return {
+            ...this.formatAuction(auction),
+            bids: bids.map(bid => ({
+                bidderId: bid.bidder_id,
+                amount: bid.bid_amount,
+                isAutoBid: !!bid.is_auto_bid,
+                isWinning: !!bid.is_winning,
+                bidTime: bid.bid_time
+            }))
+        };
+    }
+
+    async getActiveAuction(auctionId) {
+        const auction = await this.db.get(
+            "SELECT * FROM market_orders WHERE id = ? AND order_type = 'auction'",
+            [auctionId]
+        );
+
+        if (!auction) {
+            throw new Error('경매를 찾을 수 없습니다.');
+        }
+
+        if (auction.status !== 'active' || auction.expires_at <= this.gameService.clock.sqlTimestamp()) {
+            throw new Error('이미 종료된 경매입니다.');
+        }
+
+        return auction;
+    }
+
+    formatAuction(auction) {
+        return {
+            id: auction.id,
+            sellerId: auction.player_id,
+            itemId: auction.item_id,
+            itemName: auction.item_name,
+            rarity: auction.rarity,
+            quantity: auction.quantity,
+            district: auction.district,
+            startPrice: auction.auction_start_price,
+            buyoutPrice: auction.auction_buyout_price,
+            currentBid: auction.current_highest_bid,
+            highestBidderId: auction.highest_bidder_id,
+            minimumBid: auction.status === 'active' ? this.calculateMinimumBid(auction) : null,
+            status: auction.status,
+            expiresAt: auction.expires_at,
+            createdAt: auction.created_at
+        };
+    }
+}
+
+export default AuctionService;
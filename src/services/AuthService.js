@@ -1,6 +1,7 @@
 // 임시 AuthService (bcrypt 없이)
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
 
 class AuthService {
     constructor(database) {
@@ -14,7 +15,12 @@ class AuthService {
     }
     
     async register(email, password, playerName) {
+        let releaseTransaction = null;
+        
         try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+            
             const existingUser = await this.db.getUserByEmail(email);
             if (existingUser) {
                 throw new Error('이미 존재하는 이메일입니다.');
@@ -41,6 +47,8 @@ class AuthService {
                 maxInventorySize: 5
             });
             
+            await this.db.run('COMMIT');
+            
             const token = this.generateToken(userId);
             
             return {
@@ -60,10 +68,15 @@ class AuthService {
                 }
             };
         } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
             return {
                 success: false,
                 error: error.message
             };
+        } finally {
+            releaseTransaction?.();
         }
     }
     
@@ -0,0 +1,162 @@
+// 📁 src/services/BuffService.js - 소모품 사용과 시간제 버프
+// 소모품(is_consumable)의 special_effects.buff 를 player_buffs 에 만료 시각과 함께 저장한다.
+// 효과 합산은 ItemEffectService.getPlayerEffects 가 만료되지 않은 버프만 골라서 하므로
+// 만료 정리 작업이 늦어도 효과는 제때 사라진다 (정리 작업은 행 삭제와 알림만 담당)
+import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// special_effects 예시:
+// { "buff": { "name": "행운 상승", "effects": { "luck": 5 }, "duration_minutes": 30 } }
+
+const DEFAULT_BUFF_MINUTES = 30;
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+class BuffService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.gameService = options.gameService;
+        this.clock = options.clock;
+    }
+
+    // ✅ 소모품 사용 (1개 소모 → 버프 적용, 같은 아이템 버프는 새로 갱신)
+    async useItem(userId, inventoryId) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.db.get(`
+                SELECT i.*, im.name, im.is_consumable, im.special_effects
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [inventoryId, player.id]);
+            if (!item) {
+                throw new Error('해당 아이템을 찾을 수 없습니다.');
+            }
+
+            if (item.is_locked) {
+                throw new Error('잠긴 아이템은 사용할 수 없습니다.');
+            }
+
+            const buff = item.is_consumable && item.special_effects ? JSON.parse(item.special_effects).buff : null;
+            if (!buff) {
+                throw new Error('사용할 수 없는 아이템입니다.');
+            }
+
+            await this.gameService.removeFromInventory(item, 1);
+
+            const startedAtMs = this.clock.nowMs();
+            const expiresAtMs = startedAtMs + (buff.duration_minutes || DEFAULT_BUFF_MINUTES) * 60 * 1000;
+            const name = buff.name || item.name;
+
+            await this.db.run(`
+                INSERT INTO player_buffs (id, player_id, source_item_id, name, effects, started_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (player_id, source_item_id) DO UPDATE SET
+                    name = excluded.name, effects = excluded.effects,
+                    started_at = excluded.started_at, expires_at = excluded.expires_at
+            `, [
+                uuidv4(), player.id, item.item_id, name, JSON.stringify(buff.effects || {}),
+                toSqlTimestamp(startedAtMs), toSqlTimestamp(expiresAtMs)
+            ]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    usedItem: {
+                        inventoryId: item.id,
+                        itemId: item.item_id,
+                        name: item.name,
+                        remainingQuantity: item.quantity - 1
+                    },
+                    buff: this.formatBuff({
+                        source_item_id: item.item_id,
+                        name: name,
+                        effects: JSON.stringify(buff.effects || {}),
+                        started_at: toSqlTimestamp(startedAtMs),
+                        expires_at: toSqlTimestamp(expiresAtMs)
+                    })
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 현재 적용 중인 버프
+    async getActiveBuffs(playerId) {
+        const buffs = await this.db.all(`
+            SELECT * FROM player_buffs
+            WHERE player_id = ? AND expires_at > ?
+            ORDER BY expires_at
+        `, [playerId, this.clock.sqlTimestamp()]);
+
+        return buffs.map(buff => this.formatBuff(buff));
+    }
+
+    // ✅ 만료된 버프 정리 (플레이어별 만료 목록 반환 - 알림용)
+    // 반환: [{ userId, buffs: [{ itemId, name }] }]
+    async expireBuffs() {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+        let expired;
+        try {
+            expired = await this.db.all(`
+                DELETE FROM player_buffs
+                WHERE expires_at <= ?
+                RETURNING player_id, source_item_id, name
+            `, [this.clock.sqlTimestamp()]);
+        } finally {
+            releaseTransaction();
+        }
+
+        if (expired.length === 0) {
+            return [];
+        }
+
+        const playerIds = [...new Set(expired.map(row => row.player_id))];
+        const players = await this.db.all(
+            `SELECT id, user_id FROM players WHERE id IN (${playerIds.map(() => '?').join(', ')})`,
+            playerIds
+        );
+
+        return players.map(player => ({
+            userId: player.user_id,
+            buffs: expired
+                .filter(row => row.player_id === player.id)
+                .map(row => ({ itemId: row.source_item_id, name: row.name }))
+        }));
+    }
+
+    formatBuff(buff) {
+        const expiresAtMs = new Date(buff.expires_at.replace(' ', 'T') + 'Z').getTime();
+
+        return {
+            itemId: buff.source_item_id,
+            name: buff.name,
+            effects: JSON.parse(buff.effects),
+            startedAt: buff.started_at,
+            expiresAt: buff.expires_at,
+            remainingSeconds: Math.max(0, Math.floor((expiresAtMs - this.clock.nowMs()) / 1000))
+        };
+    }
+}
+
+export default BuffService;
@@ -0,0 +1,571 @@
+// 📁 src/services/ContractService.js - 플레이어 배달 의뢰 게시판
+// 의뢰인의 보상(골드/아이템)은 게시 시점에 에스크로로 보관되고, 배달된 아이템도 완료 전까지 보관된다.
+// 완료되면 보상은 수행자에게, 배달품은 의뢰인에게 인도하고, 실패/만료되면 각자에게 돌려준다
+import { v4 as uuidv4 } from 'uuid';
+import EscrowService from './EscrowService.js';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 수락되지 않은 의뢰가 게시판에 남아 있는 기간 (일)
+const BOARD_LISTING_DAYS = 7;
+
+// 수락 후 배달 제한 시간 (시간)
+const DEFAULT_TIME_LIMIT_HOURS = 24;
+const MAX_TIME_LIMIT_HOURS = 168;
+
+const MAX_REQUIRED_ITEMS = 5;
+const MAX_REWARD_ITEMS = 5;
+const MAX_DELIVERY_RADIUS_KM = 5;
+
+// 경험치 보상: 배달품 기준가 1000원당 1 (품목당 기본 10), 상한 있음
+// 의뢰인이 경험치 1당 수수료를 내고 게시한다 (시스템 회수, 부계정끼리 주고받아 경험치를 찍어내지 못하게)
+const MAX_REWARD_EXPERIENCE = 200;
+const EXPERIENCE_FEE_PER_POINT = 100;
+
+const ESCROW_REFERENCE = 'contract';
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+class ContractService {
+    // options.notify(userId, event, payload) 로 의뢰인/수행자에게 실시간 알림 전송
+    constructor(database, gameService, options = {}) {
+        this.db = database;
+        this.gameService = gameService;
+        this.escrowService = new EscrowService(database);
+        this.notify = options.notify || (() => {});
+    }
+
+    // ✅ 의뢰 게시 (보상 에스크로 보관)
+    async postContract(userId, {
+        title, description, requiredItems, rewardGold = 0, rewardItems = [],
+        timeLimitHours = DEFAULT_TIME_LIMIT_HOURS, requiredLevel = 1, requiredLicense = 1,
+        requiredReputation = 0, deliveryLocation = null
+    }) {
+        let releaseTransaction = null;
+
+        try {
+            this.validateTerms({ requiredItems, rewardGold, rewardItems, timeLimitHours, deliveryLocation });
+
+            const giver = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!giver) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const required = [];
+            let deliveredValue = 0;
+            for (const item of requiredItems) {
+                const itemInfo = await this.db.get('SELECT id, name, base_price, is_tradeable FROM item_master WHERE id = ?', [item.itemId]);
+                if (!itemInfo || !itemInfo.is_tradeable) {
+                    throw new Error('배달받을 수 없는 아이템입니다.');
+                }
+                required.push({ itemId: itemInfo.id, name: itemInfo.name, quantity: item.quantity });
+                deliveredValue += (itemInfo.base_price || 0) * item.quantity;
+            }
+
+            const rewardExperience = Math.min(
+                MAX_REWARD_EXPERIENCE,
+                Math.floor(deliveredValue / 1000) + 10 * required.length
+            );
+            const experienceFee = rewardExperience * EXPERIENCE_FEE_PER_POINT;
+
+            const contractId = uuidv4();
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const heldRewards = [];
+            for (const item of rewardItems) {
+                const row = await this.db.get(`
+                    SELECT i.item_id, im.name, im.is_tradeable
+                    FROM inventory i
+                    JOIN item_master im ON i.item_id = im.id
+                    WHERE i.id = ? AND i.player_id = ?
+                `, [item.inventoryId, giver.id]);
+
+                if (!row) {
+                    throw new Error('보상 아이템을 인벤토리에서 찾을 수 없습니다.');
+                }
+
+                if (!row.is_tradeable) {
+                    throw new Error(`${row.name}은(는) 거래할 수 없는 아이템입니다.`);
+                }
+
+                await this.escrowService.holdItem(giver.id, item.inventoryId, item.quantity, ESCROW_REFERENCE, contractId);
+                heldRewards.push({ itemId: row.item_id, name: row.name, quantity: item.quantity });
+            }
+
+            if (rewardGold > 0) {
+                await this.escrowService.holdGold(giver.id, rewardGold, ESCROW_REFERENCE, contractId);
+            }
+
+            // 경험치 보상 수수료 (돌려주지 않음)
+            if (experienceFee > 0) {
+                const charged = await this.db.get(
+                    'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                    [experienceFee, giver.id, experienceFee]
+                );
+                if (!charged) {
+                    throw new Error(`경험치 보상 수수료 ${experienceFee.toLocaleString()}원이 필요합니다.`);
+                }
+            }
+
+            await this.db.run(`
+                INSERT INTO trade_contracts (
+                    id, contract_type, giver_id, giver_type, title, description, required_items,
+                    reward_gold, reward_items, reward_experience, required_level, required_license,
+                    required_reputation, time_limit_hours, location_restriction, status, progress, posted_at
+                ) VALUES (?, 'delivery', ?, 'player', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'available', ?, ?)
+            `, [
+                contractId, giver.id, title, description, JSON.stringify(required), rewardGold,
+                JSON.stringify(heldRewards), rewardExperience, requiredLevel, requiredLicense, requiredReputation,
+                timeLimitHours, deliveryLocation ? JSON.stringify(deliveryLocation) : null, JSON.stringify({}),
+                this.gameService.clock.sqlTimestamp()
+            ]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: this.formatContract(await this.getContractRow(contractId))
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 의뢰 수락 (제한 시간 시작)
+    async acceptContract(userId, contractId) {
+        let releaseTransaction = null;
+
+        try {
+            const contractor = await this.db.get(`
+                SELECT p.*, cs.level
+                FROM players p
+                LEFT JOIN character_stats cs ON cs.player_id = p.id
+                WHERE p.user_id = ?
+            `, [userId]);
+            if (!contractor) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const contract = await this.getContractRow(contractId);
+            if (!contract || contract.giver_type !== 'player') {
+                throw new Error('의뢰를 찾을 수 없습니다.');
+            }
+
+            const nowMs = this.gameService.clock.nowMs();
+            if (contract.status !== 'available' ||
+                contract.posted_at <= toSqlTimestamp(nowMs - BOARD_LISTING_DAYS * 24 * 60 * 60 * 1000)) {
+                throw new Error('이미 수락되었거나 마감된 의뢰입니다.');
+            }
+
+            if (contract.giver_id === contractor.id) {
+                throw new Error('자신의 의뢰는 수락할 수 없습니다.');
+            }
+
+            if ((contractor.level || 1) < contract.required_level) {
+                throw new Error(`레벨 ${contract.required_level} 이상만 수락할 수 있습니다.`);
+            }
+
+            if (contractor.current_license < contract.required_license) {
+                throw new Error('라이센스 등급이 부족합니다.');
+            }
+
+            if (contractor.trust_points < contract.required_reputation) {
+                throw new Error('신뢰도가 부족합니다.');
+            }
+
+            await this.db.run(`
+                UPDATE trade_contracts SET
+                    contractor_id = ?, status = 'accepted', accepted_at = ?, deadline = ?
+                WHERE id = ?
+            `, [
+                contractor.id, toSqlTimestamp(nowMs),
+                toSqlTimestamp(nowMs + contract.time_limit_hours * 60 * 60 * 1000), contract.id
+            ]);
+
+            await this.db.run('COMMIT');
+
+            const updated = this.formatContract(await this.getContractRow(contract.id));
+            await this.notifyPlayer(contract.giver_id, 'contractAccepted', updated);
+
+            return {
+                success: true,
+                data: updated
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 인벤토리에서 배달 (부분 배달 가능, 모두 채우면 즉시 완료 정산)
+    async deliverItems(userId, contractId, items) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Array.isArray(items) || items.length === 0 ||
+                !items.every(item => typeof item?.inventoryId === 'string' && Number.isInteger(item.quantity) && item.quantity > 0)) {
+                throw new Error('배달할 아이템 목록이 올바르지 않습니다.');
+            }
+
+            const contractor = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!contractor) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const contract = await this.getContractRow(contractId);
+            if (!contract || contract.contractor_id !== contractor.id) {
+                throw new Error('수락한 의뢰만 배달할 수 있습니다.');
+            }
+
+            if (contract.status !== 'accepted' || contract.deadline <= this.gameService.clock.sqlTimestamp()) {
+                throw new Error('배달 기한이 지났거나 진행 중인 의뢰가 아닙니다.');
+            }
+
+            this.assertDeliveryLocation(contract, contractor);
+
+            const required = JSON.parse(contract.required_items);
+            const progress = JSON.parse(contract.progress || '{}');
+
+            for (const item of items) {
+                const row = await this.db.get(
+                    'SELECT item_id FROM inventory WHERE id = ? AND player_id = ?',
+                    [item.inventoryId, contractor.id]
+                );
+                if (!row) {
+                    throw new Error('배달할 아이템을 인벤토리에서 찾을 수 없습니다.');
+                }
+
+                const requirement = required.find(entry => entry.itemId === row.item_id);
+                if (!requirement) {
+                    throw new Error('의뢰에 필요하지 않은 아이템입니다.');
+                }
+
+                const remaining = requirement.quantity - (progress[row.item_id] || 0);
+                if (item.quantity > remaining) {
+                    throw new Error(`${requirement.name}은(는) ${remaining}개만 더 필요합니다.`);
+                }
+
+                await this.escrowService.holdItem(contractor.id, item.inventoryId, item.quantity, ESCROW_REFERENCE, contract.id);
+                progress[row.item_id] = (progress[row.item_id] || 0) + item.quantity;
+            }
+
+            const isComplete = required.every(entry => (progress[entry.itemId] || 0) >= entry.quantity);
+
+            await this.db.run(
+                'UPDATE trade_contracts SET progress = ? WHERE id = ?',
+                [JSON.stringify(progress), contract.id]
+            );
+
+            let experience = null;
+            if (isComplete) {
+                experience = await this.completeContract(contract, contractor);
+            }
+
+            await this.db.run('COMMIT');
+
+            const updated = this.formatContract(await this.getContractRow(contract.id));
+            await this.notifyPlayer(contract.giver_id, isComplete ? 'contractCompleted' : 'contractProgress', updated);
+
+            return {
+                success: true,
+                data: {
+                    contract: updated,
+                    completed: isComplete,
+                    experienceGained: experience?.experienceGained || 0
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 완료 정산: 배달품은 의뢰인에게, 보상은 수행자에게 (트랜잭션 안에서 호출)
+    // 어느 쪽이든 소지 무게/인벤토리 칸이 부족하면 정산하지 않고 오류
+    async completeContract(contract, contractor) {
+        const holds = await this.escrowService.getHolds(ESCROW_REFERENCE, contract.id);
+        const giverItems = holds.filter(hold => hold.hold_type === 'item' && hold.player_id === contract.giver_id);
+        const deliveredItems = holds.filter(hold => hold.hold_type === 'item' && hold.player_id === contractor.id);
+
+        const giver = await this.db.get('SELECT * FROM players WHERE id = ?', [contract.giver_id]);
+        await this.gameService.assertCanReceive(contractor, giverItems, deliveredItems);
+        await this.gameService.assertCanReceive(giver, deliveredItems, giverItems);
+
+        for (const hold of holds) {
+            const receiverId = hold.player_id === contract.giver_id ? contractor.id : contract.giver_id;
+            await this.escrowService.transferHold(hold, receiverId);
+        }
+
+        await this.db.run(`
+            UPDATE trade_contracts SET status = 'completed', completed_at = ?
+            WHERE id = ?
+        `, [this.gameService.clock.sqlTimestamp(), contract.id]);
+
+        await this.db.run(
+            'UPDATE players SET trust_points = trust_points + 1 WHERE id = ?',
+            [contractor.id]
+        );
+
+        return contract.reward_experience > 0
+            ? await this.gameService.giveExperience(contractor.id, contract.reward_experience)
+            : null;
+    }
+
+    // ✅ 의뢰 취소 (수락 전만, 보상 반환)
+    async cancelContract(userId, contractId) {
+        let releaseTransaction = null;
+
+        try {
+            const giver = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!giver) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const contract = await this.getContractRow(contractId);
+            if (!contract || contract.giver_type !== 'player' || contract.giver_id !== giver.id) {
+                throw new Error('자신이 게시한 의뢰만 취소할 수 있습니다.');
+            }
+
+            if (contract.status !== 'available') {
+                throw new Error('수락된 의뢰는 취소할 수 없습니다.');
+            }
+
+            await this.escrowService.releaseHolds(ESCROW_REFERENCE, contract.id);
+            await this.db.run("UPDATE trade_contracts SET status = 'cancelled' WHERE id = ?", [contract.id]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: this.formatContract(await this.getContractRow(contract.id))
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 기한 정리: 수락되지 않은 의뢰는 만료, 기한 내 배달하지 못한 의뢰는 실패 (보관물 각자 반환)
+    async expireContracts() {
+        const nowMs = this.gameService.clock.nowMs();
+        const overdue = await this.db.all(`
+            SELECT * FROM trade_contracts
+            WHERE giver_type = 'player' AND (
+                (status = 'available' AND posted_at <= ?) OR
+                (status = 'accepted' AND deadline <= ?)
+            )
+        `, [toSqlTimestamp(nowMs - BOARD_LISTING_DAYS * 24 * 60 * 60 * 1000), toSqlTimestamp(nowMs)]);
+
+        let closedCount = 0;
+        for (const contract of overdue) {
+            const status = contract.status === 'accepted' ? 'failed' : 'expired';
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            let closed = false;
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                // 조회 이후 완료/취소된 의뢰는 건너뜀 (상태를 바꾼 경우에만 보관물 반환)
+                const updated = await this.db.get(
+                    'UPDATE trade_contracts SET status = ? WHERE id = ? AND status = ? RETURNING id',
+                    [status, contract.id, contract.status]
+                );
+                if (updated) {
+                    await this.escrowService.releaseHolds(ESCROW_REFERENCE, contract.id);
+                }
+                await this.db.run('COMMIT');
+                closed = Boolean(updated);
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                console.error(`의뢰 기한 처리 오류 (${contract.id}):`, error);
+            } finally {
+                releaseTransaction();
+            }
+
+            if (closed) {
+                closedCount++;
+                const payload = this.formatContract({ ...contract, status });
+                await this.notifyPlayer(contract.giver_id, 'contractClosed', payload);
+                if (contract.contractor_id) {
+                    await this.notifyPlayer(contract.contractor_id, 'contractClosed', payload);
+                }
+            }
+        }
+
+        return closedCount;
+    }
+
+    // ✅ 의뢰 게시판 (수락 가능한 의뢰, 만료 처리는 서버 정기 작업에서)
+    async getBoard({ limit = 50 } = {}) {
+        const listedAfter = toSqlTimestamp(this.gameService.clock.nowMs() - BOARD_LISTING_DAYS * 24 * 60 * 60 * 1000);
+        const contracts = await this.db.all(`
+            SELECT * FROM trade_contracts
+            WHERE giver_type = 'player' AND status = 'available' AND posted_at > ?
+            ORDER BY posted_at DESC
+            LIMIT ?
+        `, [listedAfter, limit]);
+
+        return contracts.map(contract => this.formatContract(contract));
+    }
+
+    // ✅ 내 의뢰 (게시한 것 / 수행 중인 것)
+    async getMyContracts(userId) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const contracts = await this.db.all(`
+                SELECT * FROM trade_contracts
+                WHERE giver_type = 'player' AND (giver_id = ? OR contractor_id = ?)
+                ORDER BY posted_at DESC
+                LIMIT 100
+            `, [player.id, player.id]);
+
+            return {
+                success: true,
+                data: {
+                    posted: contracts.filter(contract => contract.giver_id === player.id).map(contract => this.formatContract(contract)),
+                    accepted: contracts.filter(contract => contract.contractor_id === player.id).map(contract => this.formatContract(contract))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async getContract(contractId) {
+        const contract = await this.getContractRow(contractId);
+        return contract && contract.giver_type === 'player' ? this.formatContract(contract) : null;
+    }
+
+    async getContractRow(contractId) {
+        return await this.db.get('SELECT * FROM trade_contracts WHERE id = ?', [contractId]);
+    }
+
+    assertDeliveryLocation(contract, contractor) {
+        if (!contract.location_restriction) return;
+
+        const { lat, lng, radiusKm } = JSON.parse(contract.location_restriction);
+        const distance = this.gameService.calculateDistance(
+            contractor.location_lat, contractor.location_lng, lat, lng
+        );
+
+        if (distance > radiusKm) {
+            throw new Error(`배달 지점 ${radiusKm}km 이내에서만 배달할 수 있습니다.`);
+        }
+    }
+
+    async notifyPlayer(playerId, event, payload) {
+        const player = await this.db.get('SELECT user_id FROM players WHERE id = ?', [playerId]);
+        if (player) {
+            this.notify(player.user_id, event, payload);
+        }
+    }
+
+    validateTerms({ requiredItems, rewardGold, rewardItems, timeLimitHours, deliveryLocation }) {
+        if (!Array.isArray(requiredItems) || requiredItems.length === 0 || requiredItems.length > MAX_REQUIRED_ITEMS ||
+            !requiredItems.every(item => typeof item?.itemId === 'string' && Number.isInteger(item.quantity) && item.quantity > 0) ||
+            new Set(requiredItems.map(item => item.itemId)).size !== requiredItems.length) {
+            throw new Error('배달받을 아이템 목록이 올바르지 않습니다.');
+        }
+
+        if (!Array.isArray(rewardItems) || rewardItems.length > MAX_REWARD_ITEMS ||
+            !rewardItems.every(item => typeof item?.inventoryId === 'string' && Number.isInteger(item.quantity) && item.quantity > 0) ||
+            new Set(rewardItems.map(item => item.inventoryId)).size !== rewardItems.length) {
+            throw new Error('보상 아이템 목록이 올바르지 않습니다.');
+        }
+
+        if (!Number.isInteger(rewardGold) || rewardGold < 0) {
+            throw new Error('보상 골드가 올바르지 않습니다.');
+        }
+
+        if (rewardGold === 0 && rewardItems.length === 0) {
+            throw new Error('보상을 하나 이상 걸어야 합니다.');
+        }
+
+        if (!Number.isInteger(timeLimitHours) || timeLimitHours < 1 || timeLimitHours > MAX_TIME_LIMIT_HOURS) {
+            throw new Error(`제한 시간은 1-${MAX_TIME_LIMIT_HOURS}시간이어야 합니다.`);
+        }
+
+        if (deliveryLocation !== null) {
+            const { lat, lng, radiusKm } = deliveryLocation;
+            if (typeof lat !== 'number' || typeof lng !== 'number' ||
+                typeof radiusKm !== 'number' || radiusKm <= 0 || radiusKm > MAX_DELIVERY_RADIUS_KM) {
+                throw new Error('배달 지점 정보가 올바르지 않습니다.');
+            }
+        }
+    }
+
+    formatContract(contract) {
+        return {
+            id: contract.id,
+            type: contract.contract_type,
+            giverId: contract.giver_id,
+            contractorId: contract.contractor_id,
+            title: contract.title,
+            description: contract.description,
+            requiredItems: JSON.parse(contract.required_items),
+            progress: JSON.parse(contract.progress || '{}'),
+            rewardGold: contract.reward_gold,
+            rewardItems: JSON.parse(contract.reward_items || '[]'),
+            rewardExperience: contract.reward_experience,
+            experienceFee: contract.reward_experience * EXPERIENCE_FEE_PER_POINT,
+            requirements: {
+                level: contract.required_level,
+                license: contract.required_license,
+                reputation: contract.required_reputation
+            },
+            timeLimitHours: contract.time_limit_hours,
+            deliveryLocation: contract.location_restriction ? JSON.parse(contract.location_restriction) : null,
+            status: contract.status,
+            postedAt: contract.posted_at,
+            acceptedAt: contract.accepted_at,
+            deadline: contract.deadline,
+            completedAt: contract.completed_at
+        };
+    }
+}
+
+export default ContractService;
@@ -0,0 +1,300 @@
+// 📁 src/services/CraftingService.js - 아이템 제작
+// item_master.crafting_recipe 에 따라 재료와 골드를 소모해 아이템을 만든다.
+// 성공 확률은 레시피 기본 확률 + 지능/감정 스킬 보정, 실패하면 재료와 골드만 소모된다.
+// 제작품은 inventory.crafted_by 로, 모든 시도는 crafting_history 로 남겨 업적/통계에서 집계한다
+import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// crafting_recipe 예시:
+// { "materials": [{ "item_id": "it_rare_1", "quantity": 2 }], "gold": 3000, "required_level": 3, "required_license": 2,
+//   "required_merchant": "merchant_gangnam_1", "station": "artisan", "success_rate": 0.6, "output_quantity": 1 }
+// required_merchant 는 특정 상인, station 은 해당 유형(merchants.type)의 상인이면 어디서나 제작 가능
+
+// 제작 상인/작업장과의 거리 제한 (km)
+const MAX_STATION_DISTANCE_KM = 0.5;
+
+// 지능 10 기준, 1포인트당 +0.5%p (최대 +10%p)
+const INTELLIGENCE_BASELINE = 10;
+const INTELLIGENCE_RATE_PER_POINT = 0.005;
+const MAX_INTELLIGENCE_BONUS = 0.1;
+
+// 감정 스킬 1 기준, 1레벨당 +1%p (최대 +10%p)
+const APPRAISAL_BASELINE = 1;
+const APPRAISAL_RATE_PER_LEVEL = 0.01;
+const MAX_APPRAISAL_BONUS = 0.1;
+
+const DEFAULT_SUCCESS_RATE = 1.0;
+const MIN_SUCCESS_RATE = 0.01;
+
+class CraftingService {
+    constructor(database, gameService) {
+        this.db = database;
+        this.gameService = gameService;
+    }
+
+    // ✅ 제작 가능한 레시피 목록 (조건 충족 여부, 보유 재료, 성공 확률)
+    async getRecipes(userId) {
+        try {
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const items = await this.db.all(`
+                SELECT * FROM item_master WHERE crafting_recipe IS NOT NULL ORDER BY base_price
+            `);
+            const stats = await this.gameService.getEffectiveStats(player.id);
+
+            const recipes = [];
+            for (const item of items) {
+                const recipe = await this.parseRecipe(item);
+
+                const materials = [];
+                for (const material of recipe.materials) {
+                    materials.push({
+                        ...material,
+                        owned: await this.countMaterial(player.id, material.itemId)
+                    });
+                }
+
+                recipes.push({
+                    itemId: item.id,
+                    name: item.name,
+                    rarity: item.rarity,
+                    outputQuantity: recipe.outputQuantity,
+                    requiredGold: recipe.gold,
+                    requiredLevel: recipe.requiredLevel,
+                    requiredLicense: recipe.requiredLicense,
+                    requiredMerchantId: recipe.requiredMerchant,
+                    station: recipe.station,
+                    materials: materials,
+                    successRate: this.calculateSuccessRate(recipe, stats),
+                    meetsRequirements: (stats?.level || 1) >= recipe.requiredLevel &&
+                        player.current_license >= recipe.requiredLicense &&
+                        player.money >= recipe.gold &&
+                        materials.every(material => material.owned >= material.quantity)
+                });
+            }
+
+            return {
+                success: true,
+                data: recipes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 제작 (조건 확인 → 재료/골드 소모 → 성공 판정 → 결과물 지급, 한 트랜잭션)
+    async craftItem(userId, itemId, merchantId = null) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.db.get('SELECT * FROM item_master WHERE id = ?', [itemId]);
+            if (!item || !item.crafting_recipe) {
+                throw new Error('제작할 수 없는 아이템입니다.');
+            }
+
+            const recipe = await this.parseRecipe(item);
+            const stats = await this.gameService.getEffectiveStats(player.id);
+
+            if ((stats?.level || 1) < recipe.requiredLevel) {
+                throw new Error(`레벨 ${recipe.requiredLevel} 이상부터 제작할 수 있습니다.`);
+            }
+
+            if (player.current_license < recipe.requiredLicense) {
+                throw new Error(`면허 ${recipe.requiredLicense}등급 이상부터 제작할 수 있습니다.`);
+            }
+
+            if (recipe.requiredMerchant || recipe.station) {
+                await this.checkStation(player, recipe, merchantId);
+            }
+
+            for (const material of recipe.materials) {
+                await this.consumeMaterial(player.id, material);
+            }
+
+            if (recipe.gold > 0) {
+                const charged = await this.db.get(
+                    'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                    [recipe.gold, player.id, recipe.gold]
+                );
+                if (!charged) {
+                    throw new Error('제작 비용이 부족합니다.');
+                }
+            }
+
+            // 재료는 이미 이 트랜잭션에서 빠졌으므로 현재 인벤토리 기준으로 결과물 자리 확인 (성공 판정 전에)
+            await this.gameService.assertCanReceive(player, [{ item_id: item.id, quantity: recipe.outputQuantity }]);
+
+            const successRate = this.calculateSuccessRate(recipe, stats);
+            const succeeded = this.gameService.random.next() < successRate;
+
+            let inventoryIds = [];
+            if (succeeded) {
+                ({ inventoryIds } = await this.gameService.addToInventory(player, item, recipe.outputQuantity, {
+                    marketValue: item.base_price,
+                    craftedBy: player.id
+                }));
+            }
+
+            await this.db.run(`
+                INSERT INTO crafting_history (
+                    id, player_id, item_id, quantity, succeeded, success_rate, gold_spent, materials_used, merchant_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                uuidv4(), player.id, item.id, recipe.outputQuantity, succeeded ? 1 : 0, successRate,
+                recipe.gold, JSON.stringify(recipe.materials), merchantId
+            ]);
+
+            // ✅ 업적 체크 (제작 후)
+            const newAchievements = succeeded ? await this.gameService.checkAchievements(player.id) : [];
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    succeeded: succeeded,
+                    successRate: successRate,
+                    goldSpent: recipe.gold,
+                    materialsUsed: recipe.materials,
+                    newMoney: player.money - recipe.gold,
+                    craftedItem: succeeded ? {
+                        itemId: item.id,
+                        name: item.name,
+                        quantity: recipe.outputQuantity,
+                        inventoryIds: inventoryIds
+                    } : null,
+                    newAchievements: newAchievements
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 지정 상인/작업장 확인 (가까이 있어야 함)
+    async checkStation(player, recipe, merchantId) {
+        if (!merchantId) {
+            throw new Error('제작할 상인(작업장)을 지정해야 합니다.');
+        }
+
+        if (recipe.requiredMerchant && recipe.requiredMerchant !== merchantId) {
+            throw new Error('이 아이템은 지정된 상인에게서만 제작할 수 있습니다.');
+        }
+
+        const merchant = await this.db.get('SELECT * FROM merchants WHERE id = ? AND is_active = 1', [merchantId]);
+        if (!merchant) {
+            throw new Error('상인을 찾을 수 없습니다.');
+        }
+
+        if (recipe.station && merchant.type !== recipe.station) {
+            throw new Error('이 상인에게서는 제작할 수 없는 아이템입니다.');
+        }
+
+        const distance = this.gameService.calculateDistance(
+            player.location_lat, player.location_lng,
+            merchant.location_lat, merchant.location_lng
+        );
+        if (distance > MAX_STATION_DISTANCE_KM) {
+            throw new Error('상인과 너무 멀리 떨어져 있습니다.');
+        }
+    }
+
+    // 레시피 확률 + 지능/감정 스킬 보정
+    calculateSuccessRate(recipe, stats) {
+        const intelligenceBonus = Math.min(
+            ((stats?.intelligence ?? INTELLIGENCE_BASELINE) - INTELLIGENCE_BASELINE) * INTELLIGENCE_RATE_PER_POINT,
+            MAX_INTELLIGENCE_BONUS
+        );
+        const appraisalBonus = Math.min(
+            ((stats?.appraisal_skill ?? APPRAISAL_BASELINE) - APPRAISAL_BASELINE) * APPRAISAL_RATE_PER_LEVEL,
+            MAX_APPRAISAL_BONUS
+        );
+
+        const rate = Math.min(1, Math.max(MIN_SUCCESS_RATE, recipe.successRate + intelligenceBonus + appraisalBonus));
+        return Math.round(rate * 1000) / 1000;
+    }
+
+    // 재료 차감 (잠기지/장착/강화되지 않은 슬롯에서 오래된 순으로)
+    async consumeMaterial(playerId, material) {
+        const slots = await this.db.all(`
+            SELECT * FROM inventory
+            WHERE player_id = ? AND item_id = ?
+            AND is_locked = 0 AND is_equipped = 0 AND enhancement_level = 0
+            AND enchantments IS NULL AND socket_gems IS NULL
+            ORDER BY acquired_at ASC
+        `, [playerId, material.itemId]);
+
+        let remaining = material.quantity;
+        for (const slot of slots) {
+            if (remaining <= 0) break;
+
+            const used = Math.min(slot.quantity, remaining);
+            await this.gameService.removeFromInventory(slot, used);
+            remaining -= used;
+        }
+
+        if (remaining > 0) {
+            throw new Error(`제작 재료가 부족합니다: ${material.name}`);
+        }
+    }
+
+    async countMaterial(playerId, itemId) {
+        const row = await this.db.get(`
+            SELECT COALESCE(SUM(quantity), 0) as total
+            FROM inventory
+            WHERE player_id = ? AND item_id = ?
+            AND is_locked = 0 AND is_equipped = 0 AND enhancement_level = 0
+            AND enchantments IS NULL AND socket_gems IS NULL
+        `, [playerId, itemId]);
+        return row.total;
+    }
+
+    // 레시피 파싱 (재료 이름 포함)
+    async parseRecipe(item) {
+        const recipe = JSON.parse(item.crafting_recipe);
+        const materials = recipe.materials || [];
+        const names = materials.length > 0 ? await this.db.all(
+            `SELECT id, name FROM item_master WHERE id IN (${materials.map(() => '?').join(', ')})`,
+            materials.map(material => material.item_id)
+        ) : [];
+
+        return {
+            materials: materials.map(material => ({
+                itemId: material.item_id,
+                name: names.find(row => row.id === material.item_id)?.name || material.item_id,
+                quantity: material.quantity
+            })),
+            gold: recipe.gold || 0,
+            requiredLevel: recipe.required_level || item.required_level || 1,
+            requiredLicense: recipe.required_license || item.required_license || 1,
+            requiredMerchant: recipe.required_merchant || null,
+            station: recipe.station || null,
+            successRate: recipe.success_rate ?? DEFAULT_SUCCESS_RATE,
+            outputQuantity: recipe.output_quantity || 1
+        };
+    }
+}
+
+export default CraftingService;
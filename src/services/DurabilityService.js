@@ -0,0 +1,168 @@
+// 📁 src/services/DurabilityService.js - 내구도 감소와 상인 수리
+// 내구도는 한 개씩 다루는 비소모품(겹치지 않는 아이템)에만 있다.
+// 장착한 아이템은 거래할 때마다 닳고, 일부 하위 카테고리는 시간이 지나면 저절로 낡는다.
+// 내구도가 낮을수록 판매가가 내려가며, 수리는 상인 서비스(MerchantServicesService 의 'repair' 핸들러)로만 할 수 있다
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// item_master.durability 가 없을 때의 최대 내구도
+const DEFAULT_MAX_DURABILITY = 100;
+
+// 장착 아이템이 거래 1회마다 잃는 내구도
+const WEAR_PER_TRADE = 1;
+
+// 시간 경과로 낡는 하위 카테고리 (하루당 감소량)
+const DECAY_PER_DAY_BY_SUBCATEGORY = {
+    electronics: 2,
+    cosmetics: 3,
+    luxury: 1,
+    books: 1
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 내구도 0 일 때 판매가 비율 (내구도에 비례해 100%까지)
+const MIN_DURABILITY_PRICE_RATE = 0.4;
+
+// 수리비: 서비스 기본 요금 + 잃은 내구도 1당 기본가의 0.5%
+const REPAIR_COST_PER_POINT_RATE = 0.005;
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+const fromSqlTimestamp = (value) => new Date(value.replace(' ', 'T') + 'Z').getTime();
+
+class DurabilityService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.gameService = options.gameService;
+        this.clock = options.clock;
+    }
+
+    hasDurability(item) {
+        return !item.is_stackable && !item.is_consumable;
+    }
+
+    getMaxDurability(item) {
+        return item.durability || DEFAULT_MAX_DURABILITY;
+    }
+
+    getCurrentDurability(item) {
+        return item.current_durability ?? this.getMaxDurability(item);
+    }
+
+    // ✅ 내구도에 따른 판매가 비율 (내구도가 없는 아이템은 1)
+    getPriceRate(item) {
+        if (!this.hasDurability(item)) return 1;
+
+        const ratio = Math.min(1, this.getCurrentDurability(item) / this.getMaxDurability(item));
+        return MIN_DURABILITY_PRICE_RATE + (1 - MIN_DURABILITY_PRICE_RATE) * ratio;
+    }
+
+    // ✅ 장착 아이템 사용 마모 (거래 트랜잭션 안에서 호출)
+    async wearEquippedItems(playerId) {
+        await this.db.run(`
+            UPDATE inventory
+            SET current_durability = MAX(0, COALESCE(
+                    current_durability,
+                    (SELECT durability FROM item_master WHERE id = inventory.item_id),
+                    ?
+                ) - ?),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE player_id = ? AND is_equipped = 1
+            AND item_id IN (SELECT id FROM item_master WHERE is_stackable = 0 AND is_consumable = 0)
+        `, [DEFAULT_MAX_DURABILITY, WEAR_PER_TRADE, playerId]);
+    }
+
+    // ✅ 시간 경과 감소 (하루 단위로 누적 반영, 감소한 아이템 수 반환)
+    async decayOverTime() {
+        const subcategories = Object.keys(DECAY_PER_DAY_BY_SUBCATEGORY);
+        const releaseTransaction = await acquireTransactionLock(this.db);
+        try {
+            await this.db.run('BEGIN TRANSACTION');
+
+            const items = await this.db.all(`
+                SELECT i.id, i.current_durability, i.acquired_at, i.durability_checked_at,
+                       im.subcategory, im.durability
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE im.subcategory IN (${subcategories.map(() => '?').join(', ')})
+                AND im.is_stackable = 0 AND im.is_consumable = 0
+                AND COALESCE(i.current_durability, 1) > 0
+            `, subcategories);
+
+            const nowMs = this.clock.nowMs();
+            let decayed = 0;
+            for (const item of items) {
+                const checkedAtMs = fromSqlTimestamp(item.durability_checked_at || item.acquired_at);
+                const days = Math.floor((nowMs - checkedAtMs) / DAY_MS);
+                if (days < 1) continue;
+
+                const durability = Math.max(
+                    0,
+                    this.getCurrentDurability(item) - days * DECAY_PER_DAY_BY_SUBCATEGORY[item.subcategory]
+                );
+                await this.db.run(`
+                    UPDATE inventory SET current_durability = ?, durability_checked_at = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [durability, toSqlTimestamp(checkedAtMs + days * DAY_MS), item.id]);
+                decayed++;
+            }
+
+            await this.db.run('COMMIT');
+            return decayed;
+        } catch (error) {
+            await this.db.run('ROLLBACK');
+            throw error;
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    // 최대 내구도로 복구 (트랜잭션 안에서 호출)
+    async restoreDurability(item) {
+        const maxDurability = this.getMaxDurability(item);
+        await this.db.run(`
+            UPDATE inventory SET current_durability = ?, durability_checked_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [maxDurability, this.clock.sqlTimestamp(), item.id]);
+
+        return {
+            inventoryId: item.id,
+            itemId: item.item_id,
+            name: item.name,
+            previousDurability: this.getCurrentDurability(item),
+            currentDurability: maxDurability,
+            maxDurability: maxDurability
+        };
+    }
+
+    async getRepairableItem(playerId, inventoryId) {
+        const item = await this.db.get(`
+            SELECT i.*, im.name, im.base_price, im.durability, im.is_stackable, im.is_consumable
+            FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.id = ? AND i.player_id = ?
+        `, [inventoryId, playerId]);
+        if (!item) {
+            throw new Error('해당 아이템을 찾을 수 없습니다.');
+        }
+
+        if (item.is_locked) {
+            throw new Error('잠긴 아이템은 수리할 수 없습니다.');
+        }
+
+        if (!this.hasDurability(item)) {
+            throw new Error('내구도가 없는 아이템입니다.');
+        }
+
+        if (this.getCurrentDurability(item) >= this.getMaxDurability(item)) {
+            throw new Error('수리할 필요가 없는 아이템입니다.');
+        }
+
+        return item;
+    }
+
+    calculateRepairCost(item, service) {
+        const missing = this.getMaxDurability(item) - this.getCurrentDurability(item);
+        return Math.round((service.base_cost || 0) + missing * item.base_price * REPAIR_COST_PER_POINT_RATE);
+    }
+}
+
+export default DurabilityService;
@@ -0,0 +1,360 @@
+// 📁 src/services/EnhancementService.js - 아이템 강화
+// item_enhancement 레시피에 따라 재료와 골드를 소모해 강화 단계를 올린다.
+// 성공 확률은 레시피 기본 확률 + 행운 보정, 실패하면 레시피의 패널티(하락/내구도 감소/파괴)를 적용한다
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+const ENHANCEMENT_TYPE = 'enhance';
+
+// 강화 상인과의 거리 제한 (km)
+const MAX_MERCHANT_DISTANCE_KM = 0.5;
+
+// 레시피에 최대 단계가 없을 때
+const DEFAULT_MAX_LEVEL = 10;
+
+// 행운 10 기준, 1포인트당 ±0.5%p (최대 +15%p)
+const LUCK_BASELINE = 10;
+const LUCK_RATE_PER_POINT = 0.005;
+const MAX_LUCK_BONUS = 0.15;
+
+const MIN_SUCCESS_RATE = 0.01;
+
+// 내구도 패널티 기본값
+const DEFAULT_DURABILITY_LOSS = 10;
+const DEFAULT_DURABILITY = 100;
+
+class EnhancementService {
+    constructor(database, gameService) {
+        this.db = database;
+        this.gameService = gameService;
+    }
+
+    // ✅ 강화 정보 조회 (레시피, 다음 단계 비용/확률, 보유 재료)
+    async getEnhancementInfo(userId, inventoryId) {
+        try {
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.getInventoryItem(player.id, inventoryId);
+            const recipe = await this.getRecipe(item.item_id);
+            if (!recipe) {
+                throw new Error('강화할 수 없는 아이템입니다.');
+            }
+
+            const materials = [];
+            for (const material of recipe.materials) {
+                materials.push({
+                    ...material,
+                    owned: await this.countMaterial(player.id, material.itemId, item.id)
+                });
+            }
+
+            const nextLevel = item.enhancement_level + 1;
+
+            return {
+                success: true,
+                data: {
+                    inventoryId: item.id,
+                    itemId: item.item_id,
+                    name: item.name,
+                    enhancementLevel: item.enhancement_level,
+                    enhancementStats: item.enhancement_stats ? JSON.parse(item.enhancement_stats) : {},
+                    maxLevel: recipe.maxLevel,
+                    requiredMerchantId: recipe.required_npc,
+                    next: nextLevel > recipe.maxLevel ? null : {
+                        level: nextLevel,
+                        requiredGold: this.calculateGoldCost(recipe, item.enhancement_level),
+                        successRate: await this.calculateSuccessRate(recipe, player.id),
+                        materials: materials,
+                        resultStats: this.calculateStats(recipe, nextLevel),
+                        failurePenalty: recipe.penalty
+                    }
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 강화 시도 (재료/골드 소모 → 성공 판정 → 결과 또는 패널티 적용)
+    async enhanceItem(userId, inventoryId, merchantId) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const merchant = await this.db.get('SELECT * FROM merchants WHERE id = ?', [merchantId]);
+            if (!merchant) {
+                throw new Error('상인을 찾을 수 없습니다.');
+            }
+
+            const distance = this.gameService.calculateDistance(
+                player.location_lat, player.location_lng,
+                merchant.location_lat, merchant.location_lng
+            );
+            if (distance > MAX_MERCHANT_DISTANCE_KM) {
+                throw new Error('상인과 너무 멀리 떨어져 있습니다.');
+            }
+
+            const result = await this.enhanceInTransaction(player, merchant, inventoryId);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 강화 본 처리 (트랜잭션 안에서 호출, 상인 거리 확인은 호출자 몫)
+    // 상인 서비스로 맡길 때는 레시피 골드 대신 서비스 요금을 받으므로 chargeGold = false,
+    // rateMultiplier 는 서비스 성공률(merchant_services.success_rate)
+    async enhanceInTransaction(player, merchant, inventoryId, { chargeGold = true, rateMultiplier = 1 } = {}) {
+        const item = await this.getInventoryItem(player.id, inventoryId);
+        if (item.is_locked) {
+            throw new Error('잠긴 아이템은 강화할 수 없습니다.');
+        }
+
+        // 실패 패널티(파괴)가 장착 슬롯에 남은 행을 지우지 않도록 장착 해제 후에만 강화
+        if (item.is_equipped) {
+            throw new Error('장착 중인 아이템은 강화할 수 없습니다. 먼저 장착을 해제하세요.');
+        }
+
+        if (item.quantity !== 1) {
+            throw new Error('한 개씩 나누어진 아이템만 강화할 수 있습니다.');
+        }
+
+        const recipe = await this.getRecipe(item.item_id);
+        if (!recipe) {
+            throw new Error('강화할 수 없는 아이템입니다.');
+        }
+
+        if (item.enhancement_level >= recipe.maxLevel) {
+            throw new Error('이미 최대 강화 단계입니다.');
+        }
+
+        if (recipe.required_npc && recipe.required_npc !== merchant.id) {
+            throw new Error('이 아이템은 지정된 상인에게서만 강화할 수 있습니다.');
+        }
+
+        // 재료 소모 (대상 아이템 자신은 재료로 쓰지 않음)
+        for (const material of recipe.materials) {
+            await this.consumeMaterial(player.id, material, item.id);
+        }
+
+        const goldCost = chargeGold ? this.calculateGoldCost(recipe, item.enhancement_level) : 0;
+        if (goldCost > 0) {
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [goldCost, player.id, goldCost]
+            );
+            if (!charged) {
+                throw new Error('강화 비용이 부족합니다.');
+            }
+        }
+
+        const successRate = await this.calculateSuccessRate(recipe, player.id, rateMultiplier);
+        const succeeded = this.gameService.random.next() < successRate;
+
+        const outcome = succeeded
+            ? await this.applyLevel(item, recipe, item.enhancement_level + 1)
+            : await this.applyPenalty(item, recipe);
+
+        return {
+            succeeded: succeeded,
+            successRate: successRate,
+            goldSpent: goldCost,
+            materialsUsed: recipe.materials,
+            newMoney: player.money - goldCost,
+            ...outcome
+        };
+    }
+
+    // 실패 패널티 적용 (트랜잭션 안에서 호출)
+    async applyPenalty(item, recipe) {
+        const penalty = recipe.penalty;
+
+        switch (penalty.type) {
+            case 'downgrade': {
+                const level = Math.max(0, item.enhancement_level - (penalty.levels || 1));
+                return { penalty: 'downgrade', ...await this.applyLevel(item, recipe, level) };
+            }
+            case 'durability': {
+                const current = item.current_durability ?? item.durability ?? DEFAULT_DURABILITY;
+                const durability = Math.max(0, current - (penalty.amount || DEFAULT_DURABILITY_LOSS));
+                await this.db.run(
+                    'UPDATE inventory SET current_durability = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [durability, item.id]
+                );
+                return {
+                    penalty: 'durability',
+                    item: this.formatItem({ ...item, current_durability: durability })
+                };
+            }
+            case 'destroy':
+                await this.db.run('DELETE FROM inventory WHERE id = ?', [item.id]);
+                return { penalty: 'destroy', destroyed: true, item: null };
+            default:
+                return { penalty: 'none', item: this.formatItem(item) };
+        }
+    }
+
+    // 강화 단계와 그에 따른 능력치/시장 가치 반영
+    async applyLevel(item, recipe, level) {
+        const stats = this.calculateStats(recipe, level);
+        const marketValue = level > 0
+            ? Math.round(item.base_price * (1 + (stats.value_bonus || 0)))
+            : item.purchase_price;
+
+        await this.db.run(`
+            UPDATE inventory
+            SET enhancement_level = ?, enhancement_stats = ?, market_value = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [level, level > 0 ? JSON.stringify(stats) : null, marketValue, item.id]);
+
+        return {
+            item: this.formatItem({
+                ...item,
+                enhancement_level: level,
+                enhancement_stats: level > 0 ? JSON.stringify(stats) : null,
+                market_value: marketValue
+            })
+        };
+    }
+
+    // 단계별 누적 능력치 (result_stats.stats 와 value_bonus 는 1단계당 값)
+    calculateStats(recipe, level) {
+        const stats = {};
+        for (const [stat, perLevel] of Object.entries(recipe.perLevelStats)) {
+            stats[stat] = Math.round(perLevel * level * 1000) / 1000;
+        }
+        return stats;
+    }
+
+    // 단계가 오를수록 비용 증가 (다음 단계 × 기본 골드)
+    calculateGoldCost(recipe, currentLevel) {
+        return recipe.required_gold * (currentLevel + 1);
+    }
+
+    // 레시피 확률 + 행운 보정 (상인 서비스 성공률 배수 반영)
+    async calculateSuccessRate(recipe, playerId, rateMultiplier = 1) {
+        const stats = await this.gameService.getEffectiveStats(playerId);
+        const luckBonus = Math.min(((stats?.luck ?? LUCK_BASELINE) - LUCK_BASELINE) * LUCK_RATE_PER_POINT, MAX_LUCK_BONUS);
+
+        const rate = Math.min(1, Math.max(MIN_SUCCESS_RATE, (recipe.success_rate + luckBonus) * rateMultiplier));
+        return Math.round(rate * 1000) / 1000;
+    }
+
+    // 재료 차감 (잠기지/장착/강화되지 않은 슬롯에서 오래된 순으로)
+    async consumeMaterial(playerId, material, excludeInventoryId) {
+        const slots = await this.db.all(`
+            SELECT * FROM inventory
+            WHERE player_id = ? AND item_id = ? AND id != ?
+            AND is_locked = 0 AND is_equipped = 0 AND enhancement_level = 0
+            AND enchantments IS NULL AND socket_gems IS NULL
+            ORDER BY acquired_at ASC
+        `, [playerId, material.itemId, excludeInventoryId]);
+
+        let remaining = material.quantity;
+        for (const slot of slots) {
+            if (remaining <= 0) break;
+
+            const used = Math.min(slot.quantity, remaining);
+            await this.gameService.removeFromInventory(slot, used);
+            remaining -= used;
+        }
+
+        if (remaining > 0) {
+            throw new Error(`강화 재료가 부족합니다: ${material.name || material.itemId}`);
+        }
+    }
+
+    async countMaterial(playerId, itemId, excludeInventoryId) {
+        const row = await this.db.get(`
+            SELECT COALESCE(SUM(quantity), 0) as total
+            FROM inventory
+            WHERE player_id = ? AND item_id = ? AND id != ?
+            AND is_locked = 0 AND is_equipped = 0 AND enhancement_level = 0
+            AND enchantments IS NULL AND socket_gems IS NULL
+        `, [playerId, itemId, excludeInventoryId]);
+        return row.total;
+    }
+
+    async getInventoryItem(playerId, inventoryId) {
+        const item = await this.db.get(`
+            SELECT i.*, im.name, im.base_price, im.durability
+            FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.id = ? AND i.player_id = ?
+        `, [inventoryId, playerId]);
+
+        if (!item) {
+            throw new Error('해당 아이템을 찾을 수 없습니다.');
+        }
+
+        return item;
+    }
+
+    // 레시피 조회 (JSON 컬럼 파싱)
+    async getRecipe(itemId) {
+        const recipe = await this.db.get(
+            'SELECT * FROM item_enhancement WHERE base_item_id = ? AND enhancement_type = ?',
+            [itemId, ENHANCEMENT_TYPE]
+        );
+        if (!recipe) return null;
+
+        const materials = JSON.parse(recipe.required_materials || '[]');
+        const resultStats = JSON.parse(recipe.result_stats || '{}');
+        const names = materials.length > 0 ? await this.db.all(
+            `SELECT id, name FROM item_master WHERE id IN (${materials.map(() => '?').join(', ')})`,
+            materials.map(material => material.item_id)
+        ) : [];
+
+        return {
+            ...recipe,
+            materials: materials.map(material => ({
+                itemId: material.item_id,
+                name: names.find(row => row.id === material.item_id)?.name || material.item_id,
+                quantity: material.quantity
+            })),
+            maxLevel: resultStats.max_level || DEFAULT_MAX_LEVEL,
+            perLevelStats: { value_bonus: resultStats.value_bonus || 0, ...resultStats.stats },
+            penalty: recipe.failure_penalty ? JSON.parse(recipe.failure_penalty) : { type: 'none' }
+        };
+    }
+
+    formatItem(item) {
+        return {
+            id: item.id,
+            itemId: item.item_id,
+            name: item.name,
+            enhancementLevel: item.enhancement_level,
+            enhancementStats: item.enhancement_stats ? JSON.parse(item.enhancement_stats) : {},
+            currentDurability: item.current_durability ?? item.durability ?? DEFAULT_DURABILITY,
+            marketValue: item.market_value
+        };
+    }
+}
+
+export default EnhancementService;
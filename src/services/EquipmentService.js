@@ -0,0 +1,227 @@
+// 📁 src/services/EquipmentService.js - 장비 슬롯
+// 아이템 하위 카테고리별로 장착할 수 있는 슬롯이 정해져 있고, 슬롯마다 장착 개수 제한이 있다.
+// 장착 조건(레벨/면허/required_stats)은 item_master 기준, 능력치 합산은 ItemEffectService 에서 한다
+import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 슬롯별 장착 가능 하위 카테고리와 개수
+const EQUIPMENT_SLOTS = {
+    accessory: { name: '장신구', subcategories: ['luxury', 'cosmetics'], capacity: 2 },
+    tool: { name: '도구', subcategories: ['electronics', 'books'], capacity: 1 },
+    charm: { name: '부적', subcategories: ['crystal', 'gem', 'currency'], capacity: 2 },
+    relic: { name: '유물', subcategories: ['art', 'rare_material'], capacity: 1 }
+};
+
+class EquipmentService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.gameService = options.gameService;
+    }
+
+    // ✅ 장비 현황 (슬롯별 장착 아이템)
+    async getEquipment(userId) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const equipped = await this.db.all(`
+                SELECT i.*, im.name, im.subcategory, im.rarity
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.player_id = ? AND i.is_equipped = 1
+                ORDER BY i.updated_at
+            `, [player.id]);
+
+            return {
+                success: true,
+                data: {
+                    slots: Object.entries(EQUIPMENT_SLOTS).map(([slot, rule]) => ({
+                        slot: slot,
+                        name: rule.name,
+                        capacity: rule.capacity,
+                        subcategories: rule.subcategories,
+                        items: equipped.filter(item => item.equipment_slot === slot).map(item => this.formatEquippedItem(item))
+                    }))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 장착 (슬롯 규칙, 레벨/면허/필요 능력치 확인)
+    async equipItem(userId, inventoryId) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.db.get(`
+                SELECT i.*, im.name, im.subcategory, im.rarity, im.is_consumable,
+                       im.required_level, im.required_license, im.required_stats
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [inventoryId, player.id]);
+            if (!item) {
+                throw new Error('해당 아이템을 찾을 수 없습니다.');
+            }
+
+            if (item.is_equipped) {
+                throw new Error('이미 장착 중인 아이템입니다.');
+            }
+
+            if (item.is_locked) {
+                throw new Error('잠긴 아이템은 장착할 수 없습니다.');
+            }
+
+            const slot = this.getSlotFor(item);
+            if (!slot || item.is_consumable) {
+                throw new Error('장착할 수 없는 아이템입니다.');
+            }
+
+            const stats = await this.gameService.getStatBreakdown(player.id);
+            if (stats.level < (item.required_level || 1)) {
+                throw new Error(`레벨 ${item.required_level} 이상부터 장착할 수 있습니다.`);
+            }
+
+            if (player.current_license < (item.required_license || 1)) {
+                throw new Error(`면허 ${item.required_license}등급 이상부터 장착할 수 있습니다.`);
+            }
+
+            const requiredStats = item.required_stats ? JSON.parse(item.required_stats) : {};
+            for (const [stat, required] of Object.entries(requiredStats)) {
+                if ((stats.total[stat] || 0) < required) {
+                    throw new Error(`능력치가 부족합니다: ${stat} ${required} 필요`);
+                }
+            }
+
+            const occupied = await this.db.get(
+                'SELECT COUNT(*) as count FROM inventory WHERE player_id = ? AND is_equipped = 1 AND equipment_slot = ?',
+                [player.id, slot]
+            );
+            if (occupied.count >= EQUIPMENT_SLOTS[slot].capacity) {
+                throw new Error(`${EQUIPMENT_SLOTS[slot].name} 슬롯이 가득 찼습니다.`);
+            }
+
+            // 여러 개 쌓인 아이템은 1개를 새 슬롯으로 나눠 장착
+            const equippedId = item.quantity > 1 ? await this.splitOne(player, item) : item.id;
+
+            await this.db.run(`
+                UPDATE inventory SET is_equipped = 1, equipment_slot = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [slot, equippedId]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: this.formatEquippedItem({ ...item, id: equippedId, is_equipped: 1, equipment_slot: slot })
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 장착 해제
+    async unequipItem(userId, inventoryId) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const unequipped = await this.db.get(`
+                UPDATE inventory SET is_equipped = 0, equipment_slot = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND player_id = ? AND is_equipped = 1
+                RETURNING id
+            `, [inventoryId, player.id]);
+            if (!unequipped) {
+                throw new Error('장착 중인 아이템이 아닙니다.');
+            }
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    inventoryId: unequipped.id
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 스택에서 1개를 떼어 새 인벤토리 슬롯 생성 (트랜잭션 안에서 호출)
+    async splitOne(player, item) {
+        const currentInventoryCount = await this.db.get(
+            'SELECT COUNT(*) as count FROM inventory WHERE player_id = ?',
+            [player.id]
+        );
+        if (currentInventoryCount.count + 1 > await this.gameService.getInventoryCapacity(player)) {
+            throw new Error('인벤토리가 가득 차서 아이템을 나눌 수 없습니다.');
+        }
+
+        const inventoryId = uuidv4();
+        await this.db.run(`
+            INSERT INTO inventory (
+                id, player_id, item_id, quantity, current_durability, purchase_price, market_value, crafted_by, acquired_at
+            )
+            SELECT ?, player_id, item_id, 1, current_durability, purchase_price, market_value, crafted_by, acquired_at
+            FROM inventory WHERE id = ?
+        `, [inventoryId, item.id]);
+        await this.gameService.removeFromInventory(item, 1);
+
+        return inventoryId;
+    }
+
+    getSlotFor(item) {
+        return Object.keys(EQUIPMENT_SLOTS).find(slot => EQUIPMENT_SLOTS[slot].subcategories.includes(item.subcategory)) || null;
+    }
+
+    formatEquippedItem(item) {
+        return {
+            id: item.id,
+            itemId: item.item_id,
+            name: item.name,
+            rarity: item.rarity,
+            slot: item.equipment_slot,
+            enhancementLevel: item.enhancement_level || 0
+        };
+    }
+}
+
+export default EquipmentService;
@@ -0,0 +1,200 @@
+// 📁 src/services/EscrowService.js - 거래 대금/아이템 보관 (에스크로)
+// 보관 중인 골드는 플레이어 소지금에서 빠지고, 아이템은 잠긴(is_locked) 인벤토리 행으로 분리된다.
+// 모든 메서드는 트랜잭션 안에서 호출해야 함
+import { v4 as uuidv4 } from 'uuid';
+
+class EscrowService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // ✅ 골드 보관 (소지금에서 차감)
+    async holdGold(playerId, amount, referenceType, referenceId) {
+        const updated = await this.db.get(
+            'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+            [amount, playerId, amount]
+        );
+
+        if (!updated) {
+            throw new Error('돈이 부족합니다.');
+        }
+
+        const holdId = uuidv4();
+        await this.db.run(`
+            INSERT INTO escrow_holds (id, reference_type, reference_id, player_id, hold_type, amount)
+            VALUES (?, ?, ?, ?, 'gold', ?)
+        `, [holdId, referenceType, referenceId, playerId, amount]);
+
+        return holdId;
+    }
+
+    // ✅ 아이템 보관 (수량 일부만 보관하면 잠긴 행으로 분리)
+    async holdItem(playerId, inventoryId, quantity, referenceType, referenceId) {
+        const item = await this.db.get(
+            'SELECT * FROM inventory WHERE id = ? AND player_id = ?',
+            [inventoryId, playerId]
+        );
+
+        if (!item) {
+            throw new Error('인벤토리에서 아이템을 찾을 수 없습니다.');
+        }
+
+        if (item.is_locked || item.is_equipped) {
+            throw new Error('잠기거나 장착 중인 아이템은 거래할 수 없습니다.');
+        }
+
+        if (item.quantity < quantity) {
+            throw new Error('보유 수량이 부족합니다.');
+        }
+
+        let heldInventoryId = item.id;
+        if (item.quantity === quantity) {
+            await this.db.run(
+                'UPDATE inventory SET is_locked = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [item.id]
+            );
+        } else {
+            heldInventoryId = uuidv4();
+            await this.db.run(`
+                INSERT INTO inventory (
+                    id, player_id, item_id, quantity, current_durability, enhancement_level, enhancement_stats,
+                    custom_name, socket_gems, enchantments, crafted_by, purchase_price, market_value, is_locked, acquired_at
+                )
+                SELECT ?, player_id, item_id, ?, current_durability, enhancement_level, enhancement_stats,
+                       custom_name, socket_gems, enchantments, crafted_by, purchase_price, market_value, 1, acquired_at
+                FROM inventory WHERE id = ?
+            `, [heldInventoryId, quantity, item.id]);
+            await this.db.run(
+                'UPDATE inventory SET quantity = quantity - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [quantity, item.id]
+            );
+        }
+
+        const holdId = uuidv4();
+        await this.db.run(`
+            INSERT INTO escrow_holds (
+                id, reference_type, reference_id, player_id, hold_type, inventory_id, item_id, quantity
+            ) VALUES (?, ?, ?, ?, 'item', ?, ?, ?)
+        `, [holdId, referenceType, referenceId, playerId, heldInventoryId, item.item_id, quantity]);
+
+        return { holdId, inventoryId: heldInventoryId };
+    }
+
+    async getHolds(referenceType, referenceId) {
+        return await this.db.all(
+            "SELECT * FROM escrow_holds WHERE reference_type = ? AND reference_id = ? AND status = 'held' ORDER BY created_at",
+            [referenceType, referenceId]
+        );
+    }
+
+    // ✅ 보관 해제 (원래 주인에게 반환, playerId 를 주면 해당 플레이어 몫만)
+    async releaseHolds(referenceType, referenceId, playerId = null) {
+        const holds = (await this.getHolds(referenceType, referenceId))
+            .filter(hold => playerId === null || hold.player_id === playerId);
+
+        for (const hold of holds) {
+            if (hold.hold_type === 'gold') {
+                await this.db.run(
+                    'UPDATE players SET money = money + ? WHERE id = ?',
+                    [hold.amount, hold.player_id]
+                );
+            } else {
+                await this.db.run(
+                    'UPDATE inventory SET is_locked = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [hold.inventory_id]
+                );
+            }
+
+            await this.markHold(hold.id, 'released');
+        }
+
+        return holds;
+    }
+
+    // ✅ 보관물 인도 (골드는 상대 소지금으로, 아이템 행은 상대 소유로 이전)
+    async transferHold(hold, toPlayerId, { purchasePrice = null } = {}) {
+        if (hold.hold_type === 'gold') {
+            await this.db.run(
+                'UPDATE players SET money = money + ? WHERE id = ?',
+                [hold.amount, toPlayerId]
+            );
+        } else {
+            await this.db.run(`
+                UPDATE inventory SET
+                    player_id = ?, is_locked = 0, is_equipped = 0, equipment_slot = NULL,
+                    purchase_price = ?, acquired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [toPlayerId, purchasePrice, hold.inventory_id]);
+        }
+
+        await this.markHold(hold.id, 'settled');
+    }
+
+    // ✅ 보관 골드 일부 인도 (남은 금액이 0이 되면 정산 완료)
+    async transferGold(hold, toPlayerId, amount) {
+        await this.db.run(
+            'UPDATE players SET money = money + ? WHERE id = ?',
+            [amount, toPlayerId]
+        );
+        await this.reduceHold(hold, amount, 'settled');
+    }
+
+    // 보관 골드 일부 반환 (지정가보다 싸게 체결된 차액 등)
+    async refundGold(hold, amount) {
+        await this.db.run(
+            'UPDATE players SET money = money + ? WHERE id = ?',
+            [amount, hold.player_id]
+        );
+        await this.reduceHold(hold, amount, 'released');
+    }
+
+    // ✅ 보관 아이템 일부 인도 (잠긴 행에서 수량을 떼어 상대 소유 새 행으로)
+    async transferItemQuantity(hold, toPlayerId, quantity, { purchasePrice = null } = {}) {
+        if (quantity === hold.quantity) {
+            await this.transferHold(hold, toPlayerId, { purchasePrice });
+            hold.quantity = 0;
+            return hold.inventory_id;
+        }
+
+        const inventoryId = uuidv4();
+        await this.db.run(`
+            INSERT INTO inventory (
+                id, player_id, item_id, quantity, current_durability, enhancement_level, enhancement_stats,
+                custom_name, socket_gems, enchantments, crafted_by, purchase_price, market_value
+            )
+            SELECT ?, ?, item_id, ?, current_durability, enhancement_level, enhancement_stats,
+                   custom_name, socket_gems, enchantments, crafted_by, ?, market_value
+            FROM inventory WHERE id = ?
+        `, [inventoryId, toPlayerId, quantity, purchasePrice, hold.inventory_id]);
+        await this.db.run(
+            'UPDATE inventory SET quantity = quantity - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [quantity, hold.inventory_id]
+        );
+        await this.db.run(
+            'UPDATE escrow_holds SET quantity = quantity - ? WHERE id = ?',
+            [quantity, hold.id]
+        );
+        hold.quantity -= quantity;
+
+        return inventoryId;
+    }
+
+    async reduceHold(hold, amount, finalStatus) {
+        hold.amount -= amount;
+        if (hold.amount <= 0) {
+            await this.db.run('UPDATE escrow_holds SET amount = 0 WHERE id = ?', [hold.id]);
+            await this.markHold(hold.id, finalStatus);
+        } else {
+            await this.db.run('UPDATE escrow_holds SET amount = ? WHERE id = ?', [hold.amount, hold.id]);
+        }
+    }
+
+    async markHold(holdId, status) {
+        await this.db.run(
+            'UPDATE escrow_holds SET status = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [status, holdId]
+        );
+    }
+}
+
+export default EscrowService;
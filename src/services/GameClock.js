@@ -0,0 +1,57 @@
+// 📁 src/services/GameClock.js - 게임 시계 (테스트/리플레이용으로 고정/이동 가능)
+
+class GameClock {
+    constructor({ fixedTime = null, offsetMs = 0 } = {}) {
+        this.fixedTime = fixedTime !== null ? new Date(fixedTime).getTime() : null;
+        this.offsetMs = offsetMs;
+    }
+
+    // 현재 게임 시각 (밀리초)
+    nowMs() {
+        return this.fixedTime !== null ? this.fixedTime : Date.now() + this.offsetMs;
+    }
+
+    now() {
+        return new Date(this.nowMs());
+    }
+
+    // SQLite CURRENT_TIMESTAMP 와 같은 형식 (UTC 'YYYY-MM-DD HH:MM:SS')
+    sqlTimestamp() {
+        return this.now().toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    getHours() {
+        return this.now().getHours();
+    }
+
+    getDay() {
+        return this.now().getDay();
+    }
+
+    // ✅ 특정 시각으로 고정 (리플레이/테스트)
+    setFixedTime(time) {
+        this.fixedTime = new Date(time).getTime();
+    }
+
+    // ✅ 시간 이동 (고정 상태면 고정 시각을, 아니면 오프셋을 이동)
+    advance(ms) {
+        if (this.fixedTime !== null) {
+            this.fixedTime += ms;
+        } else {
+            this.offsetMs += ms;
+        }
+    }
+
+    // 실시간으로 복귀
+    reset() {
+        this.fixedTime = null;
+        this.offsetMs = 0;
+    }
+
+    // 가격 틱 번호 (같은 틱 안에서는 가격 변동이 동일)
+    getTick(tickMinutes) {
+        return Math.floor(this.nowMs() / (tickMinutes * 60 * 1000));
+    }
+}
+
+export default GameClock;
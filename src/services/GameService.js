@@ -1,14 +1,161 @@
 // 📁 src/services/GameService.js - 수정된 버전
 import { v4 as uuidv4 } from 'uuid';
+import PriceQuoteService from './PriceQuoteService.js';
+import MarketService from './MarketService.js';
+import GuildService from './GuildService.js';
+import ItemEffectService from './ItemEffectService.js';
+import EquipmentService from './EquipmentService.js';
+import BuffService from './BuffService.js';
+import DurabilityService from './DurabilityService.js';
+import GameClock from './GameClock.js';
+import RandomService from './RandomService.js';
+import SpecialSpawnService from './SpecialSpawnService.js';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 소지 무게 (kg): 기본 + 힘 1당 + 면허 등급 1당
+const BASE_CARRY_WEIGHT = 20;
+const CARRY_WEIGHT_PER_STRENGTH = 3;
+const CARRY_WEIGHT_PER_LICENSE = 10;
+
+// 매력 10 기준, 1포인트당 구매가 할인/판매가 가산 0.2% (최대 10%)
+const CHARISMA_BASELINE = 10;
+const CHARISMA_PRICE_RATE = 0.002;
+const MAX_CHARISMA_PRICE_BONUS = 0.1;
+
+// 면허 승급 조건 (다음 등급: 비용/필요 신뢰도), 승급마다 인벤토리 칸 증가
+const LICENSE_REQUIREMENTS = {
+    2: { money: 100000, trust: 50 },
+    3: { money: 500000, trust: 200 },
+    4: { money: 2000000, trust: 500 },
+    5: { money: 10000000, trust: 1000 }
+};
+const LICENSE_INVENTORY_BONUS = 5;
+
+// 기본 능력치 컬럼 (character_stats)
+const BASE_STAT_KEYS = [
+    'strength', 'intelligence', 'charisma', 'luck',
+    'trading_skill', 'negotiation_skill', 'appraisal_skill'
+];
 
 class GameService {
-    constructor(database) {
+    // options.clock / options.random 으로 시계와 난수를 주입할 수 있다 (테스트/리플레이)
+    constructor(database, options = {}) {
         this.db = database;
         this.activeTrades = new Map(); // ✅ 중복 거래 방지
+        this.clock = options.clock || new GameClock();
+        this.random = options.random || new RandomService({ clock: this.clock });
+        this.quoteService = new PriceQuoteService();
+        this.marketService = new MarketService(database, { clock: this.clock });
+        this.specialSpawnService = new SpecialSpawnService(database, { clock: this.clock, random: this.random });
+        this.guildService = new GuildService(database, { clock: this.clock, gameService: this });
+        this.itemEffectService = new ItemEffectService(database, { gameService: this });
+        this.equipmentService = new EquipmentService(database, { gameService: this });
+        this.buffService = new BuffService(database, { gameService: this, clock: this.clock });
+        this.durabilityService = new DurabilityService(database, { gameService: this, clock: this.clock });
+    }
+    
+    // ✅ 가격 견적 발급 (클라이언트가 표시한 가격으로 거래하기 위함)
+    async getPriceQuote(userId, { side, merchantId, itemName, inventoryId, quantity = 1 }) {
+        try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('견적 수량이 올바르지 않습니다.');
+            }
+            
+            const player = await this.db.get(
+                'SELECT * FROM players WHERE user_id = ?',
+                [userId]
+            );
+            
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            const merchant = await this.db.get(
+                'SELECT * FROM merchants WHERE id = ?',
+                [merchantId]
+            );
+            
+            if (!merchant) {
+                throw new Error('상인을 찾을 수 없습니다.');
+            }
+            
+            let itemId;
+            let priced;
+            
+            if (side === 'buy') {
+                const item = await this.getMerchantStockItem(merchant.id, itemName);
+                
+                if (!item) {
+                    throw new Error('해당 아이템을 찾을 수 없습니다.');
+                }
+                
+                const itemInfo = await this.db.get(
+                    'SELECT * FROM item_master WHERE id = ?',
+                    [item.item_id]
+                );
+                
+                if (!itemInfo) {
+                    throw new Error('아이템 정보를 찾을 수 없습니다.');
+                }
+                
+                itemId = itemInfo.id;
+                priced = await this.calculatePlayerBuyPrice(player.id, this.toPricingItem(item, itemInfo), merchant.district);
+            } else if (side === 'sell') {
+                const item = await this.db.get(`
+                    SELECT i.*, im.base_price, im.durability, im.is_stackable, im.is_consumable
+                    FROM inventory i
+                    JOIN item_master im ON i.item_id = im.id
+                    WHERE i.id = ? AND i.player_id = ?
+                `, [inventoryId, player.id]);
+                
+                if (!item) {
+                    throw new Error('해당 아이템을 찾을 수 없습니다.');
+                }
+                
+                itemId = item.item_id;
+                priced = await this.calculatePlayerSellPrice(player.id, item, merchant.district);
+            } else {
+                throw new Error('견적 유형은 buy 또는 sell 이어야 합니다.');
+            }
+            
+            const quote = this.quoteService.issueQuote({
+                playerId: player.id,
+                merchantId: merchant.id,
+                itemId: itemId,
+                inventoryId: side === 'sell' ? inventoryId : null,
+                side: side,
+                quantity: quantity,
+                unitPrice: priced.unitPrice,
+                listPrice: priced.listPrice,
+                bonuses: priced.bonuses
+            });
+            
+            return {
+                success: true,
+                data: {
+                    ...quote,
+                    side: side,
+                    merchantId: merchant.id,
+                    itemId: itemId,
+                    quantity: quantity,
+                    listPrice: priced.listPrice,
+                    unitPrice: priced.unitPrice,
+                    totalPrice: priced.unitPrice * quantity,
+                    ...priced.bonuses
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
     }
     
     // ✅ 트랜잭션과 검증이 강화된 아이템 구매
-    async buyItem(userId, merchantId, itemName) {
+    // options.negotiation 이 주어지면 흥정으로 합의된 가격으로,
+    // options.quoteToken 이 주어지면 견적 가격으로 구매한다
+    async buyItem(userId, merchantId, itemName, quantity = 1, options = {}) {
         const tradeKey = `${userId}-${merchantId}-${itemName}`;
         
         // ✅ 중복 거래 방지
@@ -20,8 +167,14 @@ class GameService {
         }
         
         this.activeTrades.set(tradeKey, Date.now());
+        let releaseTransaction = null;
         
         try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('구매 수량이 올바르지 않습니다.');
+            }
+            
+            releaseTransaction = await acquireTransactionLock(this.db);
             await this.db.run('BEGIN TRANSACTION');
             
             // 플레이어 정보 조회 (FOR UPDATE로 락 설정)
@@ -49,35 +202,74 @@ class GameService {
                 throw new Error(`${merchant.required_license}급 면허가 필요합니다.`);
             }
             
-            // 상인 인벤토리에서 아이템 확인
-            const inventory = JSON.parse(merchant.inventory || '[]');
-            const item = inventory.find(i => i.name === itemName);
+            // 상인 재고에서 아이템 확인
+            const item = await this.getMerchantStockItem(merchant.id, itemName);
             
             if (!item) {
                 throw new Error('해당 아이템을 찾을 수 없습니다.');
             }
             
-            if (item.stock <= 0) {
+            if (item.stock < quantity) {
                 throw new Error('재고가 부족합니다.');
             }
             
-            // ✅ 플레이어 인벤토리 용량 확인
-            const currentInventoryCount = await this.db.get(
-                'SELECT COUNT(*) as count FROM inventory WHERE player_id = ?',
-                [player.id]
+            // ✅ 한정 아이템 구매 자격 (레벨/신뢰도)
+            if (item.special_item_id) {
+                const special = await this.specialSpawnService.getSpecialItem(item.special_item_id);
+                const stats = await this.db.get('SELECT level FROM character_stats WHERE player_id = ?', [player.id]);
+                const rejection = special && this.specialSpawnService.checkPlayerCondition(special.condition, player, stats?.level ?? 1);
+                if (rejection) {
+                    throw new Error(rejection);
+                }
+            }
+            
+            const itemInfo = await this.db.get(
+                'SELECT * FROM item_master WHERE id = ?',
+                [item.item_id]
             );
             
-            if (currentInventoryCount.count >= player.max_inventory_size) {
-                throw new Error('인벤토리가 가득 찼습니다.');
+            if (!itemInfo) {
+                throw new Error('아이템 정보를 찾을 수 없습니다.');
             }
             
-            // ✅ 실시간 가격 조회
-            const currentPrice = await this.calculateCurrentPrice(item, merchant.district);
-            
-            if (player.money < currentPrice) {
+            // ✅ 실시간 가격 조회 (흥정 합의가 > 견적가 > 현재가 순으로 적용)
+            const { negotiation } = options;
+            const quote = !negotiation && options.quoteToken
+                ? this.quoteService.verifyQuote(options.quoteToken, {
+                    playerId: player.id,
+                    merchantId: merchant.id,
+                    itemId: itemInfo.id,
+                    side: 'buy',
+                    quantity: quantity
+                })
+                : null;
+            // 견적가는 할인까지 반영된 가격이므로 그대로 청구, 흥정가에는 매력이 이미 반영되어 있음
+            const priced = negotiation
+                ? await this.applyPlayerPriceBonuses(player.id, 'buy', negotiation.unitPrice, {
+                    listPrice: negotiation.initialPrice,
+                    skipCharisma: true
+                })
+                : quote
+                    ? this.fromQuote(quote)
+                    : await this.calculatePlayerBuyPrice(player.id, this.toPricingItem(item, itemInfo), merchant.district);
+            const listPrice = priced.listPrice;
+            const agreedPrice = negotiation ? negotiation.unitPrice : listPrice;
+            const currentPrice = priced.unitPrice;
+            const totalPrice = currentPrice * quantity;
+            
+            if (player.money < totalPrice) {
                 throw new Error('돈이 부족합니다.');
             }
             
+            // ✅ 소지 무게 확인
+            const carryWeight = await this.getCarryWeight(player);
+            const addedWeight = Math.round((itemInfo.weight ?? 1.0) * quantity * 10) / 10;
+            if (carryWeight.current + addedWeight > carryWeight.max) {
+                throw new Error(
+                    `소지 무게를 초과합니다. (현재 ${carryWeight.current}kg + ${addedWeight}kg > 최대 ${carryWeight.max}kg)`
+                );
+            }
+            
             // ✅ 거리 확인 (플레이어가 상인 근처에 있는지)
             const distance = this.calculateDistance(
                 player.location_lat, player.location_lng,
@@ -88,73 +280,109 @@ class GameService {
                 throw new Error('상인과 너무 멀리 떨어져 있습니다.');
             }
             
+            // ✅ 상인 재고 차감 (재고가 남아 있을 때만 원자적으로 감소)
+            const updatedStock = await this.db.get(`
+                UPDATE merchant_stock SET stock = stock - ?, updated_at = CURRENT_TIMESTAMP
+                WHERE merchant_id = ? AND item_id = ? AND stock >= ?
+                RETURNING stock
+            `, [quantity, merchant.id, item.item_id, quantity]);
+            
+            if (!updatedStock) {
+                throw new Error('재고가 부족합니다.');
+            }
+            
             // 플레이어 돈 차감
             await this.db.run(
                 'UPDATE players SET money = money - ?, trust_points = trust_points + 1, last_active = CURRENT_TIMESTAMP WHERE id = ?',
-                [currentPrice, player.id]
+                [totalPrice, player.id]
             );
             
-            // 인벤토리에 아이템 추가
-            const inventoryId = uuidv4();
-            await this.db.run(`
-                INSERT INTO inventory (
-                    id, player_id, item_name, item_category, base_price, 
-                    current_price, item_grade, required_license, acquired_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-            `, [
-                inventoryId, player.id, item.name, item.category,
-                item.basePrice, currentPrice, item.grade, item.requiredLicense
-            ]);
+            // ✅ 인벤토리에 아이템 추가 (스택 병합 + 용량 확인)
+            const { inventoryIds } = await this.addToInventory(player, itemInfo, quantity, {
+                purchasePrice: currentPrice,
+                marketValue: listPrice
+            });
             
-            // 상인 인벤토리 업데이트 (재고 감소)
-            item.stock -= 1;
-            await this.db.run(
-                'UPDATE merchants SET inventory = ? WHERE id = ?',
-                [JSON.stringify(inventory), merchantId]
-            );
+            // ✅ 시장 수요 반영 (거래 기록에는 반영 전 시세를 남김)
+            const marketPrice = await this.marketService.getTrendPrice(itemInfo.id, merchant.district);
+            await this.marketService.recordTrade(itemInfo.id, merchant.district, 'buy', quantity, currentPrice, itemInfo.base_price);
+            
+            // ✅ 흥정 완료 처리 (이미 끝난 흥정이면 구매 취소)
+            if (negotiation) {
+                const completed = await this.db.get(`
+                    UPDATE negotiations SET status = 'completed', final_price = ?, ended_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND status IN ('in_progress', 'agreed')
+                    RETURNING id
+                `, [negotiation.unitPrice, negotiation.id]);
+                if (!completed) {
+                    throw new Error('이미 종료된 흥정입니다.');
+                }
+            }
             
             // 거래 기록
-            const tradeId = uuidv4();
+            const tradeId = negotiation?.tradeId || uuidv4();
+            const negotiationDiscount = negotiation && listPrice > 0
+                ? Math.round(((listPrice - agreedPrice) / listPrice) * 10000) / 10000
+                : 0;
             await this.db.run(`
                 INSERT INTO trades (
-                    id, seller_id, buyer_id, merchant_id, item_name, 
-                    item_category, price, trade_type, location_lat, location_lng,
-                    timestamp
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                    id, seller_id, buyer_id, merchant_id, item_id, item_name, 
+                    item_category, item_rarity, quantity, base_price, final_price, market_price, negotiation_discount,
+                    negotiation_rounds, negotiation_result, trade_type, location_lat, location_lng,
+                    district, timestamp
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
             `, [
-                tradeId, merchantId, player.id, merchantId, item.name,
-                item.category, currentPrice, 'buy', 
-                player.location_lat, player.location_lng
+                tradeId, merchantId, player.id, merchantId, itemInfo.id, item.name,
+                itemInfo.category, itemInfo.rarity, quantity, listPrice * quantity, totalPrice, marketPrice, negotiationDiscount,
+                negotiation?.rounds || 0, negotiation ? 'success' : null, 'buy',
+                player.location_lat, player.location_lng, merchant.district
             ]);
             
             // ✅ 경험치 지급 (거래 금액 기반)
-            const expGained = Math.floor(currentPrice / 1000) + 5; // 기본 5 + 가격/1000
+            const expGained = Math.floor(totalPrice / 1000) + 5; // 기본 5 + 가격/1000
             await this.giveExperience(player.id, expGained);
             
+            // ✅ 길드 경험치/기여도 (길드원인 경우)
+            await this.guildService.recordMemberTrade(player.id, totalPrice);
+            
+            // ✅ 장착 아이템 마모
+            await this.durabilityService.wearEquippedItems(player.id);
+            
             // ✅ 업적 체크 (거래 후)
             await this.checkAchievements(player.id);
             
             await this.db.run('COMMIT');
             
+            if (quote) {
+                this.quoteService.markUsed(quote);
+            }
+            
             return {
                 success: true,
                 data: {
-                    newMoney: player.money - currentPrice,
+                    newMoney: player.money - totalPrice,
                     newTrustPoints: player.trust_points + 1,
                     experienceGained: expGained,
                     purchasedItem: {
-                        id: inventoryId,
+                        id: inventoryIds[0],
+                        inventoryIds: inventoryIds,
                         name: item.name,
-                        category: item.category,
+                        category: itemInfo.category,
+                        quantity: quantity,
                         purchasePrice: currentPrice,
-                        grade: item.grade
+                        totalPrice: totalPrice,
+                        grade: itemInfo.rarity
                     },
+                    negotiationDiscount: negotiationDiscount,
+                    ...priced.bonuses,
                     tradeId: tradeId
                 }
             };
             
         } catch (error) {
-            await this.db.run('ROLLBACK');
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
             return {
                 success: false,
                 error: error.message
@@ -162,7 +390,252 @@ class GameService {
         } finally {
             // ✅ 거래 락 해제
             this.activeTrades.delete(tradeKey);
+            releaseTransaction?.();
+        }
+    }
+    
+    // ✅ 소지 무게 (현재: 인벤토리 수량 × 아이템 무게, 최대: 힘과 면허 등급에 비례)
+    async getCarryWeight(player) {
+        const carried = await this.db.get(`
+            SELECT COALESCE(SUM(i.quantity * COALESCE(im.weight, 1.0)), 0) as total
+            FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.player_id = ?
+        `, [player.id]);
+        
+        const stats = await this.getEffectiveStats(player.id);
+        
+        return {
+            current: Math.round(carried.total * 10) / 10,
+            max: this.calculateMaxCarryWeight(stats?.strength ?? 10, player.current_license || 1)
+        };
+    }
+    
+    // ✅ 아이템을 받을 수 있는지 확인 (소지 무게/인벤토리 칸, 받을 수 없으면 사유 반환)
+    // incoming/outgoing: [{ item_id, quantity }] - 받는 항목은 한 칸씩 차지하고, 내주는 항목은 빠진 것으로 계산
+    async checkCanReceive(player, incoming, outgoing = []) {
+        if (incoming.length === 0) return null;
+        
+        const weightOf = async (entries) => {
+            let total = 0;
+            for (const entry of entries) {
+                const itemInfo = await this.db.get('SELECT weight FROM item_master WHERE id = ?', [entry.item_id]);
+                total += (itemInfo?.weight ?? 1.0) * entry.quantity;
+            }
+            return total;
+        };
+        
+        const carryWeight = await this.getCarryWeight(player);
+        const weightAfter = Math.round((carryWeight.current - await weightOf(outgoing) + await weightOf(incoming)) * 10) / 10;
+        if (weightAfter > carryWeight.max) {
+            return `${player.name}님의 소지 무게가 초과됩니다. (최대 ${carryWeight.max}kg)`;
         }
+        
+        const slots = await this.db.get('SELECT COUNT(*) as count FROM inventory WHERE player_id = ?', [player.id]);
+        if (slots.count - outgoing.length + incoming.length > await this.getInventoryCapacity(player)) {
+            return `${player.name}님의 인벤토리가 가득 찼습니다.`;
+        }
+        
+        return null;
+    }
+    
+    async assertCanReceive(player, incoming, outgoing = []) {
+        const rejection = await this.checkCanReceive(player, incoming, outgoing);
+        if (rejection) {
+            throw new Error(rejection);
+        }
+    }
+    
+    // ✅ 능력치 구성 (기본 / 아이템 보너스 / 합계)
+    async getStatBreakdown(playerId) {
+        const stats = await this.db.get(
+            'SELECT * FROM character_stats WHERE player_id = ?',
+            [playerId]
+        );
+        
+        if (!stats) return null;
+        
+        const itemEffects = await this.itemEffectService.getPlayerEffects(playerId);
+        const base = {};
+        const bonus = {};
+        const total = {};
+        for (const stat of BASE_STAT_KEYS) {
+            base[stat] = stats[stat];
+            bonus[stat] = itemEffects.stats[stat] || 0;
+            total[stat] = base[stat] + bonus[stat];
+        }
+        
+        return { row: stats, level: stats.level, base, bonus, total };
+    }
+    
+    // ✅ 실제 계산에 쓰는 능력치 (character_stats 행 + 보너스 반영 합계)
+    async getEffectiveStats(playerId) {
+        const breakdown = await this.getStatBreakdown(playerId);
+        return breakdown ? { ...breakdown.row, ...breakdown.total } : null;
+    }
+    
+    // 매력에 따른 가격 보정률 (구매 할인/판매 가산 공통)
+    calculateCharismaPriceBonus(stats) {
+        const charisma = stats?.charisma ?? CHARISMA_BASELINE;
+        return Math.min(Math.max(charisma - CHARISMA_BASELINE, 0) * CHARISMA_PRICE_RATE, MAX_CHARISMA_PRICE_BONUS);
+    }
+    
+    // ✅ 플레이어 구매가 (상인 판매가 + 개인 할인) - 견적과 실제 구매가 같은 계산을 사용
+    async calculatePlayerBuyPrice(playerId, pricingItem, district) {
+        const listPrice = await this.calculateCurrentPrice(pricingItem, district);
+        return await this.applyPlayerPriceBonuses(playerId, 'buy', listPrice);
+    }
+    
+    // ✅ 플레이어 판매가 (상인 매입가 + 개인 가산) - 견적과 실제 판매가 같은 계산을 사용
+    async calculatePlayerSellPrice(playerId, item, district) {
+        const listPrice = await this.calculateSellPrice(item, district);
+        return await this.applyPlayerPriceBonuses(playerId, 'sell', listPrice);
+    }
+    
+    // 길드 혜택/아이템 효과/매력 보정 (구매는 할인, 판매는 가산)
+    // skipCharisma: 흥정가처럼 매력이 이미 반영된 가격
+    async applyPlayerPriceBonuses(playerId, side, price, { listPrice = price, skipCharisma = false } = {}) {
+        const guildBonuses = await this.guildService.getMemberBonuses(playerId);
+        const itemEffects = await this.itemEffectService.getPlayerEffects(playerId);
+        const charismaBonus = skipCharisma ? 0 : this.calculateCharismaPriceBonus(await this.getEffectiveStats(playerId));
+        
+        if (side === 'buy') {
+            return {
+                listPrice: listPrice,
+                unitPrice: Math.max(1, Math.round(
+                    price * (1 - guildBonuses.buyDiscount) * (1 - itemEffects.priceDiscount) * (1 - charismaBonus)
+                )),
+                bonuses: {
+                    guildDiscount: guildBonuses.buyDiscount,
+                    itemDiscount: itemEffects.priceDiscount,
+                    charismaDiscount: charismaBonus
+                }
+            };
+        }
+        
+        return {
+            listPrice: listPrice,
+            unitPrice: Math.round(
+                price * (1 + guildBonuses.sellBonus) * (1 + itemEffects.sellBonus) * (1 + charismaBonus)
+            ),
+            bonuses: {
+                guildSellBonus: guildBonuses.sellBonus,
+                itemSellBonus: itemEffects.sellBonus,
+                charismaSellBonus: charismaBonus
+            }
+        };
+    }
+    
+    // 견적에 서명된 가격 그대로 사용
+    fromQuote(quote) {
+        return {
+            listPrice: quote.listPrice ?? quote.unitPrice,
+            unitPrice: quote.unitPrice,
+            bonuses: quote.bonuses || {}
+        };
+    }
+    
+    // ✅ 인벤토리 칸 수 (기본 + 길드 혜택)
+    async getInventoryCapacity(player) {
+        const guildBonuses = await this.guildService.getMemberBonuses(player.id);
+        return player.max_inventory_size + guildBonuses.inventorySlots;
+    }
+    
+    calculateMaxCarryWeight(strength, license) {
+        return BASE_CARRY_WEIGHT + strength * CARRY_WEIGHT_PER_STRENGTH + (license - 1) * CARRY_WEIGHT_PER_LICENSE;
+    }
+    
+    // ✅ 인벤토리에 아이템 추가 (기존 스택에 먼저 채우고 남는 수량은 새 슬롯 사용)
+    // 트랜잭션 안에서 호출해야 함
+    async addToInventory(player, itemInfo, quantity, { purchasePrice = null, marketValue = null, craftedBy = null } = {}) {
+        const maxStack = itemInfo.is_stackable ? Math.max(itemInfo.max_stack || 1, 1) : 1;
+        const inventoryIds = [];
+        let remaining = quantity;
+        
+        // 강화/잠금/장착되지 않은 같은 아이템 스택에만 병합 (제작품은 같은 제작자의 제작품끼리만)
+        if (maxStack > 1) {
+            const stacks = await this.db.all(`
+                SELECT * FROM inventory 
+                WHERE player_id = ? AND item_id = ? AND quantity < ?
+                AND enhancement_level = 0 AND is_locked = 0 AND is_equipped = 0
+                AND enchantments IS NULL AND socket_gems IS NULL AND crafted_by IS ?
+                ORDER BY acquired_at ASC
+            `, [player.id, itemInfo.id, maxStack, craftedBy]);
+            
+            for (const stack of stacks) {
+                if (remaining <= 0) break;
+                
+                const added = Math.min(maxStack - stack.quantity, remaining);
+                const averagePrice = purchasePrice === null ? stack.purchase_price : Math.round(
+                    ((stack.purchase_price || 0) * stack.quantity + purchasePrice * added) / (stack.quantity + added)
+                );
+                
+                await this.db.run(`
+                    UPDATE inventory SET quantity = quantity + ?, purchase_price = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [added, averagePrice, stack.id]);
+                
+                inventoryIds.push(stack.id);
+                remaining -= added;
+            }
+        }
+        
+        const newSlots = Math.ceil(remaining / maxStack);
+        
+        if (newSlots > 0) {
+            const currentInventoryCount = await this.db.get(
+                'SELECT COUNT(*) as count FROM inventory WHERE player_id = ?',
+                [player.id]
+            );
+            
+            if (currentInventoryCount.count + newSlots > await this.getInventoryCapacity(player)) {
+                throw new Error('인벤토리가 가득 찼습니다.');
+            }
+        }
+        
+        for (let i = 0; i < newSlots; i++) {
+            const stackQuantity = Math.min(maxStack, remaining);
+            const inventoryId = uuidv4();
+            
+            await this.db.run(`
+                INSERT INTO inventory (
+                    id, player_id, item_id, quantity, current_durability,
+                    purchase_price, market_value, crafted_by, acquired_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `, [
+                inventoryId, player.id, itemInfo.id, stackQuantity,
+                itemInfo.durability, purchasePrice, marketValue, craftedBy
+            ]);
+            
+            inventoryIds.push(inventoryId);
+            remaining -= stackQuantity;
+        }
+        
+        return { inventoryIds, newSlots };
+    }
+    
+    // ✅ 인벤토리 슬롯에서 수량 차감 (전부 빠지면 슬롯 삭제)
+    async removeFromInventory(inventoryItem, quantity) {
+        if (quantity >= inventoryItem.quantity) {
+            await this.db.run('DELETE FROM inventory WHERE id = ?', [inventoryItem.id]);
+            return 0;
+        }
+        
+        await this.db.run(`
+            UPDATE inventory SET quantity = quantity - ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [quantity, inventoryItem.id]);
+        return inventoryItem.quantity - quantity;
+    }
+    
+    // 상인 재고 항목과 아이템 마스터 정보를 가격 계산용 형태로 변환
+    toPricingItem(stockItem, itemInfo) {
+        return {
+            ...stockItem,
+            basePrice: stockItem.price || itemInfo.base_price,
+            category: itemInfo.category,
+            grade: itemInfo.rarity
+        };
     }
     
     // ✅ 동적 가격 계산 시스템
@@ -181,16 +654,22 @@ class GameService {
             
             price *= (districtMultipliers[district] || 1.0);
             
+            // ✅ 구역별 수요/공급 시세 반영
+            if (item.item_id) {
+                price *= await this.marketService.getMarketMultiplier(item.item_id, district);
+            }
+            
             // 시간대별 변동 (오전/오후/저녁)
-            const hour = new Date().getHours();
+            const hour = this.clock.getHours();
             if (hour >= 9 && hour <= 18) {
                 price *= 1.1; // 업무시간 프리미엄
             } else if (hour >= 19 && hour <= 22) {
                 price *= 1.05; // 저녁시간 약간 할증
             }
             
-            // 무작위 변동 (-5% ~ +5%)
-            const randomFactor = 0.95 + (Math.random() * 0.1);
+            // 무작위 변동 (-5% ~ +5%, 같은 가격 틱 안에서는 고정)
+            const tickRandom = this.random.forPriceTick(`buy:${item.item_id || item.name}:${district}`);
+            const randomFactor = 0.95 + (tickRandom() * 0.1);
             price *= randomFactor;
             
             // 아이템 등급별 변동
@@ -259,10 +738,16 @@ class GameService {
                 return distance <= radiusKm;
             });
             
+            // ✅ 재고는 merchant_stock 에서 조회
+            const stockByMerchant = new Map();
+            for (const merchant of nearbyMerchants) {
+                stockByMerchant.set(merchant.id, await this.getMerchantStock(merchant.id));
+            }
+            
             // 거리 정보 추가하여 반환
             return nearbyMerchants.map(merchant => ({
                 ...merchant,
-                inventory: JSON.parse(merchant.inventory || '[]'),
+                inventory: stockByMerchant.get(merchant.id) || [],
                 distance: this.calculateDistance(
                     lat, lng,
                     merchant.location_lat, merchant.location_lng
@@ -275,29 +760,42 @@ class GameService {
         }
     }
     
-    // ✅ 현재 시장 가격 조회 (캐싱 적용)
+    // ✅ 상인 재고 조회 (가격 계산에 쓰이는 기존 필드 이름 유지: item_id, name, price, stock)
+    // 한정 아이템(special_item_id)은 출현 기간(expires_at) 동안만 보임
+    async getMerchantStock(merchantId) {
+        return await this.db.all(`
+            SELECT item_id, item_name AS name, price_override AS price, stock, max_stock,
+                   special_item_id, expires_at
+            FROM merchant_stock
+            WHERE merchant_id = ? AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY rowid
+        `, [merchantId, this.clock.sqlTimestamp()]);
+    }
+    
+    async getMerchantStockItem(merchantId, itemName) {
+        return await this.db.get(`
+            SELECT item_id, item_name AS name, price_override AS price, stock, max_stock,
+                   special_item_id, expires_at
+            FROM merchant_stock
+            WHERE merchant_id = ? AND item_name = ? AND (expires_at IS NULL OR expires_at > ?)
+        `, [merchantId, itemName, this.clock.sqlTimestamp()]);
+    }
+    
+    // ✅ 현재 시장 가격 조회 (수요/공급 시세 + 시간대 변동, 읽기 전용)
     async getCurrentPrices() {
         try {
-            const prices = await this.db.all(
-                'SELECT * FROM market_prices ORDER BY item_name'
-            );
+            const prices = await this.marketService.getMarketPrices();
             
-            // 실시간 변동 적용
+            // 실시간 변동 적용 (저장된 시세는 수요/공급 기준, 표시 가격은 시간대 반영)
             const updatedPrices = await Promise.all(
-                prices.map(async (price) => {
-                    const newPrice = await this.calculateMarketPrice(price);
-                    
-                    // 가격이 크게 변했을 때만 DB 업데이트
-                    if (Math.abs(newPrice - price.current_price) > price.current_price * 0.05) {
-                        await this.db.run(
-                            'UPDATE market_prices SET current_price = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
-                            [newPrice, price.id]
-                        );
-                        price.current_price = newPrice;
-                    }
-                    
-                    return price;
-                })
+                prices.map(async (price) => ({
+                    ...price,
+                    displayPrice: await this.calculateMarketPrice({
+                        base_price: price.currentPrice,
+                        item_id: price.itemId,
+                        district: price.district
+                    })
+                }))
             );
             
             return updatedPrices;
@@ -310,9 +808,8 @@ class GameService {
     // ✅ 시장 가격 계산
     async calculateMarketPrice(priceData) {
         const basePrice = priceData.base_price;
-        const now = new Date();
-        const hour = now.getHours();
-        const dayOfWeek = now.getDay();
+        const hour = this.clock.getHours();
+        const dayOfWeek = this.clock.getDay();
         
         let multiplier = 1.0;
         
@@ -331,14 +828,16 @@ class GameService {
         }
         
         // 수요/공급에 따른 변동 시뮬레이션
-        const randomVariation = 0.9 + (Math.random() * 0.2); // ±10% 변동
+        const tickRandom = this.random.forPriceTick(`market:${priceData.item_id}:${priceData.district}`);
+        const randomVariation = 0.9 + (tickRandom() * 0.2); // ±10% 변동
         multiplier *= randomVariation;
         
         return Math.floor(basePrice * multiplier);
     }
     
-    // ✅ 개선된 판매 로직
-    async sellItem(userId, itemId, merchantId) {
+    // ✅ 개선된 판매 로직 (스택 일부 판매 지원)
+    // options.quoteToken 이 주어지면 견적 가격으로 판매한다
+    async sellItem(userId, itemId, merchantId, quantity = 1, options = {}) {
         const tradeKey = `sell-${userId}-${itemId}`;
         
         if (this.activeTrades.has(tradeKey)) {
@@ -349,8 +848,14 @@ class GameService {
         }
         
         this.activeTrades.set(tradeKey, Date.now());
+        let releaseTransaction = null;
         
         try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('판매 수량이 올바르지 않습니다.');
+            }
+            
+            releaseTransaction = await acquireTransactionLock(this.db);
             await this.db.run('BEGIN TRANSACTION');
             
             // 플레이어와 아이템 정보 조회
@@ -363,15 +868,29 @@ class GameService {
                 throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            const item = await this.db.get(
-                'SELECT * FROM inventory WHERE id = ? AND player_id = ?',
-                [itemId, player.id]
-            );
+            const item = await this.db.get(`
+                SELECT i.*, im.name, im.category, im.rarity, im.base_price, im.durability, im.is_stackable, im.is_consumable
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [itemId, player.id]);
             
             if (!item) {
                 throw new Error('해당 아이템을 찾을 수 없습니다.');
             }
             
+            if (item.is_locked) {
+                throw new Error('잠긴 아이템은 판매할 수 없습니다.');
+            }
+            
+            if (item.is_equipped) {
+                throw new Error('장착 중인 아이템은 판매할 수 없습니다.');
+            }
+            
+            if (item.quantity < quantity) {
+                throw new Error('보유 수량이 부족합니다.');
+            }
+            
             const merchant = await this.db.get(
                 'SELECT * FROM merchants WHERE id = ?',
                 [merchantId]
@@ -392,75 +911,110 @@ class GameService {
             }
             
             // ✅ 동적 판매 가격 계산 (구매가보다 낮게)
-            const sellPrice = await this.calculateSellPrice(item, merchant.district);
+            const quote = options.quoteToken
+                ? this.quoteService.verifyQuote(options.quoteToken, {
+                    playerId: player.id,
+                    merchantId: merchant.id,
+                    itemId: item.item_id,
+                    inventoryId: item.id,
+                    side: 'sell',
+                    quantity: quantity
+                })
+                : null;
+            const priced = quote
+                ? this.fromQuote(quote)
+                : await this.calculatePlayerSellPrice(player.id, item, merchant.district);
+            const sellPrice = priced.unitPrice;
+            const totalPrice = sellPrice * quantity;
             
             // 플레이어 돈 증가 및 신뢰도 상승
             await this.db.run(
                 'UPDATE players SET money = money + ?, trust_points = trust_points + 2, last_active = CURRENT_TIMESTAMP WHERE id = ?',
-                [sellPrice, player.id]
+                [totalPrice, player.id]
             );
             
-            // 인벤토리에서 아이템 제거
-            await this.db.run(
-                'DELETE FROM inventory WHERE id = ?',
-                [itemId]
-            );
+            // 인벤토리에서 판매 수량만큼 제거
+            const remainingQuantity = await this.removeFromInventory(item, quantity);
+            
+            // ✅ 시장 공급 반영 (거래 기록에는 반영 전 시세를 남김)
+            const marketPrice = await this.marketService.getTrendPrice(item.item_id, merchant.district);
+            await this.marketService.recordTrade(item.item_id, merchant.district, 'sell', quantity, sellPrice, item.base_price);
             
             // 거래 기록
             const tradeId = uuidv4();
             await this.db.run(`
                 INSERT INTO trades (
-                    id, seller_id, buyer_id, merchant_id, item_name, 
-                    item_category, price, trade_type, location_lat, location_lng,
-                    timestamp
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                    id, seller_id, buyer_id, merchant_id, item_id, item_name, 
+                    item_category, item_rarity, quantity, base_price, final_price, market_price,
+                    trade_type, location_lat, location_lng, district, timestamp
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
             `, [
-                tradeId, player.id, merchantId, merchantId, item.item_name,
-                item.item_category, sellPrice, 'sell',
-                player.location_lat, player.location_lng
+                tradeId, player.id, merchantId, merchantId, item.item_id, item.name,
+                item.category, item.rarity, quantity, item.base_price * quantity, totalPrice, marketPrice,
+                'sell', player.location_lat, player.location_lng, merchant.district
             ]);
             
             // ✅ 판매 경험치 지급 (구매보다 더 많이)
-            const expGained = Math.floor(sellPrice / 800) + 8; // 기본 8 + 가격/800
+            const expGained = Math.floor(totalPrice / 800) + 8; // 기본 8 + 가격/800
             await this.giveExperience(player.id, expGained);
             
+            // ✅ 길드 경험치/기여도 (길드원인 경우)
+            await this.guildService.recordMemberTrade(player.id, totalPrice);
+            
+            // ✅ 장착 아이템 마모
+            await this.durabilityService.wearEquippedItems(player.id);
+            
             // ✅ 업적 체크 (거래 후)
             await this.checkAchievements(player.id);
             
             await this.db.run('COMMIT');
             
+            if (quote) {
+                this.quoteService.markUsed(quote);
+            }
+            
             return {
                 success: true,
                 data: {
-                    newMoney: player.money + sellPrice,
+                    newMoney: player.money + totalPrice,
                     newTrustPoints: player.trust_points + 2,
                     experienceGained: expGained,
                     soldItem: {
-                        name: item.item_name,
-                        category: item.item_category,
-                        sellPrice: sellPrice
+                        name: item.name,
+                        category: item.category,
+                        quantity: quantity,
+                        remainingQuantity: remainingQuantity,
+                        sellPrice: sellPrice,
+                        totalPrice: totalPrice
                     },
+                    ...priced.bonuses,
                     tradeId: tradeId
                 }
             };
             
         } catch (error) {
-            await this.db.run('ROLLBACK');
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
             return {
                 success: false,
                 error: error.message
             };
         } finally {
             this.activeTrades.delete(tradeKey);
+            releaseTransaction?.();
         }
     }
     
-    // ✅ 판매 가격 계산 (구매가의 70-90%)
+    // ✅ 판매 가격 계산 (구역 시세의 70-90%)
     async calculateSellPrice(item, district) {
-        const purchasePrice = item.current_price;
+        const referencePrice = item.base_price
+            ? Math.round(item.base_price * await this.marketService.getMarketMultiplier(item.item_id, district))
+            : item.purchase_price;
         
         // 기본 판매율 (70-90%)
-        const baseSellRate = 0.7 + (Math.random() * 0.2);
+        const tickRandom = this.random.forPriceTick(`sell:${item.item_id}:${district}`);
+        const baseSellRate = 0.7 + (tickRandom() * 0.2);
         
         // 지역별 조정
         const districtBonuses = {
@@ -471,7 +1025,88 @@ class GameService {
         const bonus = districtBonuses[district] || 0;
         const finalRate = Math.min(baseSellRate + bonus, 0.95); // 최대 95%
         
-        return Math.floor(purchasePrice * finalRate);
+        // ✅ 강화 단계에 따른 가치 상승, 내구도에 따른 가치 하락
+        const enhancementBonus = item.enhancement_stats ? (JSON.parse(item.enhancement_stats).value_bonus || 0) : 0;
+        const durabilityRate = this.durabilityService.getPriceRate(item);
+        
+        return Math.floor(referencePrice * finalRate * (1 + enhancementBonus) * durabilityRate);
+    }
+    
+    // ✅ 플레이어 위치 갱신
+    async updatePlayerLocation(userId, latitude, longitude) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+        try {
+            const updated = await this.db.get(`
+                UPDATE players SET location_lat = ?, location_lng = ?, last_active = CURRENT_TIMESTAMP
+                WHERE user_id = ?
+                RETURNING id, location_lat, location_lng
+            `, [latitude, longitude, userId]);
+
+            if (!updated) {
+                return {
+                    success: false,
+                    error: '플레이어를 찾을 수 없습니다.'
+                };
+            }
+
+            return {
+                success: true,
+                data: {
+                    location: { lat: updated.location_lat, lng: updated.location_lng }
+                }
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+    
+    // ✅ 면허 승급 (비용 차감, 인벤토리 칸 증가)
+    async upgradeLicense(userId) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+        try {
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            const nextLicense = player.current_license + 1;
+            const requirements = LICENSE_REQUIREMENTS[nextLicense];
+            if (!requirements) {
+                throw new Error('이미 최고 등급 면허입니다.');
+            }
+            
+            if (player.trust_points < requirements.trust) {
+                throw new Error(`신뢰도 ${requirements.trust} 이상이 필요합니다.`);
+            }
+            
+            const updated = await this.db.get(`
+                UPDATE players SET
+                    money = money - ?, current_license = ?, max_inventory_size = max_inventory_size + ?
+                WHERE id = ? AND current_license = ? AND money >= ?
+                RETURNING money, current_license, max_inventory_size
+            `, [requirements.money, nextLicense, LICENSE_INVENTORY_BONUS, player.id, player.current_license, requirements.money]);
+            if (!updated) {
+                throw new Error(`승급 비용 ${requirements.money.toLocaleString()}원이 필요합니다.`);
+            }
+            
+            return {
+                success: true,
+                data: {
+                    previousLicense: player.current_license,
+                    currentLicense: updated.current_license,
+                    cost: requirements.money,
+                    newMoney: updated.money,
+                    maxInventorySize: updated.max_inventory_size
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
     }
     
     // ✅ 플레이어 데이터 조회 (성능 최적화)
@@ -489,12 +1124,19 @@ class GameService {
             
             // 인벤토리 조회 (최신 20개만)
             const inventory = await this.db.all(`
-                SELECT * FROM inventory 
-                WHERE player_id = ? 
-                ORDER BY acquired_at DESC 
+                SELECT i.*, im.name, im.category, im.rarity, im.base_price, im.weight, im.durability,
+                       im.max_stack, im.is_stackable, im.is_consumable, im.is_tradeable,
+                       im.is_dropable, im.required_license, im.magical_properties
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.player_id = ? 
+                ORDER BY i.acquired_at DESC 
                 LIMIT 50
             `, [player.id]);
             
+            const carryWeight = await this.getCarryWeight(player);
+            const setProgress = await this.itemEffectService.getSetProgress(player.id);
+            
             return {
                 success: true,
                 data: {
@@ -503,36 +1145,45 @@ class GameService {
                     money: player.money,
                     trustPoints: player.trust_points,
                     currentLicense: player.current_license,
-                    maxInventorySize: player.max_inventory_size,
+                    maxInventorySize: await this.getInventoryCapacity(player),
                     location: {
                         lat: player.location_lat,
                         lng: player.location_lng
                     },
                     inventory: inventory.map(item => ({
                         id: item.id,
-                        name: item.item_name,
-                        category: item.item_category,
+                        itemId: item.item_id,
+                        name: item.name,
+                        category: item.category,
+                        quantity: item.quantity,
                         basePrice: item.base_price,
-                        currentPrice: item.current_price,
-                        grade: item.item_grade || 'common',
+                        currentPrice: item.market_value || item.base_price,
+                        grade: item.rarity || 'common',
                         requiredLicense: item.required_license || 1,
                         acquiredAt: item.acquired_at,
                         // iOS가 기대하는 추가 필드들 (기본값 제공)
                         weight: item.weight || 1.0,
-                        durability: item.durability || 100,
-                        currentDurability: item.current_durability || item.durability || 100,
+                        durability: this.durabilityService.getMaxDurability(item),
+                        currentDurability: this.durabilityService.getCurrentDurability(item),
                         maxStack: item.max_stack || 1,
                         isStackable: item.is_stackable || false,
                         isConsumable: item.is_consumable || false,
                         isTradeable: item.is_tradeable !== false,
                         isDropable: item.is_dropable !== false,
-                        // 고급 시스템 기본값
-                        enhancementLevel: 0,
-                        magicalProperties: [],
-                        socketGems: [],
-                        enchantments: []
+                        isEquipped: !!item.is_equipped,
+                        equipmentSlot: item.equipment_slot,
+                        enhancementLevel: item.enhancement_level || 0,
+                        enhancementStats: item.enhancement_stats ? JSON.parse(item.enhancement_stats) : {},
+                        magicalProperties: item.magical_properties ? JSON.parse(item.magical_properties) : {},
+                        socketGems: item.socket_gems ? JSON.parse(item.socket_gems) : [],
+                        enchantments: item.enchantments ? JSON.parse(item.enchantments) : [],
+                        isCrafted: !!item.crafted_by,
+                        craftedBy: item.crafted_by
                     })),
-                    inventoryCount: inventory.length
+                    inventoryCount: inventory.length,
+                    carryWeight: carryWeight,
+                    // 구성품을 하나 이상 모은 세트만
+                    itemSets: setProgress.filter(set => set.ownedCount > 0)
                 }
             };
         } catch (error) {
@@ -773,7 +1424,7 @@ class GameService {
         };
         
         const personalityResponses = responses[personality] || responses.friendly;
-        const randomResponse = personalityResponses[Math.floor(Math.random() * personalityResponses.length)];
+        const randomResponse = personalityResponses[this.random.int(0, personalityResponses.length - 1)];
         
         return this.applyPersonalityToDialogue(randomResponse, personality, mood);
     }
@@ -1019,12 +1670,20 @@ class GameService {
                     return friendMerchants?.count || 0;
                 
                 case 'successful_negotiations':
-                    // 성공한 협상 수 (임시로 거래 수의 50%로 계산)
+                    // 흥정으로 할인받아 성사된 거래 수
                     const negotiations = await this.db.get(`
                         SELECT COUNT(*) as count FROM trades 
-                        WHERE (seller_id = ? OR buyer_id = ?) AND negotiation_discount > 0
-                    `, [playerId, playerId]);
-                    return Math.floor((negotiations?.count || 0) * 0.5);
+                        WHERE buyer_id = ? AND negotiation_rounds > 0 AND negotiation_discount > 0
+                    `, [playerId]);
+                    return negotiations?.count || 0;
+                
+                case 'items_crafted':
+                    // 제작에 성공한 아이템 수
+                    const crafted = await this.db.get(`
+                        SELECT SUM(quantity) as total FROM crafting_history 
+                        WHERE player_id = ? AND succeeded = 1
+                    `, [playerId]);
+                    return crafted?.total || 0;
                 
                 default:
                     return 0;
@@ -0,0 +1,1323 @@
+// 📁 src/services/GuildService.js - 거래 길드 (창설, 가입, 직급/권한, 길드 경험치, 금고/창고/혜택)
+import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 길드 창설 비용
+const GUILD_CREATION_COST = 100000;
+
+// 직급 (높은 순) 과 직급별 기본 권한, 멤버별 permissions 컬럼의 권한은 여기에 추가로 부여된다
+const GUILD_RANKS = ['leader', 'officer', 'member', 'recruit'];
+const RANK_PERMISSIONS = {
+    leader: ['invite', 'approve_applications', 'kick', 'manage_ranks', 'edit_settings', 'take_warehouse', 'manage_perks'],
+    officer: ['invite', 'approve_applications', 'kick', 'take_warehouse'],
+    member: ['invite', 'take_warehouse'],
+    recruit: []
+};
+const ALL_PERMISSIONS = RANK_PERMISSIONS.leader;
+
+// 레벨별 누적 필요 경험치 (인덱스 + 1 = 레벨)
+const GUILD_LEVEL_EXPERIENCE = [0, 1000, 3000, 7000, 15000, 30000, 60000, 100000, 160000, 250000];
+
+// 기본 최대 인원 + 레벨당 추가 인원
+const BASE_MAX_MEMBERS = 20;
+const MAX_MEMBERS_PER_LEVEL = 5;
+
+// 초대/가입 신청 유효 기간 (일)
+const INVITATION_EXPIRY_DAYS = 7;
+
+// 직급별 금고 출금 한도 (최근 24시간 합계, null = 무제한)
+const TREASURY_DAILY_WITHDRAW_LIMITS = {
+    leader: null,
+    officer: 100000,
+    member: 20000,
+    recruit: 0
+};
+
+// 창고 칸 수 (기본 + 레벨당)
+const BASE_WAREHOUSE_SLOTS = 20;
+const WAREHOUSE_SLOTS_PER_LEVEL = 5;
+
+// 길드 혜택 (길드 레벨 달성 후 금고에서 비용을 내고 해금, 길드원 전원에게 적용)
+const GUILD_PERKS = [
+    { id: 'trade_discount_1', name: '단골 할인 I', requiredLevel: 2, cost: 50000, bonus: { buyDiscount: 0.02 } },
+    { id: 'extra_slots_1', name: '짐꾼 고용 I', requiredLevel: 3, cost: 80000, bonus: { inventorySlots: 2 } },
+    { id: 'sell_bonus_1', name: '판로 개척 I', requiredLevel: 4, cost: 120000, bonus: { sellBonus: 0.02 } },
+    { id: 'trade_discount_2', name: '단골 할인 II', requiredLevel: 6, cost: 250000, bonus: { buyDiscount: 0.03 } },
+    { id: 'extra_slots_2', name: '짐꾼 고용 II', requiredLevel: 8, cost: 400000, bonus: { inventorySlots: 3 } },
+    { id: 'sell_bonus_2', name: '판로 개척 II', requiredLevel: 10, cost: 600000, bonus: { sellBonus: 0.03 } }
+];
+const NO_BONUSES = { buyDiscount: 0, sellBonus: 0, inventorySlots: 0 };
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+class GuildService {
+    // gameService 는 창고에서 꺼낸 아이템을 인벤토리에 넣을 때 사용 (GameService 가 자신을 넘겨줌)
+    constructor(database, { clock, gameService }) {
+        this.db = database;
+        this.clock = clock;
+        this.gameService = gameService;
+    }
+
+    // ✅ 길드 창설 (창설 비용 차감, 창설자는 길드장)
+    async createGuild(userId, { name, description = null, guildType = 'general', joinRequirements = {} }) {
+        let releaseTransaction = null;
+
+        try {
+            this.validateJoinRequirements(joinRequirements);
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            if (await this.getMembership(player.id)) {
+                throw new Error('이미 길드에 가입되어 있습니다.');
+            }
+
+            const existing = await this.db.get('SELECT id FROM trading_guilds WHERE name = ?', [name]);
+            if (existing) {
+                throw new Error('이미 사용 중인 길드 이름입니다.');
+            }
+
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [GUILD_CREATION_COST, player.id, GUILD_CREATION_COST]
+            );
+            if (!charged) {
+                throw new Error(`길드 창설 비용 ${GUILD_CREATION_COST.toLocaleString()}원이 부족합니다.`);
+            }
+
+            const guildId = uuidv4();
+            await this.db.run(`
+                INSERT INTO trading_guilds (
+                    id, name, description, leader_id, guild_type, max_members, current_members,
+                    join_requirements, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?)
+            `, [
+                guildId, name, description, player.id, guildType, BASE_MAX_MEMBERS,
+                JSON.stringify(joinRequirements), this.clock.sqlTimestamp()
+            ]);
+
+            await this.db.run(`
+                INSERT INTO guild_memberships (id, guild_id, player_id, rank, permissions, joined_at)
+                VALUES (?, ?, ?, 'leader', ?, ?)
+            `, [uuidv4(), guildId, player.id, JSON.stringify([]), this.clock.sqlTimestamp()]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    guild: await this.getGuildDetail(guildId),
+                    creationCost: GUILD_CREATION_COST,
+                    newMoney: charged.money
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 초대 (invite 권한 필요)
+    async invitePlayer(userId, guildId, targetPlayerId, message = null) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+
+        try {
+            const { player } = await this.requirePermission(userId, guildId, 'invite');
+
+            const target = await this.db.get('SELECT id FROM players WHERE id = ?', [targetPlayerId]);
+            if (!target) {
+                throw new Error('초대할 플레이어를 찾을 수 없습니다.');
+            }
+
+            const invitation = await this.createInvitation(guildId, target.id, 'invite', player.id, message);
+
+            return {
+                success: true,
+                data: invitation
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    // ✅ 가입 신청 (가입 조건 확인)
+    async applyToGuild(userId, guildId, message = null) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const guild = await this.getGuildRow(guildId);
+            if (!guild.is_recruiting) {
+                throw new Error('현재 모집 중이 아닌 길드입니다.');
+            }
+
+            await this.assertMeetsRequirements(player.id, guild);
+
+            const application = await this.createInvitation(guildId, player.id, 'application', null, message);
+
+            return {
+                success: true,
+                data: application
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    async createInvitation(guildId, playerId, requestType, invitedBy, message) {
+        const guild = await this.getGuildRow(guildId);
+
+        if (await this.getMembership(playerId)) {
+            throw new Error('이미 길드에 가입된 플레이어입니다.');
+        }
+
+        if (guild.current_members >= guild.max_members) {
+            throw new Error('길드 인원이 가득 찼습니다.');
+        }
+
+        const pending = await this.db.get(`
+            SELECT id FROM guild_invitations
+            WHERE guild_id = ? AND player_id = ? AND status = 'pending' AND created_at > ?
+        `, [guildId, playerId, this.invitationCutoff()]);
+        if (pending) {
+            throw new Error('이미 처리 대기 중인 초대/신청이 있습니다.');
+        }
+
+        const invitationId = uuidv4();
+        await this.db.run(`
+            INSERT INTO guild_invitations (id, guild_id, player_id, request_type, invited_by, message, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [invitationId, guildId, playerId, requestType, invitedBy, message, this.clock.sqlTimestamp()]);
+
+        return this.formatInvitation(await this.db.get('SELECT * FROM guild_invitations WHERE id = ?', [invitationId]));
+    }
+
+    // ✅ 초대 수락(초대받은 본인) / 가입 신청 승인(approve_applications 권한)
+    async acceptInvitation(userId, invitationId) {
+        let releaseTransaction = null;
+
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const invitation = await this.getPendingInvitation(invitationId);
+
+            if (invitation.request_type === 'invite') {
+                if (invitation.player_id !== player.id) {
+                    throw new Error('받은 초대만 수락할 수 있습니다.');
+                }
+            } else {
+                await this.requirePermission(userId, invitation.guild_id, 'approve_applications');
+            }
+
+            if (await this.getMembership(invitation.player_id)) {
+                throw new Error('이미 길드에 가입된 플레이어입니다.');
+            }
+
+            const guild = await this.getGuildRow(invitation.guild_id);
+            await this.assertMeetsRequirements(invitation.player_id, guild);
+
+            // 인원 수는 조건부 증가로 최대 인원을 넘지 않게 유지
+            const joined = await this.db.get(`
+                UPDATE trading_guilds SET current_members = current_members + 1
+                WHERE id = ? AND current_members < max_members
+                RETURNING current_members
+            `, [guild.id]);
+            if (!joined) {
+                throw new Error('길드 인원이 가득 찼습니다.');
+            }
+
+            await this.db.run(`
+                INSERT INTO guild_memberships (id, guild_id, player_id, rank, permissions, joined_at)
+                VALUES (?, ?, ?, 'recruit', ?, ?)
+            `, [uuidv4(), guild.id, invitation.player_id, JSON.stringify([]), this.clock.sqlTimestamp()]);
+
+            await this.resolveInvitation(invitation.id, 'accepted');
+            // 다른 길드에 보낸/받은 대기 중 요청은 무효
+            await this.db.run(`
+                UPDATE guild_invitations SET status = 'cancelled', resolved_at = ?
+                WHERE player_id = ? AND status = 'pending'
+            `, [this.clock.sqlTimestamp(), invitation.player_id]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: await this.getGuildDetail(guild.id)
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 초대 거절(초대받은 본인) / 신청 거절(approve_applications 권한) / 신청 취소(신청한 본인)
+    async declineInvitation(userId, invitationId) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const invitation = await this.getPendingInvitation(invitationId);
+
+            let status = 'declined';
+            if (invitation.request_type === 'invite') {
+                if (invitation.player_id !== player.id) {
+                    throw new Error('받은 초대만 거절할 수 있습니다.');
+                }
+            } else if (invitation.player_id === player.id) {
+                status = 'cancelled';
+            } else {
+                await this.requirePermission(userId, invitation.guild_id, 'approve_applications');
+            }
+
+            await this.resolveInvitation(invitation.id, status);
+
+            return {
+                success: true,
+                data: this.formatInvitation({ ...invitation, status })
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    // ✅ 직급/추가 권한 변경 (manage_ranks 권한, 자신보다 낮은 직급만)
+    // 길드장 직급을 넘기면 기존 길드장은 부길드장(officer)이 된다
+    async updateMember(userId, guildId, targetPlayerId, { rank = null, permissions = null }) {
+        let releaseTransaction = null;
+
+        try {
+            if (rank !== null && !GUILD_RANKS.includes(rank)) {
+                throw new Error('존재하지 않는 직급입니다.');
+            }
+
+            if (permissions !== null && (!Array.isArray(permissions) || !permissions.every(permission => ALL_PERMISSIONS.includes(permission)))) {
+                throw new Error('존재하지 않는 권한입니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const { player, membership } = await this.requirePermission(userId, guildId, 'manage_ranks');
+            const target = await this.getMembership(targetPlayerId);
+            if (!target || target.guild_id !== guildId) {
+                throw new Error('길드원을 찾을 수 없습니다.');
+            }
+
+            if (target.player_id === player.id || !this.outranks(membership.rank, target.rank)) {
+                throw new Error('자신보다 낮은 직급의 길드원만 변경할 수 있습니다.');
+            }
+
+            if (rank === 'leader') {
+                if (membership.rank !== 'leader') {
+                    throw new Error('길드장만 길드장 직급을 넘길 수 있습니다.');
+                }
+                await this.db.run("UPDATE guild_memberships SET rank = 'officer' WHERE id = ?", [membership.id]);
+                await this.db.run('UPDATE trading_guilds SET leader_id = ? WHERE id = ?', [target.player_id, guildId]);
+            } else if (rank !== null && !this.outranks(membership.rank, rank)) {
+                throw new Error('자신보다 낮은 직급으로만 임명할 수 있습니다.');
+            }
+
+            if (permissions !== null) {
+                const own = this.getEffectivePermissions(membership);
+                if (!permissions.every(permission => own.includes(permission))) {
+                    throw new Error('자신이 가진 권한만 부여할 수 있습니다.');
+                }
+            }
+
+            await this.db.run(
+                'UPDATE guild_memberships SET rank = COALESCE(?, rank), permissions = COALESCE(?, permissions) WHERE id = ?',
+                [rank, permissions === null ? null : JSON.stringify(permissions), target.id]
+            );
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: await this.getGuildDetail(guildId)
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 추방 (kick 권한, 자신보다 낮은 직급만)
+    async kickMember(userId, guildId, targetPlayerId) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const { membership } = await this.requirePermission(userId, guildId, 'kick');
+            const target = await this.getMembership(targetPlayerId);
+            if (!target || target.guild_id !== guildId) {
+                throw new Error('길드원을 찾을 수 없습니다.');
+            }
+
+            if (!this.outranks(membership.rank, target.rank)) {
+                throw new Error('자신보다 낮은 직급의 길드원만 추방할 수 있습니다.');
+            }
+
+            await this.removeMembership(target);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: await this.getGuildDetail(guildId)
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 탈퇴 (길드장은 혼자 남았을 때만 탈퇴 가능하며, 이때 길드는 해산)
+    async leaveGuild(userId) {
+        let releaseTransaction = null;
+
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const membership = await this.getMembership(player.id);
+            if (!membership) {
+                throw new Error('가입한 길드가 없습니다.');
+            }
+
+            const guild = await this.getGuildRow(membership.guild_id);
+            let disbanded = false;
+
+            if (membership.rank === 'leader') {
+                if (guild.current_members > 1) {
+                    throw new Error('길드장은 다른 길드원에게 길드장을 넘긴 뒤 탈퇴할 수 있습니다.');
+                }
+                if (JSON.parse(guild.guild_warehouse || '[]').length > 0) {
+                    throw new Error('길드 창고를 비운 뒤 해산할 수 있습니다.');
+                }
+                await this.disbandGuild(guild);
+                disbanded = true;
+            } else {
+                await this.removeMembership(membership);
+            }
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    guildId: guild.id,
+                    disbanded: disbanded
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 길드 설정 변경 (edit_settings 권한)
+    async updateSettings(userId, guildId, { description, isRecruiting, joinRequirements }) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+
+        try {
+            await this.requirePermission(userId, guildId, 'edit_settings');
+
+            if (joinRequirements !== undefined) {
+                this.validateJoinRequirements(joinRequirements);
+            }
+
+            await this.db.run(`
+                UPDATE trading_guilds SET
+                    description = COALESCE(?, description),
+                    is_recruiting = COALESCE(?, is_recruiting),
+                    join_requirements = COALESCE(?, join_requirements)
+                WHERE id = ?
+            `, [
+                description ?? null,
+                isRecruiting === undefined ? null : (isRecruiting ? 1 : 0),
+                joinRequirements === undefined ? null : JSON.stringify(joinRequirements),
+                guildId
+            ]);
+
+            return {
+                success: true,
+                data: await this.getGuildDetail(guildId)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    // ✅ 길드원 거래 기록 → 길드 경험치/기여도 (buyItem/sellItem 트랜잭션 안에서 호출)
+    async recordMemberTrade(playerId, tradeValue) {
+        const membership = await this.getMembership(playerId);
+        if (!membership) return null;
+
+        const points = Math.floor(tradeValue / 1000) + 1;
+
+        await this.db.run(`
+            UPDATE guild_memberships SET
+                contribution_points = contribution_points + ?,
+                total_trades_for_guild = total_trades_for_guild + 1,
+                last_active = ?
+            WHERE id = ?
+        `, [points, this.clock.sqlTimestamp(), membership.id]);
+
+        const guild = await this.db.get(
+            'UPDATE trading_guilds SET experience = experience + ? WHERE id = ? RETURNING level, experience',
+            [points, membership.guild_id]
+        );
+
+        const newLevel = this.calculateLevel(guild.experience);
+        if (newLevel > guild.level) {
+            await this.db.run(
+                'UPDATE trading_guilds SET level = ?, max_members = ? WHERE id = ?',
+                [newLevel, BASE_MAX_MEMBERS + (newLevel - 1) * MAX_MEMBERS_PER_LEVEL, membership.guild_id]
+            );
+        }
+
+        return {
+            guildId: membership.guild_id,
+            experienceGained: points,
+            leveledUp: newLevel > guild.level,
+            level: Math.max(newLevel, guild.level)
+        };
+    }
+
+    calculateLevel(experience) {
+        let level = 1;
+        while (level < GUILD_LEVEL_EXPERIENCE.length && experience >= GUILD_LEVEL_EXPERIENCE[level]) {
+            level++;
+        }
+        return level;
+    }
+
+    // ===== 금고 =====
+
+    // ✅ 금고 입금 (모든 길드원)
+    async depositTreasury(userId, guildId, amount, memo = null) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Number.isInteger(amount) || amount < 1) {
+                throw new Error('금액이 올바르지 않습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const { player, membership } = await this.requireMembership(userId, guildId);
+
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [amount, player.id, amount]
+            );
+            if (!charged) {
+                throw new Error('돈이 부족합니다.');
+            }
+
+            const guild = await this.db.get(
+                'UPDATE trading_guilds SET guild_treasury = guild_treasury + ? WHERE id = ? RETURNING guild_treasury',
+                [amount, guildId]
+            );
+            await this.db.run(
+                'UPDATE guild_memberships SET total_contribution_gold = total_contribution_gold + ? WHERE id = ?',
+                [amount, membership.id]
+            );
+            await this.addLedgerEntry(guildId, player.id, 'deposit', { amount, balanceAfter: guild.guild_treasury, memo });
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    treasury: guild.guild_treasury,
+                    newMoney: charged.money
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 금고 출금 (직급별 24시간 한도)
+    async withdrawTreasury(userId, guildId, amount, memo = null) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Number.isInteger(amount) || amount < 1) {
+                throw new Error('금액이 올바르지 않습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const { player, membership } = await this.requireMembership(userId, guildId);
+
+            const limit = TREASURY_DAILY_WITHDRAW_LIMITS[membership.rank] ?? 0;
+            if (limit !== null) {
+                const withdrawn = await this.db.get(`
+                    SELECT COALESCE(SUM(amount), 0) as total FROM guild_ledger
+                    WHERE guild_id = ? AND player_id = ? AND entry_type = 'withdraw' AND created_at > ?
+                `, [guildId, player.id, toSqlTimestamp(this.clock.nowMs() - 24 * 60 * 60 * 1000)]);
+
+                if (withdrawn.total + amount > limit) {
+                    throw new Error(`출금 한도를 초과합니다. (24시간 한도 ${limit.toLocaleString()}원, 남은 한도 ${Math.max(0, limit - withdrawn.total).toLocaleString()}원)`);
+                }
+            }
+
+            const guild = await this.db.get(
+                'UPDATE trading_guilds SET guild_treasury = guild_treasury - ? WHERE id = ? AND guild_treasury >= ? RETURNING guild_treasury',
+                [amount, guildId, amount]
+            );
+            if (!guild) {
+                throw new Error('길드 금고 잔액이 부족합니다.');
+            }
+
+            const updated = await this.db.get(
+                'UPDATE players SET money = money + ? WHERE id = ? RETURNING money',
+                [amount, player.id]
+            );
+            await this.addLedgerEntry(guildId, player.id, 'withdraw', { amount, balanceAfter: guild.guild_treasury, memo });
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    treasury: guild.guild_treasury,
+                    newMoney: updated.money
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 금고/창고 입출 기록
+    async getLedger(userId, guildId, { limit = 50 } = {}) {
+        try {
+            await this.requireMembership(userId, guildId);
+
+            const entries = await this.db.all(`
+                SELECT gl.*, p.name as player_name, im.name as item_name
+                FROM guild_ledger gl
+                LEFT JOIN players p ON gl.player_id = p.id
+                LEFT JOIN item_master im ON gl.item_id = im.id
+                WHERE gl.guild_id = ?
+                ORDER BY gl.created_at DESC, gl.rowid DESC
+                LIMIT ?
+            `, [guildId, limit]);
+
+            return {
+                success: true,
+                data: entries.map(entry => ({
+                    id: entry.id,
+                    type: entry.entry_type,
+                    playerId: entry.player_id,
+                    playerName: entry.player_name,
+                    amount: entry.amount,
+                    balanceAfter: entry.balance_after,
+                    itemId: entry.item_id,
+                    itemName: entry.item_name,
+                    quantity: entry.quantity,
+                    memo: entry.memo,
+                    createdAt: entry.created_at
+                }))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async addLedgerEntry(guildId, playerId, entryType, { amount = 0, balanceAfter = null, itemId = null, quantity = null, memo = null }) {
+        await this.db.run(`
+            INSERT INTO guild_ledger (id, guild_id, player_id, entry_type, amount, balance_after, item_id, quantity, memo, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), guildId, playerId, entryType, amount, balanceAfter, itemId, quantity, memo, this.clock.sqlTimestamp()]);
+    }
+
+    // ===== 창고 =====
+    // guild_warehouse 는 보관 묶음 배열(JSON). 강화/각인 등 개별 속성이 있는 아이템은 묶음 하나로 따로 보관한다
+
+    // ✅ 창고 조회
+    async getWarehouse(userId, guildId) {
+        try {
+            await this.requireMembership(userId, guildId);
+            const guild = await this.getGuildRow(guildId);
+
+            return {
+                success: true,
+                data: {
+                    slots: this.getWarehouseSlots(guild.level),
+                    items: JSON.parse(guild.guild_warehouse || '[]')
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 창고에 넣기 (모든 길드원)
+    async depositItem(userId, guildId, inventoryId, quantity) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('수량이 올바르지 않습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const { player } = await this.requireMembership(userId, guildId);
+            const guild = await this.getGuildRow(guildId);
+
+            const item = await this.db.get(`
+                SELECT i.*, im.name, im.is_tradeable, im.is_stackable, im.is_consumable, im.durability
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [inventoryId, player.id]);
+
+            if (!item) {
+                throw new Error('아이템을 인벤토리에서 찾을 수 없습니다.');
+            }
+
+            if (!item.is_tradeable) {
+                throw new Error(`${item.name}은(는) 길드 창고에 넣을 수 없는 아이템입니다.`);
+            }
+
+            if (item.is_locked || item.is_equipped) {
+                throw new Error('잠기거나 장착 중인 아이템은 넣을 수 없습니다.');
+            }
+
+            if (item.quantity < quantity) {
+                throw new Error('보유 수량이 부족합니다.');
+            }
+
+            const warehouse = JSON.parse(guild.guild_warehouse || '[]');
+            const isPlain = this.isPlainItem(item);
+            const stack = isPlain && item.is_stackable
+                ? warehouse.find(entry => entry.itemId === item.item_id && entry.plain)
+                : null;
+
+            if (stack) {
+                stack.quantity += quantity;
+            } else {
+                if (warehouse.length >= this.getWarehouseSlots(guild.level)) {
+                    throw new Error('길드 창고가 가득 찼습니다.');
+                }
+
+                warehouse.push({
+                    id: uuidv4(),
+                    itemId: item.item_id,
+                    name: item.name,
+                    quantity: quantity,
+                    plain: isPlain,
+                    currentDurability: item.current_durability,
+                    enhancementLevel: item.enhancement_level,
+                    enhancementStats: item.enhancement_stats,
+                    customName: item.custom_name,
+                    socketGems: item.socket_gems,
+                    enchantments: item.enchantments,
+                    craftedBy: item.crafted_by,
+                    purchasePrice: item.purchase_price,
+                    depositedBy: player.id,
+                    depositedAt: this.clock.sqlTimestamp()
+                });
+            }
+
+            await this.gameService.removeFromInventory(item, quantity);
+            await this.db.run('UPDATE trading_guilds SET guild_warehouse = ? WHERE id = ?', [JSON.stringify(warehouse), guildId]);
+            await this.addLedgerEntry(guildId, player.id, 'item_deposit', { itemId: item.item_id, quantity });
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    slots: this.getWarehouseSlots(guild.level),
+                    items: warehouse
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 창고에서 꺼내기 (take_warehouse 권한, 소지 무게/인벤토리 칸 확인)
+    async withdrawItem(userId, guildId, entryId, quantity) {
+        let releaseTransaction = null;
+
+        try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new Error('수량이 올바르지 않습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            await this.requirePermission(userId, guildId, 'take_warehouse');
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            const guild = await this.getGuildRow(guildId);
+
+            const warehouse = JSON.parse(guild.guild_warehouse || '[]');
+            const entry = warehouse.find(stack => stack.id === entryId);
+            if (!entry) {
+                throw new Error('창고에서 아이템을 찾을 수 없습니다.');
+            }
+
+            if (entry.quantity < quantity) {
+                throw new Error('창고 보관 수량이 부족합니다.');
+            }
+
+            const itemInfo = await this.db.get('SELECT * FROM item_master WHERE id = ?', [entry.itemId]);
+
+            const carryWeight = await this.gameService.getCarryWeight(player);
+            const addedWeight = Math.round((itemInfo.weight ?? 1.0) * quantity * 10) / 10;
+            if (carryWeight.current + addedWeight > carryWeight.max) {
+                throw new Error(
+                    `소지 무게를 초과합니다. (현재 ${carryWeight.current}kg + ${addedWeight}kg > 최대 ${carryWeight.max}kg)`
+                );
+            }
+
+            // 이전에 일반 항목으로 보관된 닳은 아이템도 내구도 그대로 복원
+            let inventoryIds;
+            if (entry.plain && !this.isWorn({ ...itemInfo, current_durability: entry.currentDurability })) {
+                ({ inventoryIds } = await this.gameService.addToInventory(player, itemInfo, quantity, {
+                    purchasePrice: entry.purchasePrice
+                }));
+            } else {
+                inventoryIds = [await this.restoreWarehouseItem(player, entry, quantity)];
+            }
+
+            entry.quantity -= quantity;
+            const remaining = warehouse.filter(stack => stack.quantity > 0);
+
+            await this.db.run('UPDATE trading_guilds SET guild_warehouse = ? WHERE id = ?', [JSON.stringify(remaining), guildId]);
+            await this.addLedgerEntry(guildId, player.id, 'item_withdraw', { itemId: entry.itemId, quantity });
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    inventoryIds: inventoryIds,
+                    slots: this.getWarehouseSlots(guild.level),
+                    items: remaining
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 개별 속성이 있는 아이템을 속성 그대로 새 인벤토리 칸에 복원
+    async restoreWarehouseItem(player, entry, quantity) {
+        const slots = await this.db.get('SELECT COUNT(*) as count FROM inventory WHERE player_id = ?', [player.id]);
+        if (slots.count + 1 > await this.gameService.getInventoryCapacity(player)) {
+            throw new Error('인벤토리가 가득 찼습니다.');
+        }
+
+        const inventoryId = uuidv4();
+        await this.db.run(`
+            INSERT INTO inventory (
+                id, player_id, item_id, quantity, current_durability, enhancement_level, enhancement_stats,
+                custom_name, socket_gems, enchantments, crafted_by, purchase_price, acquired_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [
+            inventoryId, player.id, entry.itemId, quantity, entry.currentDurability, entry.enhancementLevel,
+            entry.enhancementStats, entry.customName, entry.socketGems, entry.enchantments, entry.craftedBy ?? null,
+            entry.purchasePrice
+        ]);
+
+        return inventoryId;
+    }
+
+    // 일반 항목은 꺼낼 때 새 아이템으로 지급되므로, 닳은 아이템은 개별 항목으로 보관 (창고를 거쳐 수리되지 않게)
+    isPlainItem(item) {
+        return !item.enhancement_level && !item.enhancement_stats && !item.custom_name &&
+            !item.socket_gems && !item.enchantments && !item.crafted_by && !this.isWorn(item);
+    }
+
+    isWorn(item) {
+        const durabilityService = this.gameService.durabilityService;
+        return durabilityService.hasDurability(item) &&
+            durabilityService.getCurrentDurability(item) < durabilityService.getMaxDurability(item);
+    }
+
+    getWarehouseSlots(level) {
+        return BASE_WAREHOUSE_SLOTS + (level - 1) * WAREHOUSE_SLOTS_PER_LEVEL;
+    }
+
+    // ===== 혜택 =====
+
+    // ✅ 혜택 목록 (해금 여부 포함)
+    async getPerks(guildId) {
+        const guild = await this.getGuildRow(guildId);
+        const unlocked = JSON.parse(guild.guild_perks || '[]');
+
+        return GUILD_PERKS.map(perk => ({
+            ...perk,
+            unlocked: unlocked.includes(perk.id),
+            available: guild.level >= perk.requiredLevel
+        }));
+    }
+
+    // ✅ 혜택 해금 (manage_perks 권한, 금고에서 비용 차감)
+    async unlockPerk(userId, guildId, perkId) {
+        let releaseTransaction = null;
+
+        try {
+            const perk = GUILD_PERKS.find(candidate => candidate.id === perkId);
+            if (!perk) {
+                throw new Error('존재하지 않는 길드 혜택입니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const { player } = await this.requirePermission(userId, guildId, 'manage_perks');
+            const guild = await this.getGuildRow(guildId);
+            const unlocked = JSON.parse(guild.guild_perks || '[]');
+
+            if (unlocked.includes(perk.id)) {
+                throw new Error('이미 해금한 혜택입니다.');
+            }
+
+            if (guild.level < perk.requiredLevel) {
+                throw new Error(`길드 레벨 ${perk.requiredLevel} 이상에서 해금할 수 있습니다.`);
+            }
+
+            const charged = await this.db.get(
+                'UPDATE trading_guilds SET guild_treasury = guild_treasury - ? WHERE id = ? AND guild_treasury >= ? RETURNING guild_treasury',
+                [perk.cost, guildId, perk.cost]
+            );
+            if (!charged) {
+                throw new Error(`길드 금고 잔액이 부족합니다. (필요 ${perk.cost.toLocaleString()}원)`);
+            }
+
+            unlocked.push(perk.id);
+            await this.db.run(
+                'UPDATE trading_guilds SET guild_perks = ?, member_bonuses = ? WHERE id = ?',
+                [JSON.stringify(unlocked), JSON.stringify(this.calculateBonuses(unlocked)), guildId]
+            );
+            await this.addLedgerEntry(guildId, player.id, 'perk_unlock', {
+                amount: perk.cost, balanceAfter: charged.guild_treasury, memo: perk.name
+            });
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: await this.getPerks(guildId)
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 해금한 혜택의 합산 보너스 (trading_guilds.member_bonuses 에 캐시)
+    calculateBonuses(perkIds) {
+        return GUILD_PERKS
+            .filter(perk => perkIds.includes(perk.id))
+            .reduce((total, perk) => ({
+                buyDiscount: total.buyDiscount + (perk.bonus.buyDiscount || 0),
+                sellBonus: total.sellBonus + (perk.bonus.sellBonus || 0),
+                inventorySlots: total.inventorySlots + (perk.bonus.inventorySlots || 0)
+            }), { ...NO_BONUSES });
+    }
+
+    // ✅ 길드원 혜택 (구매 할인율, 판매 가산율, 추가 인벤토리 칸) - 길드가 없으면 0
+    async getMemberBonuses(playerId) {
+        const row = await this.db.get(`
+            SELECT tg.member_bonuses
+            FROM guild_memberships gm
+            JOIN trading_guilds tg ON gm.guild_id = tg.id
+            WHERE gm.player_id = ?
+        `, [playerId]);
+
+        return { ...NO_BONUSES, ...JSON.parse(row?.member_bonuses || '{}') };
+    }
+
+    // ✅ 모집 중인 길드 목록
+    async listGuilds({ limit = 50 } = {}) {
+        const guilds = await this.db.all(`
+            SELECT * FROM trading_guilds
+            WHERE is_recruiting = 1
+            ORDER BY level DESC, experience DESC
+            LIMIT ?
+        `, [limit]);
+
+        return guilds.map(guild => this.formatGuild(guild));
+    }
+
+    // ✅ 내 길드 + 받은 초대 목록
+    async getMyGuild(userId) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const membership = await this.getMembership(player.id);
+            const invitations = await this.db.all(`
+                SELECT gi.*, tg.name as guild_name
+                FROM guild_invitations gi
+                JOIN trading_guilds tg ON gi.guild_id = tg.id
+                WHERE gi.player_id = ? AND gi.status = 'pending' AND gi.created_at > ?
+                ORDER BY gi.created_at DESC
+            `, [player.id, this.invitationCutoff()]);
+
+            let applications = [];
+            if (membership && this.getEffectivePermissions(membership).includes('approve_applications')) {
+                applications = await this.db.all(`
+                    SELECT gi.*, p.name as player_name
+                    FROM guild_invitations gi
+                    JOIN players p ON gi.player_id = p.id
+                    WHERE gi.guild_id = ? AND gi.request_type = 'application' AND gi.status = 'pending' AND gi.created_at > ?
+                    ORDER BY gi.created_at ASC
+                `, [membership.guild_id, this.invitationCutoff()]);
+            }
+
+            return {
+                success: true,
+                data: {
+                    guild: membership ? await this.getGuildDetail(membership.guild_id) : null,
+                    rank: membership?.rank || null,
+                    permissions: membership ? this.getEffectivePermissions(membership) : [],
+                    invitations: invitations.map(invitation => this.formatInvitation(invitation)),
+                    applications: applications.map(application => this.formatInvitation(application))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async getGuildDetail(guildId) {
+        const guild = await this.db.get('SELECT * FROM trading_guilds WHERE id = ?', [guildId]);
+        if (!guild) return null;
+
+        const members = await this.db.all(`
+            SELECT gm.*, p.name
+            FROM guild_memberships gm
+            JOIN players p ON gm.player_id = p.id
+            WHERE gm.guild_id = ?
+            ORDER BY gm.contribution_points DESC
+        `, [guildId]);
+
+        members.sort((a, b) => GUILD_RANKS.indexOf(a.rank) - GUILD_RANKS.indexOf(b.rank));
+
+        return {
+            ...this.formatGuild(guild),
+            members: members.map(member => ({
+                playerId: member.player_id,
+                name: member.name,
+                rank: member.rank,
+                permissions: this.getEffectivePermissions(member),
+                contributionPoints: member.contribution_points,
+                totalTrades: member.total_trades_for_guild,
+                joinedAt: member.joined_at
+            }))
+        };
+    }
+
+    // ===== 내부 헬퍼 =====
+
+    async getGuildRow(guildId) {
+        const guild = await this.db.get('SELECT * FROM trading_guilds WHERE id = ?', [guildId]);
+        if (!guild) {
+            throw new Error('길드를 찾을 수 없습니다.');
+        }
+        return guild;
+    }
+
+    async getMembership(playerId) {
+        return await this.db.get('SELECT * FROM guild_memberships WHERE player_id = ?', [playerId]);
+    }
+
+    async requireMembership(userId, guildId) {
+        const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+        if (!player) {
+            throw new Error('플레이어를 찾을 수 없습니다.');
+        }
+
+        const membership = await this.getMembership(player.id);
+        if (!membership || membership.guild_id !== guildId) {
+            throw new Error('해당 길드의 길드원이 아닙니다.');
+        }
+
+        return { player, membership };
+    }
+
+    async requirePermission(userId, guildId, permission) {
+        const { player, membership } = await this.requireMembership(userId, guildId);
+
+        if (!this.getEffectivePermissions(membership).includes(permission)) {
+            throw new Error('권한이 없습니다.');
+        }
+
+        return { player, membership };
+    }
+
+    getEffectivePermissions(membership) {
+        const extra = JSON.parse(membership.permissions || '[]');
+        return [...new Set([...(RANK_PERMISSIONS[membership.rank] || []), ...extra])];
+    }
+
+    outranks(rank, otherRank) {
+        return GUILD_RANKS.indexOf(rank) < GUILD_RANKS.indexOf(otherRank);
+    }
+
+    async assertMeetsRequirements(playerId, guild) {
+        const requirements = JSON.parse(guild.join_requirements || '{}');
+        const player = await this.db.get(`
+            SELECT p.current_license, p.trust_points, cs.level
+            FROM players p
+            LEFT JOIN character_stats cs ON cs.player_id = p.id
+            WHERE p.id = ?
+        `, [playerId]);
+
+        if (requirements.minLevel && (player.level || 1) < requirements.minLevel) {
+            throw new Error(`레벨 ${requirements.minLevel} 이상만 가입할 수 있습니다.`);
+        }
+
+        if (requirements.minLicense && player.current_license < requirements.minLicense) {
+            throw new Error('라이센스 등급이 부족합니다.');
+        }
+
+        if (requirements.minTrustPoints && player.trust_points < requirements.minTrustPoints) {
+            throw new Error('신뢰도가 부족합니다.');
+        }
+    }
+
+    validateJoinRequirements(requirements) {
+        const allowedKeys = ['minLevel', 'minLicense', 'minTrustPoints'];
+        if (typeof requirements !== 'object' || requirements === null || Array.isArray(requirements) ||
+            !Object.entries(requirements).every(([key, value]) => allowedKeys.includes(key) && Number.isInteger(value) && value >= 0)) {
+            throw new Error('가입 조건이 올바르지 않습니다.');
+        }
+    }
+
+    async getPendingInvitation(invitationId) {
+        const invitation = await this.db.get('SELECT * FROM guild_invitations WHERE id = ?', [invitationId]);
+        if (!invitation) {
+            throw new Error('초대/가입 신청을 찾을 수 없습니다.');
+        }
+
+        if (invitation.status !== 'pending') {
+            throw new Error('이미 처리된 초대/가입 신청입니다.');
+        }
+
+        if (invitation.created_at <= this.invitationCutoff()) {
+            await this.resolveInvitation(invitation.id, 'expired');
+            throw new Error('만료된 초대/가입 신청입니다.');
+        }
+
+        return invitation;
+    }
+
+    async resolveInvitation(invitationId, status) {
+        await this.db.run(
+            'UPDATE guild_invitations SET status = ?, resolved_at = ? WHERE id = ?',
+            [status, this.clock.sqlTimestamp(), invitationId]
+        );
+    }
+
+    invitationCutoff() {
+        return toSqlTimestamp(this.clock.nowMs() - INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    // 트랜잭션 안에서 호출
+    async removeMembership(membership) {
+        await this.db.run('DELETE FROM guild_memberships WHERE id = ?', [membership.id]);
+        await this.db.run(
+            'UPDATE trading_guilds SET current_members = current_members - 1 WHERE id = ?',
+            [membership.guild_id]
+        );
+    }
+
+    // 남은 금고 잔액은 길드장에게 반환
+    async disbandGuild(guild) {
+        if (guild.guild_treasury > 0) {
+            await this.db.run('UPDATE players SET money = money + ? WHERE id = ?', [guild.guild_treasury, guild.leader_id]);
+        }
+        await this.db.run('DELETE FROM guild_ledger WHERE guild_id = ?', [guild.id]);
+        await this.db.run('DELETE FROM guild_memberships WHERE guild_id = ?', [guild.id]);
+        await this.db.run('DELETE FROM guild_invitations WHERE guild_id = ?', [guild.id]);
+        await this.db.run('DELETE FROM trading_guilds WHERE id = ?', [guild.id]);
+    }
+
+    formatInvitation(invitation) {
+        return {
+            id: invitation.id,
+            guildId: invitation.guild_id,
+            guildName: invitation.guild_name,
+            playerId: invitation.player_id,
+            playerName: invitation.player_name,
+            type: invitation.request_type,
+            invitedBy: invitation.invited_by,
+            message: invitation.message,
+            status: invitation.status,
+            createdAt: invitation.created_at
+        };
+    }
+
+    formatGuild(guild) {
+        const nextLevelExperience = GUILD_LEVEL_EXPERIENCE[guild.level] ?? null;
+
+        return {
+            id: guild.id,
+            name: guild.name,
+            description: guild.description,
+            type: guild.guild_type,
+            leaderId: guild.leader_id,
+            level: guild.level,
+            experience: guild.experience,
+            nextLevelExperience: nextLevelExperience,
+            reputation: guild.reputation,
+            treasury: guild.guild_treasury,
+            perks: JSON.parse(guild.guild_perks || '[]'),
+            memberBonuses: { ...NO_BONUSES, ...JSON.parse(guild.member_bonuses || '{}') },
+            currentMembers: guild.current_members,
+            maxMembers: guild.max_members,
+            isRecruiting: !!guild.is_recruiting,
+            joinRequirements: JSON.parse(guild.join_requirements || '{}'),
+            createdAt: guild.created_at
+        };
+    }
+}
+
+export default GuildService;
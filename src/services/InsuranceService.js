@@ -0,0 +1,528 @@
+// 📁 src/services/InsuranceService.js - 거래 보험 (보험 가입, 청구, 심사/지급)
+// 청구 상태: submitted → reviewing → approved/denied → paid (approved 만 paid 로 진행)
+// 게임이 직접 확인할 수 있는 위험(시세 폭락 등)만 보장하고 모두 자동 심사한다
+import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 보험 상품 (baseRate: 보장액 대비 기본 보험료율, deductibleRate: 보장액 대비 자기부담금)
+// 자동 심사할 수 없는 위험은 판매하지 않는다 (심사할 주체가 없어 청구가 끝나지 않음)
+const POLICY_TYPES = {
+    basic: { name: '기본 거래 보험', risks: ['price_crash'], baseRate: 0.05, deductibleRate: 0.1, durationDays: 7 },
+    premium: { name: '고급 거래 보험', risks: ['price_crash'], baseRate: 0.08, deductibleRate: 0.05, durationDays: 7 }
+};
+
+const MIN_COVERAGE = 10000;
+const MAX_COVERAGE = 1000000;
+
+// 청구 이력/신뢰도에 따른 보험료 배율 범위
+const MIN_PREMIUM_MULTIPLIER = 0.8;
+const MAX_PREMIUM_MULTIPLIER = 1.5;
+
+// 시세 폭락으로 인정하는 하락률
+const PRICE_CRASH_THRESHOLD = 0.2;
+
+// 자동 심사 대상이 아닌 채 심사 중에 머문 청구(이전 상품의 fraud 등)를 종결하는 기한 (시간)
+const CLAIM_REVIEW_TIMEOUT_HOURS = 24;
+
+const CLAIM_TRANSITIONS = {
+    submitted: ['reviewing'],
+    reviewing: ['approved', 'denied'],
+    approved: ['paid'],
+    denied: [],
+    paid: []
+};
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+class InsuranceService {
+    // options.notify(userId, event, payload) 로 청구 진행 상황 알림
+    constructor(database, gameService, options = {}) {
+        this.db = database;
+        this.gameService = gameService;
+        this.notify = options.notify || (() => {});
+
+        // 자동 심사 가능한 위험 → 확인된 손실액 계산 (null 이면 손실 없음)
+        this.riskAdjudicators = {
+            price_crash: (claim, trade, player) => this.assessPriceCrash(trade, player)
+        };
+    }
+
+    // ✅ 보험료 견적 (보장액 × 상품 요율 × 이력 배율)
+    async quotePremium(playerId, policyType, coverageAmount) {
+        const product = POLICY_TYPES[policyType];
+        if (!product) {
+            throw new Error('존재하지 않는 보험 상품입니다.');
+        }
+
+        if (!Number.isInteger(coverageAmount) || coverageAmount < MIN_COVERAGE || coverageAmount > MAX_COVERAGE) {
+            throw new Error(`보장액은 ${MIN_COVERAGE.toLocaleString()}-${MAX_COVERAGE.toLocaleString()}원이어야 합니다.`);
+        }
+
+        const player = await this.db.get('SELECT trust_points FROM players WHERE id = ?', [playerId]);
+        const history = await this.db.get(`
+            SELECT COUNT(*) as paid_count
+            FROM insurance_claims ic
+            JOIN trade_insurance ti ON ic.insurance_id = ti.id
+            WHERE ti.player_id = ? AND ic.status = 'paid' AND ic.processed_at > ?
+        `, [playerId, toSqlTimestamp(this.gameService.clock.nowMs() - 30 * 24 * 60 * 60 * 1000)]);
+
+        // 최근 30일 지급 건당 +10%, 신뢰도 1000점당 -5% (최대 -20%)
+        const multiplier = Math.min(MAX_PREMIUM_MULTIPLIER, Math.max(MIN_PREMIUM_MULTIPLIER,
+            1 + history.paid_count * 0.1 - Math.min(0.2, (player?.trust_points || 0) / 1000 * 0.05)
+        ));
+        const premiumRate = Math.round(product.baseRate * multiplier * 10000) / 10000;
+
+        return {
+            policyType: policyType,
+            name: product.name,
+            coveredRisks: product.risks,
+            coverageAmount: coverageAmount,
+            premiumRate: premiumRate,
+            premium: Math.ceil(coverageAmount * premiumRate),
+            deductible: Math.floor(coverageAmount * product.deductibleRate),
+            durationDays: product.durationDays,
+            historyMultiplier: Math.round(multiplier * 100) / 100
+        };
+    }
+
+    async getQuote(userId, policyType, coverageAmount) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            return {
+                success: true,
+                data: await this.quotePremium(player.id, policyType, coverageAmount)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 보험 가입 (보험료 선납, 같은 상품은 하나만 유지)
+    async purchasePolicy(userId, { policyType, coverageAmount }) {
+        let releaseTransaction = null;
+
+        try {
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const quote = await this.quotePremium(player.id, policyType, coverageAmount);
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const existing = await this.db.get(`
+                SELECT id FROM trade_insurance
+                WHERE player_id = ? AND policy_type = ? AND is_active = 1 AND end_date > ?
+            `, [player.id, policyType, this.gameService.clock.sqlTimestamp()]);
+            if (existing) {
+                throw new Error('이미 가입 중인 보험 상품입니다.');
+            }
+
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [quote.premium, player.id, quote.premium]
+            );
+            if (!charged) {
+                throw new Error('보험료가 부족합니다.');
+            }
+
+            const policyId = uuidv4();
+            const nowMs = this.gameService.clock.nowMs();
+            await this.db.run(`
+                INSERT INTO trade_insurance (
+                    id, player_id, policy_type, coverage_amount, premium_rate, deductible,
+                    covered_risks, start_date, end_date
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                policyId, player.id, policyType, quote.coverageAmount, quote.premiumRate, quote.deductible,
+                JSON.stringify(quote.coveredRisks), toSqlTimestamp(nowMs),
+                toSqlTimestamp(nowMs + quote.durationDays * 24 * 60 * 60 * 1000)
+            ]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    policy: this.formatPolicy(await this.getPolicyRow(policyId)),
+                    premium: quote.premium,
+                    newMoney: charged.money
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 보험금 청구 (보험 기간 중 본인이 참여한 거래에 한해, 거래당 1건)
+    async fileClaim(userId, { policyId, tradeId, claimType, claimAmount, description, evidence = null }) {
+        let releaseTransaction = null;
+
+        try {
+            const player = await this.db.get('SELECT id, user_id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const policy = await this.getPolicyRow(policyId);
+            if (!policy || policy.player_id !== player.id) {
+                throw new Error('보험을 찾을 수 없습니다.');
+            }
+
+            if (!policy.is_active || policy.end_date <= this.gameService.clock.sqlTimestamp()) {
+                throw new Error('보험 기간이 끝났습니다.');
+            }
+
+            if (!JSON.parse(policy.covered_risks).includes(claimType) || !this.riskAdjudicators[claimType]) {
+                throw new Error('보장하지 않는 위험입니다.');
+            }
+
+            if (!Number.isInteger(claimAmount) || claimAmount < 1) {
+                throw new Error('청구 금액이 올바르지 않습니다.');
+            }
+
+            const trade = await this.db.get(
+                'SELECT * FROM trades WHERE id = ? AND (buyer_id = ? OR seller_id = ?)',
+                [tradeId, player.id, player.id]
+            );
+            if (!trade) {
+                throw new Error('본인이 참여한 거래만 청구할 수 있습니다.');
+            }
+
+            if (trade.timestamp < policy.start_date) {
+                throw new Error('보험 가입 전 거래는 청구할 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const duplicate = await this.db.get(
+                "SELECT id FROM insurance_claims WHERE trade_id = ? AND status != 'denied'",
+                [tradeId]
+            );
+            if (duplicate) {
+                throw new Error('이미 청구한 거래입니다.');
+            }
+
+            const claimId = uuidv4();
+            await this.db.run(`
+                INSERT INTO insurance_claims (
+                    id, insurance_id, trade_id, claim_type, claim_amount, description, evidence, submitted_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                claimId, policy.id, trade.id, claimType, claimAmount, description,
+                evidence ? JSON.stringify(evidence) : null, this.gameService.clock.sqlTimestamp()
+            ]);
+            await this.db.run(
+                'UPDATE trade_insurance SET claims_count = claims_count + 1 WHERE id = ?',
+                [policy.id]
+            );
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: this.formatClaim(await this.getClaimRow(claimId))
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 청구 처리 작업 (접수 → 심사 → 자동 판정 → 지급), 처리한 건수 반환
+    // 자동 심사할 수 없는 청구는 심사 기한이 지났을 때만 다시 가져와 종결한다
+    async processClaims() {
+        const autoTypes = Object.keys(this.riskAdjudicators);
+        const reviewDeadline = toSqlTimestamp(this.gameService.clock.nowMs() - CLAIM_REVIEW_TIMEOUT_HOURS * 60 * 60 * 1000);
+        const pending = await this.db.all(`
+            SELECT * FROM insurance_claims
+            WHERE status IN ('submitted', 'approved') OR (
+                status = 'reviewing' AND (claim_type IN (${autoTypes.map(() => '?').join(', ')}) OR processed_at <= ?)
+            )
+            ORDER BY submitted_at
+        `, [...autoTypes, reviewDeadline]);
+
+        let processed = 0;
+        for (const claim of pending) {
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            let current = claim;
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                if (current.status === 'submitted') {
+                    current = await this.transitionClaim(current, 'reviewing');
+                }
+                if (current.status === 'reviewing') {
+                    current = this.riskAdjudicators[current.claim_type]
+                        ? await this.autoAdjudicate(current)
+                        : await this.expireReview(current, reviewDeadline);
+                }
+                if (current.status === 'approved') {
+                    current = await this.payClaim(current);
+                }
+                await this.db.run('COMMIT');
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                current = claim;
+                console.error(`보험 청구 처리 오류 (${claim.id}):`, error);
+            } finally {
+                releaseTransaction();
+            }
+
+            if (current.status !== claim.status) {
+                processed++;
+                await this.notifyClaimUpdate(current);
+            }
+        }
+
+        await this.db.run(
+            'UPDATE trade_insurance SET is_active = 0 WHERE is_active = 1 AND end_date <= ?',
+            [this.gameService.clock.sqlTimestamp()]
+        );
+
+        return processed;
+    }
+
+    // 자동 심사 (트랜잭션 안에서 호출): 확인된 손실액 - 자기부담금 (청구액/남은 보장액 한도)
+    async autoAdjudicate(claim) {
+        const policy = await this.getPolicyRow(claim.insurance_id);
+        const trade = await this.db.get('SELECT * FROM trades WHERE id = ?', [claim.trade_id]);
+        const player = await this.db.get('SELECT * FROM players WHERE id = ?', [policy.player_id]);
+
+        const assessment = trade
+            ? await this.riskAdjudicators[claim.claim_type](claim, trade, player)
+            : null;
+
+        if (!assessment || assessment.loss <= 0) {
+            return await this.transitionClaim(claim, 'denied', {
+                adjuster_notes: assessment?.notes || '확인된 손실이 없습니다.',
+                settlement_amount: 0
+            });
+        }
+
+        const settlement = this.calculateSettlement(policy, claim.claim_amount, assessment.loss);
+        if (settlement <= 0) {
+            return await this.transitionClaim(claim, 'denied', {
+                adjuster_notes: `${assessment.notes} 자기부담금(${policy.deductible.toLocaleString()}원) 이하의 손실입니다.`,
+                settlement_amount: 0
+            });
+        }
+
+        return await this.transitionClaim(claim, 'approved', {
+            adjuster_notes: assessment.notes,
+            settlement_amount: settlement
+        });
+    }
+
+    // 심사 기한 종결 (트랜잭션 안에서 호출): 자동 심사할 수 없는 청구는 기한이 지나면 거절
+    async expireReview(claim, reviewDeadline) {
+        if (claim.processed_at > reviewDeadline) {
+            return claim;
+        }
+
+        return await this.transitionClaim(claim, 'denied', {
+            adjuster_notes: '자동 심사할 수 없는 위험이라 심사 기한이 지나 종결되었습니다.',
+            settlement_amount: 0
+        });
+    }
+
+    calculateSettlement(policy, claimAmount, loss) {
+        const remainingCoverage = policy.coverage_amount - policy.total_claims_amount;
+        return Math.min(loss, claimAmount, remainingCoverage) - policy.deductible;
+    }
+
+    // 지급: 보험금 입금 + 보험 누적 지급액 반영 (트랜잭션 안에서 호출)
+    async payClaim(claim) {
+        const policy = await this.getPolicyRow(claim.insurance_id);
+        await this.db.run(
+            'UPDATE players SET money = money + ? WHERE id = ?',
+            [claim.settlement_amount, policy.player_id]
+        );
+        await this.db.run(
+            'UPDATE trade_insurance SET total_claims_amount = total_claims_amount + ? WHERE id = ?',
+            [claim.settlement_amount, policy.id]
+        );
+        return await this.transitionClaim(claim, 'paid');
+    }
+
+    // 상태 전이 (허용된 전이만, 현재 상태가 바뀌지 않았을 때만 적용, 트랜잭션 안에서 호출)
+    async transitionClaim(claim, nextStatus, fields = {}) {
+        if (!CLAIM_TRANSITIONS[claim.status]?.includes(nextStatus)) {
+            throw new Error(`청구 상태를 ${claim.status}에서 ${nextStatus}(으)로 바꿀 수 없습니다.`);
+        }
+
+        const updated = await this.db.get(`
+            UPDATE insurance_claims SET
+                status = ?,
+                adjuster_notes = COALESCE(?, adjuster_notes),
+                settlement_amount = COALESCE(?, settlement_amount),
+                processed_at = ?
+            WHERE id = ? AND status = ?
+            RETURNING *
+        `, [
+            nextStatus, fields.adjuster_notes ?? null, fields.settlement_amount ?? null,
+            this.gameService.clock.sqlTimestamp(), claim.id, claim.status
+        ]);
+
+        if (!updated) {
+            throw new Error('다른 처리와 충돌했습니다.');
+        }
+
+        return updated;
+    }
+
+    // 시세 폭락: 거래 당시 구역 시세(trades.market_price) 대비 현재 구역 시세가 기준 이상 떨어졌으면
+    // 그 하락률만큼 산 가격에서 손실로 인정 (지역/시간대/등급 배율이 붙은 구매가를 시세와 직접 비교하지 않음)
+    async assessPriceCrash(trade, player) {
+        if (trade.buyer_id !== player.id) {
+            return { loss: 0, notes: '구매한 거래만 시세 폭락을 청구할 수 있습니다.' };
+        }
+
+        const currentPrice = await this.gameService.marketService.getTrendPrice(trade.item_id, trade.district);
+        if (!trade.market_price || currentPrice === null) {
+            return { loss: 0, notes: '해당 구역의 시세 정보가 없습니다.' };
+        }
+
+        const drop = (trade.market_price - currentPrice) / trade.market_price;
+
+        if (drop < PRICE_CRASH_THRESHOLD) {
+            return {
+                loss: 0,
+                notes: `시세 하락률 ${Math.round(drop * 100)}%로 기준(${PRICE_CRASH_THRESHOLD * 100}%)에 못 미칩니다.`
+            };
+        }
+
+        return {
+            loss: Math.floor(trade.final_price * drop),
+            notes: `거래 당시 시세 ${trade.market_price.toLocaleString()}원 → 현재 시세 ${currentPrice.toLocaleString()}원 (${Math.round(drop * 100)}% 하락)`
+        };
+    }
+
+    async notifyClaimUpdate(claim) {
+        const owner = await this.db.get(`
+            SELECT p.user_id
+            FROM trade_insurance ti
+            JOIN players p ON ti.player_id = p.id
+            WHERE ti.id = ?
+        `, [claim.insurance_id]);
+
+        if (owner) {
+            this.notify(owner.user_id, 'insuranceClaimUpdate', this.formatClaim(claim));
+        }
+    }
+
+    // ✅ 내 보험/청구 목록
+    async getMyInsurance(userId) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const policies = await this.db.all(
+                'SELECT * FROM trade_insurance WHERE player_id = ? ORDER BY start_date DESC LIMIT 20',
+                [player.id]
+            );
+            const claims = await this.db.all(`
+                SELECT ic.* FROM insurance_claims ic
+                JOIN trade_insurance ti ON ic.insurance_id = ti.id
+                WHERE ti.player_id = ?
+                ORDER BY ic.submitted_at DESC
+                LIMIT 50
+            `, [player.id]);
+
+            return {
+                success: true,
+                data: {
+                    policies: policies.map(policy => this.formatPolicy(policy)),
+                    claims: claims.map(claim => this.formatClaim(claim))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    getProducts() {
+        return Object.entries(POLICY_TYPES).map(([type, product]) => ({
+            type: type,
+            name: product.name,
+            coveredRisks: product.risks,
+            baseRate: product.baseRate,
+            deductibleRate: product.deductibleRate,
+            durationDays: product.durationDays,
+            minCoverage: MIN_COVERAGE,
+            maxCoverage: MAX_COVERAGE
+        }));
+    }
+
+    async getPolicyRow(policyId) {
+        return await this.db.get('SELECT * FROM trade_insurance WHERE id = ?', [policyId]);
+    }
+
+    async getClaimRow(claimId) {
+        return await this.db.get('SELECT * FROM insurance_claims WHERE id = ?', [claimId]);
+    }
+
+    formatPolicy(policy) {
+        return {
+            id: policy.id,
+            type: policy.policy_type,
+            coverageAmount: policy.coverage_amount,
+            remainingCoverage: policy.coverage_amount - policy.total_claims_amount,
+            premiumRate: policy.premium_rate,
+            deductible: policy.deductible,
+            coveredRisks: JSON.parse(policy.covered_risks),
+            isActive: !!policy.is_active && policy.end_date > this.gameService.clock.sqlTimestamp(),
+            startDate: policy.start_date,
+            endDate: policy.end_date,
+            claimsCount: policy.claims_count,
+            totalClaimsAmount: policy.total_claims_amount
+        };
+    }
+
+    formatClaim(claim) {
+        return {
+            id: claim.id,
+            policyId: claim.insurance_id,
+            tradeId: claim.trade_id,
+            type: claim.claim_type,
+            claimAmount: claim.claim_amount,
+            description: claim.description,
+            status: claim.status,
+            adjusterNotes: claim.adjuster_notes,
+            settlementAmount: claim.settlement_amount,
+            submittedAt: claim.submitted_at,
+            processedAt: claim.processed_at
+        };
+    }
+}
+
+export default InsuranceService;
@@ -0,0 +1,388 @@
+// 📁 src/services/ItemEffectService.js - 인챈트/보석 소켓과 소지 아이템 효과
+// 인챈트는 magic_properties 를 아이템에 부여하고(inventory.enchantments = 속성 ID 배열),
+// 보석은 magical_properties 를 가진 보석 아이템 1개를 소모해 소켓에 박는다(inventory.socket_gems).
+// 소지 중인(거래/보관에 묶이지 않은) 아이템의 효과를 합산해 능력치와 거래 가격에 반영한다.
+// 장착한 아이템은 강화 능력치와 아이템 고유 마법 속성(item_master.magical_properties)도 더한다.
+// 세트(item_sets)는 소지한 서로 다른 구성품 수에 따라 set_bonuses 단계 효과를 누적 적용한다.
+// 소모품 버프(player_buffs)는 만료 시각 전까지만 더한다
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+const MAX_ENCHANTMENTS = 2;
+
+// 아이템 희귀도별 소켓 수
+const SOCKETS_BY_RARITY = {
+    common: 1,
+    uncommon: 1,
+    rare: 2,
+    epic: 2,
+    legendary: 3
+};
+
+// 인챈트 비용 (속성 희귀도별)
+const ENCHANT_COST_BY_RARITY = {
+    common: 5000,
+    uncommon: 15000,
+    rare: 40000,
+    epic: 100000,
+    legendary: 250000
+};
+
+// 보석으로 쓸 수 있는 아이템 분류
+const GEM_SUBCATEGORIES = ['gem', 'crystal'];
+
+// 능력치로 합산하는 효과 키
+const STAT_KEYS = [
+    'strength', 'intelligence', 'charisma', 'luck',
+    'trading_skill', 'negotiation_skill', 'appraisal_skill'
+];
+
+// 아이템 효과로 받을 수 있는 가격 보정 한도
+const MAX_PRICE_DISCOUNT = 0.3;
+const MAX_SELL_BONUS = 0.3;
+
+class ItemEffectService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.gameService = options.gameService;
+    }
+
+    // ✅ 인챈트 목록
+    async getMagicProperties() {
+        const properties = await this.db.all('SELECT * FROM magic_properties ORDER BY rarity, name');
+        return properties.map(property => this.formatProperty(property));
+    }
+
+    // ✅ 인챈트 부여 (적용 가능 아이템/충돌 속성 확인, 비용 차감)
+    async applyEnchantment(userId, inventoryId, propertyId) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.getModifiableItem(player.id, inventoryId);
+
+            const property = await this.db.get('SELECT * FROM magic_properties WHERE id = ?', [propertyId]);
+            if (!property) {
+                throw new Error('존재하지 않는 인챈트입니다.');
+            }
+
+            const applicable = property.applicable_items ? JSON.parse(property.applicable_items) : null;
+            if (applicable && !applicable.some(target => [item.item_id, item.category, item.subcategory].includes(target))) {
+                throw new Error('이 아이템에는 부여할 수 없는 인챈트입니다.');
+            }
+
+            const enchantments = item.enchantments ? JSON.parse(item.enchantments) : [];
+            if (enchantments.includes(property.id)) {
+                throw new Error('이미 부여된 인챈트입니다.');
+            }
+
+            if (enchantments.length >= MAX_ENCHANTMENTS) {
+                throw new Error(`인챈트는 아이템당 ${MAX_ENCHANTMENTS}개까지 부여할 수 있습니다.`);
+            }
+
+            // 충돌은 양쪽 어느 속성에 적혀 있어도 적용
+            const conflicts = property.conflict_properties ? JSON.parse(property.conflict_properties) : [];
+            for (const existingId of enchantments) {
+                const existing = await this.db.get('SELECT * FROM magic_properties WHERE id = ?', [existingId]);
+                const existingConflicts = existing?.conflict_properties ? JSON.parse(existing.conflict_properties) : [];
+                if (conflicts.includes(existingId) || existingConflicts.includes(property.id)) {
+                    throw new Error(`'${existing?.name || existingId}' 인챈트와 함께 부여할 수 없습니다.`);
+                }
+            }
+
+            const cost = ENCHANT_COST_BY_RARITY[property.rarity] ?? ENCHANT_COST_BY_RARITY.common;
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [cost, player.id, cost]
+            );
+            if (!charged) {
+                throw new Error('인챈트 비용이 부족합니다.');
+            }
+
+            enchantments.push(property.id);
+            await this.db.run(
+                'UPDATE inventory SET enchantments = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [JSON.stringify(enchantments), item.id]
+            );
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    item: await this.getItemDetail(item.id),
+                    cost: cost,
+                    newMoney: charged.money
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 보석 장착 (보석 1개 소모, 희귀도별 소켓 수 제한)
+    async socketGem(userId, inventoryId, gemInventoryId) {
+        let releaseTransaction = null;
+
+        try {
+            if (inventoryId === gemInventoryId) {
+                throw new Error('보석을 자기 자신에게 장착할 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const item = await this.getModifiableItem(player.id, inventoryId);
+            if (GEM_SUBCATEGORIES.includes(item.subcategory)) {
+                throw new Error('보석에는 소켓이 없습니다.');
+            }
+
+            const gem = await this.db.get(`
+                SELECT i.*, im.name, im.subcategory, im.magical_properties
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [gemInventoryId, player.id]);
+            if (!gem) {
+                throw new Error('보석을 찾을 수 없습니다.');
+            }
+
+            if (!GEM_SUBCATEGORIES.includes(gem.subcategory) || !gem.magical_properties) {
+                throw new Error('소켓에 장착할 수 없는 아이템입니다.');
+            }
+
+            if (gem.is_locked || gem.is_equipped) {
+                throw new Error('잠기거나 장착된 보석은 사용할 수 없습니다.');
+            }
+
+            const socketGems = item.socket_gems ? JSON.parse(item.socket_gems) : [];
+            const sockets = SOCKETS_BY_RARITY[item.rarity] ?? SOCKETS_BY_RARITY.common;
+            if (socketGems.length >= sockets) {
+                throw new Error(`빈 소켓이 없습니다. (최대 ${sockets}개)`);
+            }
+
+            socketGems.push({
+                itemId: gem.item_id,
+                name: gem.name,
+                effects: JSON.parse(gem.magical_properties)
+            });
+            await this.db.run(
+                'UPDATE inventory SET socket_gems = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [JSON.stringify(socketGems), item.id]
+            );
+            await this.gameService.removeFromInventory(gem, 1);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    item: await this.getItemDetail(item.id),
+                    sockets: sockets
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 소지/장착 아이템 + 버프 효과 합산 (거래/보관으로 잠긴 아이템 제외)
+    // { stats: { luck, ... }, priceDiscount, sellBonus, special: { mana_regen, ... } }
+    async getPlayerEffects(playerId) {
+        const items = await this.db.all(`
+            SELECT i.enchantments, i.socket_gems, i.is_equipped, i.enhancement_stats, i.current_durability, im.magical_properties
+            FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.player_id = ? AND i.is_locked = 0
+            AND (i.enchantments IS NOT NULL OR i.socket_gems IS NOT NULL OR i.is_equipped = 1)
+        `, [playerId]);
+
+        const effects = { stats: {}, priceDiscount: 0, sellBonus: 0, special: {} };
+
+        for (const set of await this.getSetProgress(playerId)) {
+            for (const tier of set.activeTiers) {
+                this.addEffect(effects, tier.bonuses);
+            }
+        }
+
+        const buffs = await this.db.all(
+            'SELECT effects FROM player_buffs WHERE player_id = ? AND expires_at > ?',
+            [playerId, this.gameService.clock.sqlTimestamp()]
+        );
+        for (const buff of buffs) {
+            this.addEffect(effects, JSON.parse(buff.effects));
+        }
+
+        const properties = new Map(
+            (await this.db.all('SELECT id, effect_formula FROM magic_properties'))
+                .map(property => [property.id, JSON.parse(property.effect_formula)])
+        );
+
+        for (const item of items) {
+            for (const propertyId of item.enchantments ? JSON.parse(item.enchantments) : []) {
+                this.addEffect(effects, properties.get(propertyId) || {});
+            }
+            for (const gem of item.socket_gems ? JSON.parse(item.socket_gems) : []) {
+                this.addEffect(effects, gem.effects || {});
+            }
+            // 내구도가 다한 장착 아이템은 장비 효과가 없음
+            if (item.is_equipped && item.current_durability !== 0) {
+                // value_bonus 는 시장 가치 보정이라 능력치가 아님
+                const { value_bonus, ...enhancementStats } = item.enhancement_stats ? JSON.parse(item.enhancement_stats) : {};
+                this.addEffect(effects, enhancementStats);
+                this.addEffect(effects, item.magical_properties ? JSON.parse(item.magical_properties) : {});
+            }
+        }
+
+        effects.priceDiscount = Math.min(Math.round(effects.priceDiscount * 1000) / 1000, MAX_PRICE_DISCOUNT);
+        effects.sellBonus = Math.min(Math.round(effects.sellBonus * 1000) / 1000, MAX_SELL_BONUS);
+
+        return effects;
+    }
+
+    // ✅ 세트 진행 현황 (구성품 소지 여부, 달성한 단계와 다음 단계)
+    async getSetProgress(playerId) {
+        const sets = await this.db.all('SELECT * FROM item_sets ORDER BY name');
+        if (sets.length === 0) {
+            return [];
+        }
+
+        const held = new Set((await this.db.all(
+            'SELECT DISTINCT item_id FROM inventory WHERE player_id = ? AND is_locked = 0',
+            [playerId]
+        )).map(row => row.item_id));
+        const names = new Map(
+            (await this.db.all('SELECT id, name FROM item_master')).map(item => [item.id, item.name])
+        );
+
+        return sets.map(set => {
+            const requiredItems = JSON.parse(set.required_items);
+            const tiers = Object.entries(JSON.parse(set.set_bonuses))
+                .map(([pieces, bonuses]) => ({ pieces: parseInt(pieces), bonuses }))
+                .sort((a, b) => a.pieces - b.pieces);
+            const ownedCount = requiredItems.filter(itemId => held.has(itemId)).length;
+
+            return {
+                id: set.id,
+                name: set.name,
+                description: set.description,
+                theme: set.theme,
+                rarity: set.rarity,
+                pieces: requiredItems.map(itemId => ({
+                    itemId: itemId,
+                    name: names.get(itemId) || itemId,
+                    owned: held.has(itemId)
+                })),
+                ownedCount: ownedCount,
+                totalCount: requiredItems.length,
+                isComplete: ownedCount === requiredItems.length,
+                activeTiers: tiers.filter(tier => tier.pieces <= ownedCount),
+                nextTier: tiers.find(tier => tier.pieces > ownedCount) || null
+            };
+        });
+    }
+
+    // effect_formula 하나를 합산 결과에 더함 (숫자가 아닌 값은 특수 효과로 보관)
+    addEffect(effects, formula) {
+        for (const [key, value] of Object.entries(formula)) {
+            if (STAT_KEYS.includes(key)) {
+                effects.stats[key] = (effects.stats[key] || 0) + value;
+            } else if (key === 'price_discount') {
+                effects.priceDiscount += value;
+            } else if (key === 'sell_bonus') {
+                effects.sellBonus += value;
+            } else if (typeof value === 'number') {
+                effects.special[key] = (effects.special[key] || 0) + value;
+            } else {
+                effects.special[key] = value;
+            }
+        }
+    }
+
+    // 인챈트/소켓을 바꿀 수 있는 아이템 (낱개, 비소모품, 잠기지 않음)
+    async getModifiableItem(playerId, inventoryId) {
+        const item = await this.db.get(`
+            SELECT i.*, im.name, im.category, im.subcategory, im.rarity, im.is_consumable
+            FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.id = ? AND i.player_id = ?
+        `, [inventoryId, playerId]);
+
+        if (!item) {
+            throw new Error('해당 아이템을 찾을 수 없습니다.');
+        }
+
+        if (item.is_locked) {
+            throw new Error('잠긴 아이템은 변경할 수 없습니다.');
+        }
+
+        if (item.is_consumable) {
+            throw new Error('소모품에는 인챈트나 보석을 적용할 수 없습니다.');
+        }
+
+        if (item.quantity !== 1) {
+            throw new Error('한 개씩 나누어진 아이템에만 적용할 수 있습니다.');
+        }
+
+        return item;
+    }
+
+    async getItemDetail(inventoryId) {
+        const item = await this.db.get(`
+            SELECT i.*, im.name FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.id = ?
+        `, [inventoryId]);
+
+        return {
+            id: item.id,
+            itemId: item.item_id,
+            name: item.name,
+            enchantments: item.enchantments ? JSON.parse(item.enchantments) : [],
+            socketGems: item.socket_gems ? JSON.parse(item.socket_gems) : []
+        };
+    }
+
+    formatProperty(property) {
+        return {
+            id: property.id,
+            name: property.name,
+            type: property.type,
+            effects: JSON.parse(property.effect_formula),
+            rarity: property.rarity,
+            cost: ENCHANT_COST_BY_RARITY[property.rarity] ?? ENCHANT_COST_BY_RARITY.common,
+            applicableItems: property.applicable_items ? JSON.parse(property.applicable_items) : null,
+            conflicts: property.conflict_properties ? JSON.parse(property.conflict_properties) : [],
+            description: property.description
+        };
+    }
+}
+
+export default ItemEffectService;
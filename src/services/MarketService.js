@@ -0,0 +1,378 @@
+// 📁 src/services/MarketService.js - 수요/공급 기반 시장 엔진
+// market_trends 테이블을 구역별 아이템 시세의 원천으로 사용한다
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 수요/공급 레벨 범위 (기본값 5)
+const LEVEL_MIN = 1;
+const LEVEL_MAX = 10;
+const LEVEL_BASELINE = 5;
+
+// price_history 최대 보관 개수
+const MAX_HISTORY_LENGTH = 200;
+
+// 시장 배율 상/하한
+const MULTIPLIER_MIN = 0.5;
+const MULTIPLIER_MAX = 2.0;
+
+// 평균 회귀 주기 (분) - 정기 작업이 자주 돌아도 이 간격마다 한 번만 적용
+const MEAN_REVERSION_TICK_MINUTES = 60;
+
+// 캔들 간격 (밀리초)
+const CANDLE_INTERVALS = {
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000
+};
+const MAX_CANDLES = 200;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// SQLite CURRENT_TIMESTAMP(UTC, 'YYYY-MM-DD HH:MM:SS') 또는 ISO 문자열 → 밀리초
+const parseTimestamp = (value) => {
+    if (!value) return NaN;
+    const text = String(value);
+    return Date.parse(text.includes('T') ? text : text.replace(' ', 'T') + 'Z');
+};
+// trades.timestamp (CURRENT_TIMESTAMP) 와 비교할 수 있는 형식
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+class MarketService {
+    constructor(database, { clock } = {}) {
+        this.db = database;
+        this.clock = clock;
+        this.lastReversionTick = null;
+    }
+
+    // 이력 타임스탬프 (게임 시계 기준)
+    timestamp() {
+        return (this.clock ? this.clock.now() : new Date()).toISOString();
+    }
+
+    async getTrend(itemId, district) {
+        return await this.db.get(
+            'SELECT * FROM market_trends WHERE item_id = ? AND district = ?',
+            [itemId, district]
+        );
+    }
+
+    // 구역 시세 (거래 당시 시세를 trades.market_price 에 남길 때 사용, 정보가 없으면 null)
+    async getTrendPrice(itemId, district) {
+        if (!district) return null;
+        const trend = await this.getTrend(itemId, district);
+        return trend?.current_price ?? null;
+    }
+
+    // ✅ 시세 정보가 없으면 기본값으로 생성
+    async ensureTrend(itemId, district, basePrice) {
+        const trend = await this.getTrend(itemId, district);
+        if (trend) return trend;
+
+        await this.db.run(`
+            INSERT OR IGNORE INTO market_trends (id, item_id, district, current_price, price_history)
+            VALUES (?, ?, ?, ?, ?)
+        `, [`${itemId}_${district}`, itemId, district, basePrice, '[]']);
+
+        return await this.getTrend(itemId, district);
+    }
+
+    // ✅ 시장 배율 계산 (수요/공급 + 계절/이벤트/플레이어 활동)
+    calculateMultiplier(trend) {
+        if (!trend) return 1.0;
+
+        const supplyDemand = 1 + (trend.demand_level - trend.supply_level) * 0.04;
+        const multiplier = supplyDemand *
+            (trend.seasonal_modifier || 1.0) *
+            (trend.event_modifier || 1.0) *
+            (trend.player_activity_modifier || 1.0);
+
+        return clamp(multiplier, MULTIPLIER_MIN, MULTIPLIER_MAX);
+    }
+
+    async getMarketMultiplier(itemId, district) {
+        const trend = await this.getTrend(itemId, district);
+        return this.calculateMultiplier(trend);
+    }
+
+    // ✅ 실제 거래를 시장에 반영 (플레이어 구매 = 수요 증가, 판매 = 공급 증가)
+    // 트랜잭션 안에서 호출해야 함
+    async recordTrade(itemId, district, side, quantity, unitPrice, basePrice) {
+        const trend = await this.ensureTrend(itemId, district, basePrice);
+        const direction = side === 'buy' ? 1 : -1;
+
+        const demandLevel = clamp(trend.demand_level + direction * quantity * 0.2, LEVEL_MIN, LEVEL_MAX);
+        const supplyLevel = clamp(trend.supply_level - direction * quantity * 0.2, LEVEL_MIN, LEVEL_MAX);
+        const activityModifier = clamp((trend.player_activity_modifier || 1.0) + direction * quantity * 0.01, 0.8, 1.25);
+
+        const updated = {
+            ...trend,
+            demand_level: round(demandLevel),
+            supply_level: round(supplyLevel),
+            player_activity_modifier: round(activityModifier, 3)
+        };
+        const currentPrice = Math.round(basePrice * this.calculateMultiplier(updated));
+
+        const history = JSON.parse(trend.price_history || '[]');
+        history.push({
+            t: this.timestamp(),
+            price: currentPrice,
+            tradePrice: unitPrice,
+            volume: quantity,
+            side: side
+        });
+
+        await this.saveTrend(updated, currentPrice, history);
+        return currentPrice;
+    }
+
+    // ✅ 주기적 시장 정리 (수요/공급/활동 지수가 기준값으로 서서히 회귀, 갱신한 시세 수 반환)
+    // 정기 작업에서만 호출한다 (조회 API 에서 호출하면 요청마다 시장 신호가 지워짐)
+    async applyMeanReversion() {
+        const tick = Math.floor((this.clock ? this.clock.nowMs() : Date.now()) / (MEAN_REVERSION_TICK_MINUTES * 60 * 1000));
+        if (tick === this.lastReversionTick) return 0;
+        this.lastReversionTick = tick;
+
+        const releaseTransaction = await acquireTransactionLock(this.db);
+        try {
+            await this.db.run('BEGIN TRANSACTION');
+
+            const trends = await this.db.all(`
+                SELECT mt.*, im.base_price
+                FROM market_trends mt
+                JOIN item_master im ON mt.item_id = im.id
+            `);
+
+            for (const trend of trends) {
+                const updated = {
+                    ...trend,
+                    demand_level: round(trend.demand_level + (LEVEL_BASELINE - trend.demand_level) * 0.1),
+                    supply_level: round(trend.supply_level + (LEVEL_BASELINE - trend.supply_level) * 0.1),
+                    player_activity_modifier: round(
+                        (trend.player_activity_modifier || 1.0) + (1.0 - (trend.player_activity_modifier || 1.0)) * 0.1, 3
+                    )
+                };
+                const currentPrice = Math.round(trend.base_price * this.calculateMultiplier(updated));
+
+                const history = JSON.parse(trend.price_history || '[]');
+                history.push({ t: this.timestamp(), price: currentPrice, volume: 0 });
+
+                await this.saveTrend(updated, currentPrice, history);
+            }
+
+            await this.db.run('COMMIT');
+            return trends.length;
+        } catch (error) {
+            await this.db.run('ROLLBACK');
+            throw error;
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    async saveTrend(trend, currentPrice, history) {
+        const trimmedHistory = history.slice(-MAX_HISTORY_LENGTH);
+        const analysis = this.analyzeHistory(trimmedHistory);
+
+        await this.db.run(`
+            UPDATE market_trends SET
+                current_price = ?, price_history = ?, demand_level = ?, supply_level = ?,
+                player_activity_modifier = ?, trend_direction = ?, volatility_score = ?,
+                predicted_price_change = ?, last_updated = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            currentPrice, JSON.stringify(trimmedHistory), trend.demand_level, trend.supply_level,
+            trend.player_activity_modifier, analysis.trendDirection, analysis.volatilityScore,
+            analysis.predictedPriceChange, trend.id
+        ]);
+    }
+
+    // ✅ 가격 이력 분석 (추세 방향, 변동성, 예상 변동률)
+    analyzeHistory(history) {
+        const prices = history.map(point => point.price);
+
+        if (prices.length < 2) {
+            return { trendDirection: 'stable', volatilityScore: 0.1, predictedPriceChange: 0 };
+        }
+
+        const recent = prices.slice(-20);
+        const mean = recent.reduce((sum, price) => sum + price, 0) / recent.length;
+        const variance = recent.reduce((sum, price) => sum + (price - mean) ** 2, 0) / recent.length;
+        const volatilityScore = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+        // 단기/장기 지수이동평균 차이로 다음 변동률 예측
+        const ema = (values, period) => {
+            const k = 2 / (period + 1);
+            return values.reduce((acc, value) => acc === null ? value : value * k + acc * (1 - k), null);
+        };
+        const shortEma = ema(prices.slice(-5), 5);
+        const longEma = ema(prices.slice(-20), 20);
+        const predictedPriceChange = longEma > 0 ? (shortEma - longEma) / longEma : 0;
+
+        let trendDirection = 'stable';
+        if (volatilityScore > 0.15) {
+            trendDirection = 'volatile';
+        } else if (predictedPriceChange > 0.02) {
+            trendDirection = 'rising';
+        } else if (predictedPriceChange < -0.02) {
+            trendDirection = 'falling';
+        }
+
+        return {
+            trendDirection,
+            volatilityScore: round(volatilityScore, 4),
+            predictedPriceChange: round(predictedPriceChange, 4)
+        };
+    }
+
+    // ✅ 가격 이력 캔들 (OHLCV) - 구역 시세 기준으로 구역별 생성
+    // 거래(trades)는 거래 당시 구역 시세(market_price)와 거래량으로, price_history 는 거래 없이 바뀐 시세(평균 회귀)만 반영
+    // (price_history 의 거래 포인트는 trades 와 같은 거래라 제외, 체결 단가는 구역/시간/등급 배율이 섞여 시세와 비교할 수 없음)
+    async getPriceHistory(itemId, { district = null, interval = '1h', limit = 24 } = {}) {
+        const intervalMs = CANDLE_INTERVALS[interval];
+        if (!intervalMs) {
+            throw new Error('지원하지 않는 캔들 간격입니다.');
+        }
+
+        const item = await this.db.get('SELECT id, name, base_price FROM item_master WHERE id = ?', [itemId]);
+        if (!item) return null;
+
+        const candleCount = clamp(limit, 1, MAX_CANDLES);
+        const nowMs = this.clock ? this.clock.nowMs() : Date.now();
+        const fromMs = (Math.floor(nowMs / intervalMs) - candleCount + 1) * intervalMs;
+
+        const districtFilter = district ? ' AND district = ?' : '';
+        const districtParams = district ? [district] : [];
+
+        // market_price 가 없는 예전 거래는 시세로 환산할 수 없어 제외
+        const trades = await this.db.all(`
+            SELECT district, quantity, market_price, timestamp
+            FROM trades
+            WHERE item_id = ? AND district IS NOT NULL AND quantity > 0 AND market_price IS NOT NULL
+            AND timestamp >= ?${districtFilter}
+        `, [itemId, toSqlTimestamp(fromMs), ...districtParams]);
+
+        const trends = await this.db.all(`
+            SELECT district, price_history FROM market_trends
+            WHERE item_id = ?${districtFilter}
+        `, [itemId, ...districtParams]);
+
+        // 구역별 가격 포인트 수집 (거래는 시세 + 거래량, 평균 회귀는 거래량 0)
+        const pointsByDistrict = new Map();
+        const addPoint = (pointDistrict, t, price, volume) => {
+            if (!Number.isFinite(t) || t < fromMs || t > nowMs || !(price > 0)) return;
+            if (!pointsByDistrict.has(pointDistrict)) pointsByDistrict.set(pointDistrict, []);
+            pointsByDistrict.get(pointDistrict).push({ t, price, volume });
+        };
+
+        for (const trade of trades) {
+            addPoint(trade.district, parseTimestamp(trade.timestamp), trade.market_price, trade.quantity);
+        }
+        for (const trend of trends) {
+            for (const point of JSON.parse(trend.price_history || '[]')) {
+                if (point.tradePrice !== undefined) continue;
+                addPoint(trend.district, parseTimestamp(point.t), point.price, 0);
+            }
+        }
+
+        const series = [...pointsByDistrict.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([pointDistrict, points]) => ({
+                district: pointDistrict,
+                candles: this.buildCandles(points, intervalMs)
+            }));
+
+        return {
+            itemId: item.id,
+            itemName: item.name,
+            interval: interval,
+            from: new Date(fromMs).toISOString(),
+            to: new Date(nowMs).toISOString(),
+            series: series
+        };
+    }
+
+    // 가격 포인트 → 간격별 OHLCV 캔들 (빈 구간은 생략)
+    buildCandles(points, intervalMs) {
+        const buckets = new Map();
+
+        for (const point of points.sort((a, b) => a.t - b.t)) {
+            const bucketStart = Math.floor(point.t / intervalMs) * intervalMs;
+            const candle = buckets.get(bucketStart);
+
+            if (!candle) {
+                buckets.set(bucketStart, {
+                    time: new Date(bucketStart).toISOString(),
+                    open: point.price,
+                    high: point.price,
+                    low: point.price,
+                    close: point.price,
+                    volume: point.volume
+                });
+            } else {
+                candle.high = Math.max(candle.high, point.price);
+                candle.low = Math.min(candle.low, point.price);
+                candle.close = point.price;
+                candle.volume += point.volume;
+            }
+        }
+
+        return [...buckets.values()].map(candle => ({
+            ...candle,
+            open: Math.round(candle.open),
+            high: Math.round(candle.high),
+            low: Math.round(candle.low),
+            close: Math.round(candle.close)
+        }));
+    }
+
+    // ✅ 스파크라인 (목록 화면용 종가 배열 + 변동률)
+    async getPriceSparkline(itemId, options = {}) {
+        const history = await this.getPriceHistory(itemId, options);
+        if (!history) return null;
+
+        return {
+            itemId: history.itemId,
+            interval: history.interval,
+            series: history.series.map(({ district, candles }) => {
+                const closes = candles.map(candle => candle.close);
+                const first = closes[0];
+                const last = closes[closes.length - 1];
+
+                return {
+                    district: district,
+                    points: closes,
+                    last: last,
+                    changeRate: first > 0 ? round((last - first) / first, 4) : 0
+                };
+            })
+        };
+    }
+
+    // ✅ 전체 시세 조회
+    async getMarketPrices() {
+        const trends = await this.db.all(`
+            SELECT mt.*, im.name, im.category, im.rarity, im.base_price
+            FROM market_trends mt
+            JOIN item_master im ON mt.item_id = im.id
+            ORDER BY mt.district, im.category, im.name
+        `);
+
+        return trends.map(trend => ({
+            itemId: trend.item_id,
+            itemName: trend.name,
+            category: trend.category,
+            rarity: trend.rarity,
+            district: trend.district,
+            basePrice: trend.base_price,
+            currentPrice: trend.current_price,
+            demandLevel: trend.demand_level,
+            supplyLevel: trend.supply_level,
+            trendDirection: trend.trend_direction,
+            volatilityScore: trend.volatility_score,
+            predictedPriceChange: trend.predicted_price_change,
+            lastUpdated: trend.last_updated
+        }));
+    }
+}
+
+export default MarketService;
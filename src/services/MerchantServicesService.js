@@ -0,0 +1,552 @@
+// 📁 src/services/MerchantServicesService.js - 상인 특수 서비스 (감정, 수리, 강화, 점술)
+// merchant_services 행마다 이용 조건(친밀도/신뢰도), 플레이어별 재사용 대기시간, 비용 공식(cost_formula)을 적용하고
+// service_type 별 핸들러가 실제 서비스를 수행한다. 새 서비스 유형은 registerHandler 로 추가한다.
+// 상인의 special_abilities 는 핸들러가 결과를 정할 때 참고한다 (예: legendary_appraisal → 정밀 감정)
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 서비스 상인과의 거리 제한 (km)
+const MAX_MERCHANT_DISTANCE_KM = 0.5;
+
+// 정밀 감정 능력 (없으면 가치 범위만 알려줌)
+const DEEP_APPRAISAL_ABILITIES = ['legendary_appraisal', 'ancient_appraisal'];
+const APPRAISAL_RANGE = 0.1;
+
+// 점술 결과 (행운 보정한 난수가 min 이상인 첫 단계)
+const FORTUNES = [
+    { min: 0.85, grade: 'great', name: '대길', message: '큰 재물이 들어올 운세입니다. 오늘은 과감하게 거래하세요.' },
+    { min: 0.55, grade: 'good', name: '길', message: '작은 이익이 이어지는 날입니다.' },
+    { min: 0.2, grade: 'neutral', name: '평', message: '평온한 하루입니다. 무리하지 마세요.' },
+    { min: 0, grade: 'bad', name: '흉', message: '오늘은 큰 거래를 피하는 편이 좋겠습니다.' }
+];
+const FORTUNE_LUCK_BASELINE = 10;
+const FORTUNE_LUCK_RATE_PER_POINT = 0.01;
+
+// cost_formula 에서 쓸 수 있는 함수
+const FORMULA_FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil
+};
+
+const fromSqlTimestamp = (value) => new Date(value.replace(' ', 'T') + 'Z').getTime();
+
+// ✅ 비용 공식 계산 (eval 없이 숫자, 허용된 변수/함수, + - * / 괄호만 해석)
+// 예: "base_cost + item_value * 0.02", "base_cost * (1 - min(friendship, 500) / 1000)"
+function evaluateCostFormula(formula, variables) {
+    const tokens = formula.match(/\d+(?:\.\d+)?|[A-Za-z_]\w*|\S/g) || [];
+    let position = 0;
+
+    const fail = () => {
+        throw new Error('서비스 비용 공식이 올바르지 않습니다.');
+    };
+    const expect = (token) => {
+        if (tokens[position++] !== token) fail();
+    };
+
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (tokens[position] === '+' || tokens[position] === '-') {
+            const operator = tokens[position++];
+            const right = parseTerm();
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    };
+
+    const parseTerm = () => {
+        let value = parseFactor();
+        while (tokens[position] === '*' || tokens[position] === '/') {
+            const operator = tokens[position++];
+            const right = parseFactor();
+            value = operator === '*' ? value * right : value / right;
+        }
+        return value;
+    };
+
+    const parseFactor = () => {
+        const token = tokens[position++];
+        if (token === undefined) fail();
+
+        if (token === '-') return -parseFactor();
+
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+
+        if (/^\d/.test(token)) return parseFloat(token);
+
+        if (/^[A-Za-z_]/.test(token)) {
+            if (tokens[position] === '(') {
+                if (!Object.hasOwn(FORMULA_FUNCTIONS, token)) fail();
+                position++;
+                const args = [parseExpression()];
+                while (tokens[position] === ',') {
+                    position++;
+                    args.push(parseExpression());
+                }
+                expect(')');
+                return FORMULA_FUNCTIONS[token](...args);
+            }
+
+            if (!Object.hasOwn(variables, token)) fail();
+            return variables[token];
+        }
+
+        return fail();
+    };
+
+    const value = parseExpression();
+    if (position !== tokens.length || !Number.isFinite(value)) fail();
+
+    return value;
+}
+
+class MerchantServicesService {
+    constructor(database, gameService, options = {}) {
+        this.db = database;
+        this.gameService = gameService;
+        this.enhancementService = options.enhancementService;
+        this.handlers = new Map();
+
+        this.registerHandler('appraisal', this.createAppraisalHandler());
+        this.registerHandler('repair', this.createRepairHandler());
+        this.registerHandler('enhancement', this.createEnhancementHandler());
+        this.registerHandler('fortune_telling', this.createFortuneHandler());
+    }
+
+    // ✅ 서비스 유형별 핸들러 등록
+    // handler = {
+    //   prepare(context)  → 대상 확인 후 비용 공식 변수 반환 (선택)
+    //   defaultCost(context, variables) → cost_formula 가 없을 때 비용 (선택, 없으면 base_cost)
+    //   execute(context)  → 서비스 결과 (트랜잭션 안에서 호출)
+    //   rollsOwnSuccess   → true 면 서비스 성공률 판정을 핸들러가 직접 함
+    // }
+    registerHandler(serviceType, handler) {
+        this.handlers.set(serviceType, handler);
+    }
+
+    // ✅ 상인 서비스 목록 (이용 조건, 대기시간, 기본 비용)
+    async getServices(userId, merchantId) {
+        try {
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const merchant = await this.db.get('SELECT * FROM merchants WHERE id = ? AND is_active = 1', [merchantId]);
+            if (!merchant) {
+                throw new Error('상인을 찾을 수 없습니다.');
+            }
+
+            const services = await this.db.all(`
+                SELECT * FROM merchant_services
+                WHERE merchant_id = ? AND is_available = 1
+                ORDER BY base_cost
+            `, [merchantId]);
+            const relationship = await this.getRelationship(player.id, merchantId);
+            const stats = await this.gameService.getEffectiveStats(player.id);
+
+            const result = [];
+            for (const service of services) {
+                const usage = await this.getUsage(player.id, service.id);
+                const variables = this.getBaseVariables(service, player, stats, relationship, usage);
+
+                result.push({
+                    id: service.id,
+                    type: service.service_type,
+                    name: service.service_name,
+                    description: service.description,
+                    baseCost: service.base_cost,
+                    costFormula: service.cost_formula,
+                    // 대상 아이템에 따라 달라지는 공식은 아이템 변수를 0 으로 두고 계산한 시작 가격
+                    startingCost: service.cost_formula
+                        ? Math.max(0, Math.round(evaluateCostFormula(service.cost_formula, variables)))
+                        : service.base_cost,
+                    successRate: service.success_rate,
+                    cooldownHours: service.cooldown_hours,
+                    cooldownRemainingSeconds: this.getCooldownRemaining(service, usage),
+                    requirements: {
+                        friendship: service.required_friendship,
+                        reputation: service.required_reputation
+                    },
+                    meetsRequirements: this.checkRequirements(service, player, relationship) === null,
+                    isSupported: this.handlers.has(service.service_type)
+                });
+            }
+
+            return {
+                success: true,
+                data: {
+                    merchantId: merchant.id,
+                    merchantName: merchant.name,
+                    specialAbilities: merchant.special_abilities ? JSON.parse(merchant.special_abilities) : [],
+                    relationship: {
+                        friendshipPoints: relationship.friendship_points,
+                        reputation: player.trust_points
+                    },
+                    services: result
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 서비스 이용 (조건/대기시간 확인 → 비용 계산/차감 → 성공 판정 → 핸들러 실행)
+    async useService(userId, merchantId, serviceId, params = {}) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const merchant = await this.db.get('SELECT * FROM merchants WHERE id = ? AND is_active = 1', [merchantId]);
+            if (!merchant) {
+                throw new Error('상인을 찾을 수 없습니다.');
+            }
+
+            const service = await this.db.get(`
+                SELECT * FROM merchant_services
+                WHERE id = ? AND merchant_id = ? AND is_available = 1
+            `, [serviceId, merchantId]);
+            if (!service) {
+                throw new Error('이용할 수 없는 서비스입니다.');
+            }
+
+            const handler = this.handlers.get(service.service_type);
+            if (!handler) {
+                throw new Error('아직 지원하지 않는 서비스입니다.');
+            }
+
+            const distance = this.gameService.calculateDistance(
+                player.location_lat, player.location_lng,
+                merchant.location_lat, merchant.location_lng
+            );
+            if (distance > MAX_MERCHANT_DISTANCE_KM) {
+                throw new Error('상인과 너무 멀리 떨어져 있습니다.');
+            }
+
+            const relationship = await this.getRelationship(player.id, merchantId);
+            const rejection = this.checkRequirements(service, player, relationship);
+            if (rejection) {
+                throw new Error(rejection);
+            }
+
+            const usage = await this.getUsage(player.id, service.id);
+            const cooldownRemaining = this.getCooldownRemaining(service, usage);
+            if (cooldownRemaining > 0) {
+                throw new Error(cooldownRemaining >= 60 * 60
+                    ? `${Math.ceil(cooldownRemaining / (60 * 60))}시간 후에 다시 이용할 수 있습니다.`
+                    : `${Math.ceil(cooldownRemaining / 60)}분 후에 다시 이용할 수 있습니다.`);
+            }
+
+            const stats = await this.gameService.getEffectiveStats(player.id);
+            const context = {
+                player: player,
+                merchant: merchant,
+                service: service,
+                stats: stats,
+                relationship: relationship,
+                abilities: merchant.special_abilities ? JSON.parse(merchant.special_abilities) : [],
+                params: params
+            };
+
+            const variables = {
+                ...this.getBaseVariables(service, player, stats, relationship, usage),
+                ...(handler.prepare ? await handler.prepare(context) : {})
+            };
+            const cost = Math.max(0, Math.round(service.cost_formula
+                ? evaluateCostFormula(service.cost_formula, variables)
+                : handler.defaultCost ? handler.defaultCost(context, variables) : service.base_cost));
+
+            if (cost > 0) {
+                const charged = await this.db.get(
+                    'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                    [cost, player.id, cost]
+                );
+                if (!charged) {
+                    throw new Error('서비스 비용이 부족합니다.');
+                }
+            }
+
+            let result;
+            if (handler.rollsOwnSuccess) {
+                result = await handler.execute(context);
+            } else {
+                const succeeded = this.gameService.random.next() < service.success_rate;
+                result = succeeded ? { succeeded: true, ...await handler.execute(context) } : { succeeded: false };
+            }
+
+            await this.recordUsage(player.id, merchantId, service.id, cost);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    serviceId: service.id,
+                    serviceType: service.service_type,
+                    serviceName: service.service_name,
+                    cost: cost,
+                    newMoney: player.money - cost,
+                    cooldownHours: service.cooldown_hours,
+                    ...result
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 친밀도(상인별) / 신뢰도(플레이어 trust_points) 조건 - 통과하면 null, 아니면 사유
+    checkRequirements(service, player, relationship) {
+        if (relationship.friendship_points < (service.required_friendship || 0)) {
+            return `친밀도 ${service.required_friendship} 이상부터 이용할 수 있습니다.`;
+        }
+        if (player.trust_points < (service.required_reputation || 0)) {
+            return `신뢰도 ${service.required_reputation} 이상부터 이용할 수 있습니다.`;
+        }
+        return null;
+    }
+
+    getCooldownRemaining(service, usage) {
+        if (!service.cooldown_hours || !usage) return 0;
+
+        const availableAtMs = fromSqlTimestamp(usage.last_used_at) + service.cooldown_hours * 60 * 60 * 1000;
+        return Math.max(0, Math.ceil((availableAtMs - this.gameService.clock.nowMs()) / 1000));
+    }
+
+    // 비용 공식 공통 변수 (대상 아이템 변수는 핸들러 prepare 가 채움)
+    getBaseVariables(service, player, stats, relationship, usage) {
+        return {
+            base_cost: service.base_cost || 0,
+            level: stats?.level || 1,
+            license: player.current_license,
+            friendship: relationship.friendship_points,
+            reputation: player.trust_points,
+            luck: stats?.luck || 0,
+            uses: usage?.use_count || 0,
+            item_base_price: 0,
+            item_value: 0,
+            enhancement_level: 0,
+            missing_durability: 0,
+            recipe_gold: 0
+        };
+    }
+
+    async getRelationship(playerId, merchantId) {
+        const relationship = await this.db.get(`
+            SELECT * FROM player_merchant_relations
+            WHERE player_id = ? AND merchant_id = ?
+        `, [playerId, merchantId]);
+
+        return relationship || { friendship_points: 0, reputation: 0 };
+    }
+
+    async getUsage(playerId, serviceId) {
+        return await this.db.get(
+            'SELECT * FROM player_service_usage WHERE player_id = ? AND service_id = ?',
+            [playerId, serviceId]
+        );
+    }
+
+    // 이용 기록 (대기시간 기준) + 상인과의 거래액 누적 (트랜잭션 안에서 호출)
+    async recordUsage(playerId, merchantId, serviceId, cost) {
+        await this.db.run(`
+            INSERT INTO player_service_usage (id, player_id, service_id, use_count, last_used_at)
+            VALUES (?, ?, ?, 1, ?)
+            ON CONFLICT (player_id, service_id) DO UPDATE SET
+                use_count = use_count + 1, last_used_at = excluded.last_used_at
+        `, [`${playerId}_${serviceId}`, playerId, serviceId, this.gameService.clock.sqlTimestamp()]);
+
+        await this.db.run(`
+            UPDATE player_merchant_relations
+            SET total_spent = total_spent + ?, last_interaction = CURRENT_TIMESTAMP
+            WHERE player_id = ? AND merchant_id = ?
+        `, [cost, playerId, merchantId]);
+    }
+
+    // 서비스 대상 아이템 (params.inventoryId 필수)
+    async getTargetItem(context) {
+        if (!context.params.inventoryId) {
+            throw new Error('서비스를 받을 아이템을 지정해야 합니다.');
+        }
+
+        const item = await this.db.get(`
+            SELECT i.*, im.name, im.rarity, im.base_price, im.durability, im.is_stackable, im.is_consumable,
+                   im.lore_text, im.magical_properties, im.special_effects
+            FROM inventory i
+            JOIN item_master im ON i.item_id = im.id
+            WHERE i.id = ? AND i.player_id = ?
+        `, [context.params.inventoryId, context.player.id]);
+        if (!item) {
+            throw new Error('해당 아이템을 찾을 수 없습니다.');
+        }
+
+        return item;
+    }
+
+    getItemVariables(item) {
+        const durabilityService = this.gameService.durabilityService;
+        return {
+            item_base_price: item.base_price,
+            item_value: item.market_value || item.base_price,
+            enhancement_level: item.enhancement_level || 0,
+            missing_durability: durabilityService.hasDurability(item)
+                ? durabilityService.getMaxDurability(item) - durabilityService.getCurrentDurability(item)
+                : 0
+        };
+    }
+
+    // 감정: 시세·강화·내구도를 반영한 가치 (정밀 감정 능력이 있으면 정확한 값과 숨은 정보까지)
+    createAppraisalHandler() {
+        return {
+            prepare: async (context) => {
+                context.item = await this.getTargetItem(context);
+                return this.getItemVariables(context.item);
+            },
+            execute: async (context) => {
+                const { item, merchant } = context;
+                const multiplier = await this.gameService.marketService.getMarketMultiplier(item.item_id, merchant.district);
+                const valueBonus = item.enhancement_stats ? (JSON.parse(item.enhancement_stats).value_bonus || 0) : 0;
+                const value = Math.round(
+                    item.base_price * multiplier * (1 + valueBonus) * this.gameService.durabilityService.getPriceRate(item)
+                );
+                const isDeep = context.abilities.some(ability => DEEP_APPRAISAL_ABILITIES.includes(ability));
+
+                return {
+                    appraisal: {
+                        inventoryId: item.id,
+                        name: item.name,
+                        district: merchant.district,
+                        isDeep: isDeep,
+                        value: isDeep ? value : null,
+                        valueRange: {
+                            min: Math.round(value * (1 - (isDeep ? 0 : APPRAISAL_RANGE))),
+                            max: Math.round(value * (1 + (isDeep ? 0 : APPRAISAL_RANGE)))
+                        },
+                        estimatedSellPrice: await this.gameService.calculateSellPrice(item, merchant.district),
+                        details: isDeep ? {
+                            rarity: item.rarity,
+                            loreText: item.lore_text,
+                            magicalProperties: item.magical_properties ? JSON.parse(item.magical_properties) : {},
+                            specialEffects: item.special_effects ? JSON.parse(item.special_effects) : {}
+                        } : null
+                    }
+                };
+            }
+        };
+    }
+
+    // 수리: 비용 공식이 없으면 DurabilityService 의 기본 수리비
+    createRepairHandler() {
+        const durabilityService = () => this.gameService.durabilityService;
+        return {
+            prepare: async (context) => {
+                context.item = await durabilityService().getRepairableItem(context.player.id, context.params.inventoryId);
+                return this.getItemVariables(context.item);
+            },
+            defaultCost: (context) => durabilityService().calculateRepairCost(context.item, context.service),
+            execute: async (context) => ({
+                repair: await durabilityService().restoreDurability(context.item)
+            })
+        };
+    }
+
+    // 강화: 레시피 골드 대신 서비스 요금을 받고, 서비스 성공률은 강화 확률 배수로 쓴다
+    createEnhancementHandler() {
+        return {
+            rollsOwnSuccess: true,
+            prepare: async (context) => {
+                const item = await this.getTargetItem(context);
+                const recipe = await this.enhancementService.getRecipe(item.item_id);
+                return {
+                    ...this.getItemVariables(item),
+                    recipe_gold: recipe ? this.enhancementService.calculateGoldCost(recipe, item.enhancement_level) : 0
+                };
+            },
+            defaultCost: (context, variables) => variables.base_cost + variables.recipe_gold,
+            execute: async (context) => {
+                const { succeeded, goldSpent, newMoney, ...outcome } = await this.enhancementService.enhanceInTransaction(
+                    context.player, context.merchant, context.params.inventoryId,
+                    { chargeGold: false, rateMultiplier: context.service.success_rate }
+                );
+                return { succeeded: succeeded, enhancement: outcome };
+            }
+        };
+    }
+
+    // 점술: 행운을 반영한 운세와 시장 조언 (treasure_location 능력이 있으면 한정 아이템 위치까지)
+    createFortuneHandler() {
+        return {
+            execute: async (context) => {
+                const luckBonus = ((context.stats?.luck ?? FORTUNE_LUCK_BASELINE) - FORTUNE_LUCK_BASELINE) * FORTUNE_LUCK_RATE_PER_POINT;
+                const roll = Math.min(1, this.gameService.random.next() + luckBonus);
+                const fortune = FORTUNES.find(tier => roll >= tier.min);
+
+                // 좋은 운세일수록 구체적인 조언
+                const tip = fortune.grade === 'great' || fortune.grade === 'good'
+                    ? await this.db.get(`
+                        SELECT mt.item_id, im.name, mt.district, mt.trend_direction
+                        FROM market_trends mt
+                        JOIN item_master im ON mt.item_id = im.id
+                        ORDER BY (mt.demand_level - mt.supply_level) DESC, mt.predicted_price_change DESC
+                        LIMIT 1
+                    `)
+                    : null;
+
+                const treasures = context.abilities.includes('treasure_location')
+                    ? await this.db.all(`
+                        SELECT ms.item_name, ms.expires_at, m.id AS merchant_id, m.name AS merchant_name, m.district
+                        FROM merchant_stock ms
+                        JOIN merchants m ON ms.merchant_id = m.id
+                        WHERE ms.special_item_id IS NOT NULL AND ms.stock > 0 AND ms.expires_at > ?
+                    `, [this.gameService.clock.sqlTimestamp()])
+                    : [];
+
+                return {
+                    fortune: {
+                        grade: fortune.grade,
+                        name: fortune.name,
+                        message: fortune.message,
+                        marketTip: tip ? {
+                            itemId: tip.item_id,
+                            name: tip.name,
+                            district: tip.district,
+                            trend: tip.trend_direction
+                        } : null,
+                        treasures: treasures.map(treasure => ({
+                            name: treasure.item_name,
+                            merchantId: treasure.merchant_id,
+                            merchantName: treasure.merchant_name,
+                            district: treasure.district,
+                            expiresAt: treasure.expires_at
+                        }))
+                    }
+                };
+            }
+        };
+    }
+}
+
+export default MerchantServicesService;
@@ -0,0 +1,467 @@
+// 📁 src/services/NegotiationService.js - 상인 흥정 시스템
+import { v4 as uuidv4 } from 'uuid';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 흥정 세션 유효 시간 (분)
+const NEGOTIATION_TIMEOUT_MINUTES = 10;
+
+// 상인 기분별 추가 양보율
+const MOOD_MODIFIERS = {
+    happy: 0.03,
+    neutral: 0,
+    sad: -0.01,
+    grumpy: -0.03
+};
+
+// 최저가 대비 이 비율보다 낮은 제안은 모욕으로 간주
+const INSULT_THRESHOLD = 0.6;
+
+class NegotiationService {
+    constructor(database, gameService) {
+        this.db = database;
+        this.gameService = gameService;
+    }
+
+    // ✅ 흥정 시작 (상인의 첫 호가 제시)
+    async startNegotiation(userId, merchantId, itemName) {
+        let releaseTransaction = null;
+
+        try {
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const player = await this.db.get(
+                'SELECT * FROM players WHERE user_id = ?',
+                [userId]
+            );
+
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const merchant = await this.db.get(
+                'SELECT * FROM merchants WHERE id = ?',
+                [merchantId]
+            );
+
+            if (!merchant) {
+                throw new Error('상인을 찾을 수 없습니다.');
+            }
+
+            if (merchant.required_license > player.current_license) {
+                throw new Error(`${merchant.required_license}급 면허가 필요합니다.`);
+            }
+
+            const item = await this.gameService.getMerchantStockItem(merchant.id, itemName);
+
+            if (!item) {
+                throw new Error('해당 아이템을 찾을 수 없습니다.');
+            }
+
+            if (item.stock <= 0) {
+                throw new Error('재고가 부족합니다.');
+            }
+
+            const itemInfo = await this.db.get(
+                'SELECT * FROM item_master WHERE id = ?',
+                [item.item_id]
+            );
+
+            if (!itemInfo) {
+                throw new Error('아이템 정보를 찾을 수 없습니다.');
+            }
+
+            const stats = await this.gameService.getEffectiveStats(player.id);
+
+            const relationship = await this.db.get(`
+                SELECT * FROM player_merchant_relations
+                WHERE player_id = ? AND merchant_id = ?
+            `, [player.id, merchantId]);
+
+            const trend = await this.db.get(
+                'SELECT * FROM market_trends WHERE item_id = ? AND district = ?',
+                [itemInfo.id, merchant.district]
+            );
+
+            const listPrice = await this.gameService.calculateCurrentPrice(
+                this.gameService.toPricingItem(item, itemInfo),
+                merchant.district
+            );
+
+            const factors = this.calculateNegotiationFactors(merchant, stats, relationship, trend);
+            const targetPrice = Math.ceil(listPrice * (1 - factors.maxDiscount));
+            const maxRounds = this.calculateMaxRounds(merchant, stats);
+
+            const openingMessage = this.gameService.applyPersonalityToDialogue(
+                `이 물건은 ${listPrice.toLocaleString()}원입니다.`,
+                merchant.personality,
+                merchant.mood
+            );
+
+            // 같은 상인과 진행 중이던 흥정은 포기 처리
+            await this.db.run(`
+                UPDATE negotiations SET status = 'abandoned', ended_at = CURRENT_TIMESTAMP
+                WHERE player_id = ? AND merchant_id = ? AND status IN ('in_progress', 'agreed')
+            `, [player.id, merchantId]);
+
+            const negotiationId = uuidv4();
+            await this.db.run(`
+                INSERT INTO negotiations (
+                    id, trade_id, player_id, merchant_id, initial_price, target_price,
+                    current_round, max_rounds, merchant_mood, player_charisma,
+                    relationship_modifier, item_demand_modifier, offers_history,
+                    merchant_responses, status, success_factors, started_at
+                ) VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, 'in_progress', ?, ?)
+            `, [
+                negotiationId, uuidv4(), player.id, merchantId, listPrice, targetPrice,
+                maxRounds, merchant.mood || 'neutral', stats?.charisma || 10,
+                factors.relationshipModifier, factors.demandModifier, '[]',
+                JSON.stringify([{ round: 0, type: 'opening', price: listPrice, message: openingMessage }]),
+                JSON.stringify({ itemId: itemInfo.id, itemName: item.name, ...factors }),
+                this.gameService.clock.sqlTimestamp()
+            ]);
+
+            await this.db.run('COMMIT');
+
+            return {
+                success: true,
+                data: {
+                    negotiationId: negotiationId,
+                    merchantId: merchantId,
+                    itemName: item.name,
+                    listPrice: listPrice,
+                    currentAsk: listPrice,
+                    round: 1,
+                    maxRounds: maxRounds,
+                    merchantMessage: openingMessage,
+                    expiresInMinutes: NEGOTIATION_TIMEOUT_MINUTES
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 가격 제안 (상인이 수락하거나 역제안)
+    async makeOffer(userId, negotiationId, offerPrice) {
+        // 단일 UPDATE 이므로 트랜잭션 없이 락만 잡는다 (만료 처리도 그대로 남도록)
+        const releaseTransaction = await acquireTransactionLock(this.db);
+
+        try {
+            const { negotiation, merchant } = await this.getActiveNegotiation(userId, negotiationId);
+
+            if (negotiation.status !== 'in_progress') {
+                throw new Error('이미 가격이 합의된 흥정입니다.');
+            }
+
+            const offers = JSON.parse(negotiation.offers_history || '[]');
+            const responses = JSON.parse(negotiation.merchant_responses || '[]');
+            const currentAsk = responses[responses.length - 1].price;
+
+            if (offers.length >= negotiation.max_rounds) {
+                throw new Error('더 이상 제안할 수 없습니다. 마지막 호가를 수락하거나 포기하세요.');
+            }
+
+            const round = offers.length + 1;
+            offers.push({ round: round, price: offerPrice, at: this.gameService.clock.now().toISOString() });
+
+            let response;
+            let status = 'in_progress';
+            let finalPrice = null;
+
+            if (offerPrice >= currentAsk) {
+                // 호가 이상을 제시하면 호가로 합의
+                status = 'agreed';
+                finalPrice = currentAsk;
+                response = { round: round, type: 'accepted', price: currentAsk, message: '좋습니다, 거래하죠!' };
+            } else if (offerPrice >= negotiation.target_price) {
+                // 상인의 최저선 이상이면 수락
+                status = 'agreed';
+                finalPrice = offerPrice;
+                response = { round: round, type: 'accepted', price: offerPrice, message: '...좋아요, 그 가격에 드리죠.' };
+            } else if (offerPrice < negotiation.target_price * INSULT_THRESHOLD) {
+                // 터무니없는 제안에는 호가를 내리지 않음
+                response = { round: round, type: 'insulted', price: currentAsk, message: '농담하시는 거죠? 그 가격엔 안 됩니다.' };
+            } else {
+                const counter = this.calculateCounterOffer(currentAsk, negotiation.target_price, round, negotiation.max_rounds);
+                const isFinal = round >= negotiation.max_rounds;
+                response = {
+                    round: round,
+                    type: isFinal ? 'final_offer' : 'counter',
+                    price: counter,
+                    message: isFinal
+                        ? `${counter.toLocaleString()}원, 이게 마지막 가격입니다.`
+                        : `${counter.toLocaleString()}원까지는 해드릴 수 있어요.`
+                };
+            }
+
+            response.message = this.gameService.applyPersonalityToDialogue(response.message, merchant.personality, merchant.mood);
+            responses.push(response);
+
+            await this.db.run(`
+                UPDATE negotiations SET
+                    current_round = ?, offers_history = ?, merchant_responses = ?,
+                    status = ?, final_price = ?
+                WHERE id = ?
+            `, [
+                Math.min(round + 1, negotiation.max_rounds), JSON.stringify(offers),
+                JSON.stringify(responses), status, finalPrice, negotiation.id
+            ]);
+
+            return {
+                success: true,
+                data: {
+                    negotiationId: negotiation.id,
+                    status: status,
+                    responseType: response.type,
+                    currentAsk: response.price,
+                    agreedPrice: finalPrice,
+                    round: round,
+                    maxRounds: negotiation.max_rounds,
+                    roundsLeft: negotiation.max_rounds - round,
+                    merchantMessage: response.message
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    // ✅ 현재 호가(또는 합의가)로 구매 확정
+    // 흥정 완료 처리는 buyItem 이 구매 트랜잭션 안에서 함께 한다
+    async acceptOffer(userId, negotiationId) {
+        try {
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            let active;
+            try {
+                active = await this.getActiveNegotiation(userId, negotiationId);
+            } finally {
+                releaseTransaction();
+            }
+            const { negotiation, merchant, factors } = active;
+
+            const offers = JSON.parse(negotiation.offers_history || '[]');
+            const responses = JSON.parse(negotiation.merchant_responses || '[]');
+            const unitPrice = negotiation.final_price || responses[responses.length - 1].price;
+
+            const result = await this.gameService.buyItem(userId, merchant.id, factors.itemName, 1, {
+                negotiation: {
+                    id: negotiation.id,
+                    tradeId: negotiation.trade_id,
+                    initialPrice: negotiation.initial_price,
+                    unitPrice: unitPrice,
+                    rounds: offers.length
+                }
+            });
+
+            if (!result.success) {
+                return result;
+            }
+
+            return {
+                success: true,
+                data: {
+                    ...result.data,
+                    negotiationId: negotiation.id,
+                    listPrice: negotiation.initial_price,
+                    finalPrice: unitPrice,
+                    savedAmount: negotiation.initial_price - unitPrice,
+                    rounds: offers.length
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 흥정 포기
+    async walkAway(userId, negotiationId) {
+        const releaseTransaction = await acquireTransactionLock(this.db);
+
+        try {
+            const { negotiation, merchant } = await this.getActiveNegotiation(userId, negotiationId);
+
+            await this.db.run(`
+                UPDATE negotiations SET status = 'walked_away', ended_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [negotiation.id]);
+
+            return {
+                success: true,
+                data: {
+                    negotiationId: negotiation.id,
+                    status: 'walked_away',
+                    merchantMessage: this.gameService.generateFallbackDialogue(merchant.personality, merchant.mood, 'trade')
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction();
+        }
+    }
+
+    // ✅ 흥정 상태 조회
+    async getNegotiation(userId, negotiationId) {
+        try {
+            const player = await this.db.get(
+                'SELECT id FROM players WHERE user_id = ?',
+                [userId]
+            );
+
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const negotiation = await this.db.get(
+                'SELECT * FROM negotiations WHERE id = ? AND player_id = ?',
+                [negotiationId, player.id]
+            );
+
+            if (!negotiation) {
+                throw new Error('흥정을 찾을 수 없습니다.');
+            }
+
+            const factors = JSON.parse(negotiation.success_factors || '{}');
+            const responses = JSON.parse(negotiation.merchant_responses || '[]');
+
+            return {
+                success: true,
+                data: {
+                    negotiationId: negotiation.id,
+                    merchantId: negotiation.merchant_id,
+                    itemName: factors.itemName,
+                    status: negotiation.status,
+                    listPrice: negotiation.initial_price,
+                    currentAsk: responses[responses.length - 1]?.price,
+                    finalPrice: negotiation.final_price,
+                    maxRounds: negotiation.max_rounds,
+                    offers: JSON.parse(negotiation.offers_history || '[]'),
+                    responses: responses,
+                    startedAt: negotiation.started_at,
+                    endedAt: negotiation.ended_at
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // 진행 중인 흥정 조회 + 만료 처리 (트랜잭션 락을 잡은 상태에서 호출)
+    async getActiveNegotiation(userId, negotiationId) {
+        const player = await this.db.get(
+            'SELECT id FROM players WHERE user_id = ?',
+            [userId]
+        );
+
+        if (!player) {
+            throw new Error('플레이어를 찾을 수 없습니다.');
+        }
+
+        const negotiation = await this.db.get(
+            'SELECT * FROM negotiations WHERE id = ? AND player_id = ?',
+            [negotiationId, player.id]
+        );
+
+        if (!negotiation) {
+            throw new Error('흥정을 찾을 수 없습니다.');
+        }
+
+        if (!['in_progress', 'agreed'].includes(negotiation.status)) {
+            throw new Error('이미 종료된 흥정입니다.');
+        }
+
+        // SQLite CURRENT_TIMESTAMP는 UTC 'YYYY-MM-DD HH:MM:SS' 형식
+        const startedAt = new Date(negotiation.started_at.replace(' ', 'T') + 'Z');
+        if (this.gameService.clock.nowMs() - startedAt.getTime() > NEGOTIATION_TIMEOUT_MINUTES * 60 * 1000) {
+            await this.db.run(`
+                UPDATE negotiations SET status = 'expired', ended_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [negotiation.id]);
+            throw new Error('흥정 시간이 만료되었습니다.');
+        }
+
+        const merchant = await this.db.get(
+            'SELECT * FROM merchants WHERE id = ?',
+            [negotiation.merchant_id]
+        );
+
+        return {
+            negotiation,
+            merchant,
+            factors: JSON.parse(negotiation.success_factors || '{}')
+        };
+    }
+
+    // ✅ 상인이 양보할 수 있는 최대 할인율 계산
+    calculateNegotiationFactors(merchant, stats, relationship, trend) {
+        const charisma = stats?.charisma || 10;
+        const negotiationSkill = stats?.negotiation_skill || 1;
+        const friendshipPoints = relationship?.friendship_points || 0;
+
+        // 수요가 공급보다 많을수록 상인이 덜 양보함
+        const demandModifier = trend
+            ? Math.min(Math.max(trend.demand_level / Math.max(trend.supply_level, 1), 0.5), 2.0)
+            : 1.0;
+
+        const difficultyPenalty = (merchant.negotiation_difficulty || 3) * 0.02;
+        const charismaBonus = Math.max(charisma - 10, 0) * 0.005;
+        const skillBonus = Math.max(negotiationSkill - 1, 0) * 0.01;
+        const friendshipBonus = Math.min(friendshipPoints / 1000, 1) * 0.08;
+        const moodBonus = MOOD_MODIFIERS[merchant.mood] || 0;
+        const demandPenalty = (demandModifier - 1) * 0.05;
+
+        const maxDiscount = Math.min(Math.max(
+            0.15 - difficultyPenalty + charismaBonus + skillBonus + friendshipBonus + moodBonus - demandPenalty,
+            0.02
+        ), 0.35);
+
+        return {
+            maxDiscount: Math.round(maxDiscount * 1000) / 1000,
+            charismaBonus,
+            skillBonus,
+            friendshipBonus,
+            moodBonus,
+            relationshipModifier: 1 + friendshipBonus,
+            demandModifier
+        };
+    }
+
+    // 협상 난이도가 높을수록 라운드가 적고, 협상 스킬이 높을수록 많아짐
+    calculateMaxRounds(merchant, stats) {
+        const difficulty = merchant.negotiation_difficulty || 3;
+        const negotiationSkill = stats?.negotiation_skill || 1;
+        return Math.min(Math.max(6 - difficulty + Math.floor(negotiationSkill / 3), 2), 6);
+    }
+
+    // 라운드가 진행될수록 최저선에 가깝게 양보
+    calculateCounterOffer(currentAsk, targetPrice, round, maxRounds) {
+        const gap = currentAsk - targetPrice;
+        const concession = gap * Math.min(round / maxRounds, 1) * 0.6;
+        return Math.max(targetPrice, Math.round(currentAsk - concession));
+    }
+}
+
+export default NegotiationService;
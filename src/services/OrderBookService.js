@@ -0,0 +1,442 @@
+// 📁 src/services/OrderBookService.js - 구역별 지정가 주문장 (market_orders)
+// 매수 주문은 골드, 매도 주문은 아이템을 에스크로로 보관하고 가격-시간 우선순위로 체결한다
+import { v4 as uuidv4 } from 'uuid';
+import EscrowService from './EscrowService.js';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 등록 수수료 (주문 총액 대비, 환불 없음)
+const LISTING_FEE_RATE = 0.01;
+const MIN_LISTING_FEE = 10;
+
+// 체결 수수료 (매도자 부담)
+const SUCCESS_FEE_RATE = 0.05;
+
+const MAX_ORDER_QUANTITY = 999;
+const MAX_ORDER_DURATION_HOURS = 72;
+const DEFAULT_DEPTH = 10;
+
+const ESCROW_REFERENCE = 'market_order';
+
+class OrderBookService {
+    // options.notify(userId, event, payload) - 개인 알림, options.publish(room, event, payload) - 주문장 구독자 알림
+    constructor(database, gameService, options = {}) {
+        this.db = database;
+        this.gameService = gameService;
+        this.escrowService = new EscrowService(database);
+        this.notify = options.notify || (() => {});
+        this.publish = options.publish || (() => {});
+    }
+
+    // 주문장 구독 룸 이름
+    static roomFor(itemId, district) {
+        return `orderbook:${itemId}:${district}`;
+    }
+
+    // ✅ 지정가 주문 등록 후 즉시 매칭
+    async placeOrder(userId, { side, itemId, district, quantity, pricePerUnit, inventoryId = null, durationHours = 24 }) {
+        let releaseTransaction = null;
+
+        try {
+            if (!['buy', 'sell'].includes(side)) {
+                throw new Error('주문 종류는 buy 또는 sell 이어야 합니다.');
+            }
+
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ORDER_QUANTITY) {
+                throw new Error('주문 수량이 올바르지 않습니다.');
+            }
+
+            if (!Number.isInteger(pricePerUnit) || pricePerUnit < 1) {
+                throw new Error('주문 가격이 올바르지 않습니다.');
+            }
+
+            if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_ORDER_DURATION_HOURS) {
+                throw new Error(`주문 유효 시간은 1-${MAX_ORDER_DURATION_HOURS}시간이어야 합니다.`);
+            }
+
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            let itemInfo;
+            if (side === 'sell') {
+                const inventoryItem = await this.db.get(
+                    'SELECT * FROM inventory WHERE id = ? AND player_id = ?',
+                    [inventoryId, player.id]
+                );
+                if (!inventoryItem) {
+                    throw new Error('판매할 아이템을 인벤토리에서 찾을 수 없습니다.');
+                }
+                itemInfo = await this.db.get('SELECT * FROM item_master WHERE id = ?', [inventoryItem.item_id]);
+            } else {
+                itemInfo = await this.db.get('SELECT * FROM item_master WHERE id = ?', [itemId]);
+            }
+
+            if (!itemInfo) {
+                throw new Error('아이템 정보를 찾을 수 없습니다.');
+            }
+
+            if (!itemInfo.is_tradeable) {
+                throw new Error('거래할 수 없는 아이템입니다.');
+            }
+
+            if (side === 'buy') {
+                await this.gameService.assertCanReceive(player, [{ item_id: itemInfo.id, quantity }]);
+            }
+
+            const totalValue = pricePerUnit * quantity;
+            const listingFee = Math.max(MIN_LISTING_FEE, Math.floor(totalValue * LISTING_FEE_RATE));
+            const orderId = uuidv4();
+            const expiresAt = new Date(this.gameService.clock.nowMs() + durationHours * 60 * 60 * 1000);
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            // 등록 수수료 차감
+            const charged = await this.db.get(
+                'UPDATE players SET money = money - ? WHERE id = ? AND money >= ? RETURNING money',
+                [listingFee, player.id, listingFee]
+            );
+            if (!charged) {
+                throw new Error('등록 수수료가 부족합니다.');
+            }
+
+            // 주문 대상 에스크로 보관 (매수: 골드, 매도: 아이템)
+            if (side === 'buy') {
+                await this.escrowService.holdGold(player.id, totalValue, ESCROW_REFERENCE, orderId);
+            } else {
+                await this.escrowService.holdItem(player.id, inventoryId, quantity, ESCROW_REFERENCE, orderId);
+            }
+
+            await this.db.run(`
+                INSERT INTO market_orders (
+                    id, player_id, item_id, order_type, quantity, filled_quantity, price_per_unit, total_value,
+                    status, expires_at, district, location_lat, location_lng, listing_fee, success_fee_rate, created_at
+                ) VALUES (?, ?, ?, ?, ?, 0, ?, ?, 'active', ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                orderId, player.id, itemInfo.id, side, quantity, pricePerUnit, totalValue,
+                expiresAt.toISOString().replace('T', ' ').slice(0, 19), district,
+                player.location_lat, player.location_lng, listingFee, SUCCESS_FEE_RATE,
+                this.gameService.clock.sqlTimestamp()
+            ]);
+
+            const fills = await this.matchOrder(await this.getOrderRow(orderId));
+
+            await this.db.run('COMMIT');
+
+            await this.broadcastFills(itemInfo.id, district, fills);
+            await this.broadcastDepth(itemInfo.id, district);
+
+            return {
+                success: true,
+                data: {
+                    order: this.formatOrder(await this.getOrderRow(orderId)),
+                    fills: fills.map(fill => fill.summary),
+                    listingFee: listingFee
+                }
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // 가격-시간 우선순위 매칭 (체결가는 먼저 등록된 주문의 가격, 트랜잭션 안에서 호출)
+    async matchOrder(order) {
+        const isBuy = order.order_type === 'buy';
+        const counterOrders = await this.db.all(`
+            SELECT * FROM market_orders
+            WHERE item_id = ? AND district = ? AND order_type = ? AND status = 'active'
+              AND player_id != ? AND expires_at > ?
+              AND price_per_unit ${isBuy ? '<=' : '>='} ?
+            ORDER BY price_per_unit ${isBuy ? 'ASC' : 'DESC'}, created_at ASC, rowid ASC
+        `, [
+            order.item_id, order.district, isBuy ? 'sell' : 'buy', order.player_id,
+            this.gameService.clock.sqlTimestamp(), order.price_per_unit
+        ]);
+
+        const fills = [];
+        let remaining = order.quantity - order.filled_quantity;
+
+        for (const counter of counterOrders) {
+            if (remaining <= 0) break;
+
+            const fillQuantity = Math.min(remaining, counter.quantity - counter.filled_quantity);
+            const buyOrder = isBuy ? order : counter;
+            const sellOrder = isBuy ? counter : order;
+
+            // 체결분은 매수자 인벤토리에 새 칸으로 들어감: 받을 수 없으면 새 주문은 남은 수량을 호가창에 남기고,
+            // 대기 중인 매수 주문은 건너뛴다 (배낭을 비우면 다음 체결부터 다시 참여)
+            const buyer = await this.db.get('SELECT * FROM players WHERE id = ?', [buyOrder.player_id]);
+            if (await this.gameService.checkCanReceive(buyer, [{ item_id: order.item_id, quantity: fillQuantity }])) {
+                if (isBuy) break;
+                continue;
+            }
+
+            fills.push(await this.executeFill(buyOrder, sellOrder, fillQuantity, counter.price_per_unit));
+            remaining -= fillQuantity;
+            order.filled_quantity += fillQuantity;
+        }
+
+        return fills;
+    }
+
+    // ✅ 체결 처리 (골드/아이템 인도, 수수료, 거래 기록)
+    async executeFill(buyOrder, sellOrder, quantity, price) {
+        const grossAmount = price * quantity;
+        const successFee = Math.floor(grossAmount * (sellOrder.success_fee_rate ?? SUCCESS_FEE_RATE));
+
+        const [buyerGold] = (await this.escrowService.getHolds(ESCROW_REFERENCE, buyOrder.id))
+            .filter(hold => hold.hold_type === 'gold');
+        const [sellerItem] = (await this.escrowService.getHolds(ESCROW_REFERENCE, sellOrder.id))
+            .filter(hold => hold.hold_type === 'item');
+
+        // 매수자 보관금에서 매도자에게 지급 (수수료 제외), 지정가보다 싸게 체결되면 차액 반환
+        await this.escrowService.transferGold(buyerGold, sellOrder.player_id, grossAmount - successFee);
+        if (successFee > 0) {
+            await this.escrowService.reduceHold(buyerGold, successFee, 'settled');
+        }
+        const priceImprovement = (buyOrder.price_per_unit - price) * quantity;
+        if (priceImprovement > 0) {
+            await this.escrowService.refundGold(buyerGold, priceImprovement);
+        }
+
+        const inventoryId = await this.escrowService.transferItemQuantity(sellerItem, buyOrder.player_id, quantity, {
+            purchasePrice: price
+        });
+
+        for (const order of [buyOrder, sellOrder]) {
+            const filled = await this.db.get(`
+                UPDATE market_orders SET
+                    filled_quantity = filled_quantity + ?,
+                    status = CASE WHEN filled_quantity + ? >= quantity THEN 'filled' ELSE status END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+                RETURNING status
+            `, [quantity, quantity, order.id]);
+
+            // 매수 주문이 모두 체결되면 남은 보관금(반올림 차이 등) 반환
+            if (filled.status === 'filled') {
+                await this.escrowService.releaseHolds(ESCROW_REFERENCE, order.id);
+            }
+        }
+
+        const itemInfo = await this.db.get('SELECT * FROM item_master WHERE id = ?', [sellOrder.item_id]);
+        const tradeId = uuidv4();
+        await this.db.run(`
+            INSERT INTO trades (
+                id, seller_id, buyer_id, item_id, item_name, item_category, item_rarity, quantity,
+                base_price, final_price, market_price, trade_type, trade_method, district, special_conditions, timestamp
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sell', 'order_book', ?, ?, CURRENT_TIMESTAMP)
+        `, [
+            tradeId, sellOrder.player_id, buyOrder.player_id, itemInfo.id, itemInfo.name, itemInfo.category,
+            itemInfo.rarity, quantity, itemInfo.base_price * quantity, grossAmount,
+            await this.gameService.marketService.getTrendPrice(itemInfo.id, sellOrder.district), sellOrder.district,
+            JSON.stringify({ buyOrderId: buyOrder.id, sellOrderId: sellOrder.id, successFee: successFee })
+        ]);
+
+        return {
+            buyerId: buyOrder.player_id,
+            sellerId: sellOrder.player_id,
+            summary: {
+                tradeId: tradeId,
+                buyOrderId: buyOrder.id,
+                sellOrderId: sellOrder.id,
+                itemId: itemInfo.id,
+                district: sellOrder.district,
+                quantity: quantity,
+                price: price,
+                successFee: successFee,
+                inventoryId: inventoryId
+            }
+        };
+    }
+
+    // ✅ 주문 취소 (남은 보관물 반환, 등록 수수료는 환불 없음)
+    async cancelOrder(userId, orderId) {
+        let releaseTransaction = null;
+
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const order = await this.getOrderRow(orderId);
+            if (!order || order.player_id !== player.id || !['buy', 'sell'].includes(order.order_type)) {
+                throw new Error('주문을 찾을 수 없습니다.');
+            }
+
+            if (order.status !== 'active') {
+                throw new Error('이미 종료된 주문입니다.');
+            }
+
+            await this.escrowService.releaseHolds(ESCROW_REFERENCE, order.id);
+            await this.db.run(
+                "UPDATE market_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [order.id]
+            );
+
+            await this.db.run('COMMIT');
+
+            await this.broadcastDepth(order.item_id, order.district);
+
+            return {
+                success: true,
+                data: this.formatOrder(await this.getOrderRow(order.id))
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 만료 주문 정리
+    async expireOrders() {
+        const expired = await this.db.all(
+            "SELECT * FROM market_orders WHERE order_type IN ('buy', 'sell') AND status = 'active' AND expires_at <= ?",
+            [this.gameService.clock.sqlTimestamp()]
+        );
+
+        const books = new Map();
+        for (const order of expired) {
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                await this.escrowService.releaseHolds(ESCROW_REFERENCE, order.id);
+                await this.db.run(
+                    "UPDATE market_orders SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'",
+                    [order.id]
+                );
+                await this.db.run('COMMIT');
+                books.set(`${order.item_id}:${order.district}`, order);
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                console.error(`주문 만료 처리 오류 (${order.id}):`, error);
+            } finally {
+                releaseTransaction();
+            }
+        }
+
+        for (const order of books.values()) {
+            await this.broadcastDepth(order.item_id, order.district);
+        }
+
+        return expired.length;
+    }
+
+    // ✅ 주문장 호가 (가격별 잔량 합계)
+    async getOrderBook(itemId, district, depth = DEFAULT_DEPTH) {
+        const levels = await this.db.all(`
+            SELECT order_type, price_per_unit, SUM(quantity - filled_quantity) as quantity, COUNT(*) as orders
+            FROM market_orders
+            WHERE item_id = ? AND district = ? AND order_type IN ('buy', 'sell') AND status = 'active' AND expires_at > ?
+            GROUP BY order_type, price_per_unit
+        `, [itemId, district, this.gameService.clock.sqlTimestamp()]);
+
+        const toLevel = level => ({ price: level.price_per_unit, quantity: level.quantity, orders: level.orders });
+
+        return {
+            itemId: itemId,
+            district: district,
+            bids: levels.filter(level => level.order_type === 'buy')
+                .sort((a, b) => b.price_per_unit - a.price_per_unit).slice(0, depth).map(toLevel),
+            asks: levels.filter(level => level.order_type === 'sell')
+                .sort((a, b) => a.price_per_unit - b.price_per_unit).slice(0, depth).map(toLevel)
+        };
+    }
+
+    async getMyOrders(userId) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const orders = await this.db.all(`
+                SELECT * FROM market_orders
+                WHERE player_id = ? AND order_type IN ('buy', 'sell')
+                ORDER BY created_at DESC
+                LIMIT 50
+            `, [player.id]);
+
+            return {
+                success: true,
+                data: orders.map(order => this.formatOrder(order))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async broadcastFills(itemId, district, fills) {
+        try {
+            for (const fill of fills) {
+                this.publish(OrderBookService.roomFor(itemId, district), 'orderFilled', fill.summary);
+
+                for (const playerId of [fill.buyerId, fill.sellerId]) {
+                    const player = await this.db.get('SELECT user_id FROM players WHERE id = ?', [playerId]);
+                    if (player) {
+                        this.notify(player.user_id, 'orderFilled', fill.summary);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('체결 알림 오류:', error);
+        }
+    }
+
+    async broadcastDepth(itemId, district) {
+        try {
+            const book = await this.getOrderBook(itemId, district);
+            this.publish(OrderBookService.roomFor(itemId, district), 'orderBookDepth', book);
+        } catch (error) {
+            console.error('주문장 알림 오류:', error);
+        }
+    }
+
+    async getOrderRow(orderId) {
+        return await this.db.get('SELECT * FROM market_orders WHERE id = ?', [orderId]);
+    }
+
+    formatOrder(order) {
+        return {
+            id: order.id,
+            side: order.order_type,
+            itemId: order.item_id,
+            district: order.district,
+            quantity: order.quantity,
+            filledQuantity: order.filled_quantity,
+            remainingQuantity: order.quantity - order.filled_quantity,
+            pricePerUnit: order.price_per_unit,
+            totalValue: order.total_value,
+            listingFee: order.listing_fee,
+            successFeeRate: order.success_fee_rate,
+            status: order.status,
+            expiresAt: order.expires_at,
+            createdAt: order.created_at
+        };
+    }
+}
+
+export default OrderBookService;
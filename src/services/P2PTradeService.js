@@ -0,0 +1,463 @@
+// 📁 src/services/P2PTradeService.js - 플레이어 간 직접 거래 (에스크로 정산)
+// 제안자의 골드/아이템은 제안 시점에 에스크로로 보관되고, 상대가 수락하면 한 트랜잭션으로 맞교환한다
+import { v4 as uuidv4 } from 'uuid';
+import EscrowService from './EscrowService.js';
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 거래 가능 거리 (km)
+const P2P_TRADE_RADIUS_KM = 0.1;
+
+// 제안 유효 시간 (분)
+const OFFER_TIMEOUT_MINUTES = 10;
+
+// 한쪽이 내놓을 수 있는 최대 아이템 종류 수
+const MAX_ITEMS_PER_SIDE = 10;
+
+const ESCROW_REFERENCE = 'p2p_trade';
+
+class P2PTradeService {
+    // options.notify(userId, event, payload) 로 실시간 알림 전송 (Socket.IO)
+    constructor(database, gameService, options = {}) {
+        this.db = database;
+        this.gameService = gameService;
+        this.escrowService = new EscrowService(database);
+        this.notify = options.notify || (() => {});
+    }
+
+    // ✅ 거래 제안 (제안자 몫은 즉시 에스크로 보관)
+    async createOffer(userId, { recipientPlayerId, offerGold = 0, offerItems = [], requestGold = 0, requestItems = [], message = null }) {
+        let releaseTransaction = null;
+
+        try {
+            this.validateTerms(offerGold, offerItems, requestGold, requestItems);
+
+            const proposer = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!proposer) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            const recipient = await this.db.get('SELECT * FROM players WHERE id = ?', [recipientPlayerId]);
+            if (!recipient) {
+                throw new Error('거래 상대를 찾을 수 없습니다.');
+            }
+
+            if (recipient.id === proposer.id) {
+                throw new Error('자기 자신과는 거래할 수 없습니다.');
+            }
+
+            this.assertNearby(proposer, recipient);
+
+            // 상대에게 요청한 아이템은 미리 확인만 (보관은 수락 시점)
+            await this.loadTradeableItems(recipient.id, requestItems);
+
+            const offerId = uuidv4();
+            const expiresAt = new Date(this.gameService.clock.nowMs() + OFFER_TIMEOUT_MINUTES * 60 * 1000);
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const proposerItems = await this.holdItems(proposer.id, offerItems, offerId);
+            if (offerGold > 0) {
+                await this.escrowService.holdGold(proposer.id, offerGold, ESCROW_REFERENCE, offerId);
+            }
+
+            await this.db.run(`
+                INSERT INTO p2p_trade_offers (
+                    id, proposer_id, recipient_id, proposer_gold, recipient_gold, proposer_items,
+                    recipient_items, proposer_confirmed, message, location_lat, location_lng, expires_at, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?)
+            `, [
+                offerId, proposer.id, recipient.id, offerGold, requestGold, JSON.stringify(proposerItems),
+                JSON.stringify(requestItems), message, proposer.location_lat, proposer.location_lng,
+                expiresAt.toISOString().replace('T', ' ').slice(0, 19), this.gameService.clock.sqlTimestamp()
+            ]);
+
+            await this.db.run('COMMIT');
+
+            const offer = this.formatOffer(await this.getOfferRow(offerId));
+            this.notify(recipient.user_id, 'p2pTradeOffer', offer);
+
+            return {
+                success: true,
+                data: offer
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 거래 수락 (상대 몫 보관 후 즉시 맞교환 정산)
+    async acceptOffer(userId, offerId) {
+        let releaseTransaction = null;
+
+        try {
+            const recipient = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!recipient) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const offer = await this.getPendingOffer(offerId);
+            if (offer.recipient_id !== recipient.id) {
+                throw new Error('받은 거래 제안만 수락할 수 있습니다.');
+            }
+
+            const proposer = await this.db.get('SELECT * FROM players WHERE id = ?', [offer.proposer_id]);
+            this.assertNearby(proposer, recipient);
+
+            const recipientItems = await this.holdItems(recipient.id, JSON.parse(offer.recipient_items || '[]'), offer.id);
+            if (offer.recipient_gold > 0) {
+                await this.escrowService.holdGold(recipient.id, offer.recipient_gold, ESCROW_REFERENCE, offer.id);
+            }
+
+            const tradeIds = await this.settle(offer, proposer, recipient);
+
+            await this.db.run(`
+                UPDATE p2p_trade_offers SET
+                    recipient_items = ?, recipient_confirmed = 1, status = 'completed',
+                    completed_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [JSON.stringify(recipientItems), this.gameService.clock.sqlTimestamp(), offer.id]);
+
+            await this.db.run('COMMIT');
+
+            const completed = { ...this.formatOffer(await this.getOfferRow(offer.id)), tradeIds: tradeIds };
+            this.notify(proposer.user_id, 'p2pTradeCompleted', completed);
+            this.notify(recipient.user_id, 'p2pTradeCompleted', completed);
+
+            return {
+                success: true,
+                data: completed
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 거절(받은 사람) / 취소(제안한 사람) - 보관물 반환
+    async declineOffer(userId, offerId) {
+        return await this.closeOffer(userId, offerId, 'declined');
+    }
+
+    async cancelOffer(userId, offerId) {
+        return await this.closeOffer(userId, offerId, 'cancelled');
+    }
+
+    async closeOffer(userId, offerId, status) {
+        let releaseTransaction = null;
+
+        try {
+            const player = await this.db.get('SELECT * FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            releaseTransaction = await acquireTransactionLock(this.db);
+            await this.db.run('BEGIN TRANSACTION');
+
+            const offer = await this.getPendingOffer(offerId);
+            const allowedPlayerId = status === 'declined' ? offer.recipient_id : offer.proposer_id;
+            if (player.id !== allowedPlayerId) {
+                throw new Error(status === 'declined' ? '받은 거래 제안만 거절할 수 있습니다.' : '보낸 거래 제안만 취소할 수 있습니다.');
+            }
+
+            await this.escrowService.releaseHolds(ESCROW_REFERENCE, offer.id);
+            await this.db.run(
+                'UPDATE p2p_trade_offers SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [status, offer.id]
+            );
+
+            await this.db.run('COMMIT');
+
+            const closed = this.formatOffer(await this.getOfferRow(offer.id));
+            const otherPlayerId = player.id === offer.proposer_id ? offer.recipient_id : offer.proposer_id;
+            const otherPlayer = await this.db.get('SELECT user_id FROM players WHERE id = ?', [otherPlayerId]);
+            if (otherPlayer) {
+                this.notify(otherPlayer.user_id, 'p2pTradeClosed', closed);
+            }
+
+            return {
+                success: true,
+                data: closed
+            };
+        } catch (error) {
+            if (releaseTransaction) {
+                await this.db.run('ROLLBACK');
+            }
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            releaseTransaction?.();
+        }
+    }
+
+    // ✅ 내 거래 제안 목록 (보낸/받은 대기 중 제안)
+    async getOffers(userId) {
+        try {
+            const player = await this.db.get('SELECT id FROM players WHERE user_id = ?', [userId]);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+
+            await this.expireOffers();
+
+            const offers = await this.db.all(`
+                SELECT * FROM p2p_trade_offers
+                WHERE (proposer_id = ? OR recipient_id = ?) AND status = 'pending'
+                ORDER BY created_at DESC
+            `, [player.id, player.id]);
+
+            return {
+                success: true,
+                data: {
+                    outgoing: offers.filter(offer => offer.proposer_id === player.id).map(offer => this.formatOffer(offer)),
+                    incoming: offers.filter(offer => offer.recipient_id === player.id).map(offer => this.formatOffer(offer))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ✅ 만료된 제안 정리 (보관물 반환)
+    async expireOffers() {
+        const expired = await this.db.all(
+            "SELECT * FROM p2p_trade_offers WHERE status = 'pending' AND expires_at <= ?",
+            [this.gameService.clock.sqlTimestamp()]
+        );
+
+        for (const offer of expired) {
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                await this.escrowService.releaseHolds(ESCROW_REFERENCE, offer.id);
+                await this.db.run(
+                    "UPDATE p2p_trade_offers SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+                    [offer.id]
+                );
+                await this.db.run('COMMIT');
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                console.error(`거래 제안 만료 처리 오류 (${offer.id}):`, error);
+            } finally {
+                releaseTransaction();
+            }
+        }
+
+        return expired.length;
+    }
+
+    // 정산: 양쪽 보관물을 서로에게 인도하고 아이템별 거래 기록 작성 (트랜잭션 안에서 호출)
+    async settle(offer, proposer, recipient) {
+        const holds = await this.escrowService.getHolds(ESCROW_REFERENCE, offer.id);
+        const proposerHolds = holds.filter(hold => hold.player_id === proposer.id);
+        const recipientHolds = holds.filter(hold => hold.player_id === recipient.id);
+
+        await this.assertCanReceive(recipient, recipientHolds, proposerHolds);
+        await this.assertCanReceive(proposer, proposerHolds, recipientHolds);
+
+        // 아이템을 내준 쪽이 받는 골드를 아이템 기준가 비율로 나눠 거래 가격으로 기록
+        const tradeIds = [
+            ...await this.transferSide(offer, proposerHolds, proposer, recipient, offer.recipient_gold),
+            ...await this.transferSide(offer, recipientHolds, recipient, proposer, offer.proposer_gold)
+        ];
+
+        return tradeIds;
+    }
+
+    async transferSide(offer, holds, giver, receiver, goldReceived) {
+        const itemHolds = holds.filter(hold => hold.hold_type === 'item');
+        const items = [];
+        for (const hold of itemHolds) {
+            const itemInfo = await this.db.get('SELECT * FROM item_master WHERE id = ?', [hold.item_id]);
+            items.push({ hold, itemInfo, value: itemInfo.base_price * hold.quantity });
+        }
+
+        const totalValue = items.reduce((sum, item) => sum + item.value, 0);
+        let allocated = 0;
+        const tradeIds = [];
+
+        for (const [index, { hold, itemInfo, value }] of items.entries()) {
+            const finalPrice = index === items.length - 1
+                ? goldReceived - allocated
+                : Math.floor(goldReceived * (totalValue > 0 ? value / totalValue : 1 / items.length));
+            allocated += finalPrice;
+
+            await this.escrowService.transferHold(hold, receiver.id, {
+                purchasePrice: Math.floor(finalPrice / hold.quantity)
+            });
+
+            const tradeId = uuidv4();
+            await this.db.run(`
+                INSERT INTO trades (
+                    id, seller_id, buyer_id, item_id, item_name, item_category, item_rarity, quantity,
+                    base_price, final_price, trade_type, trade_method, location_lat, location_lng, trade_notes, timestamp
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sell', 'p2p', ?, ?, ?, CURRENT_TIMESTAMP)
+            `, [
+                tradeId, giver.id, receiver.id, itemInfo.id, itemInfo.name, itemInfo.category, itemInfo.rarity,
+                hold.quantity, value, finalPrice, offer.location_lat, offer.location_lng, `p2p_offer:${offer.id}`
+            ]);
+            tradeIds.push(tradeId);
+        }
+
+        // 골드만 오가는 쪽 (아이템 없이 골드만 내놓은 경우)
+        for (const hold of holds.filter(hold => hold.hold_type === 'gold')) {
+            await this.escrowService.transferHold(hold, receiver.id);
+        }
+
+        return tradeIds;
+    }
+
+    // 받는 쪽의 소지 무게/인벤토리 칸 확인 (내주는 아이템은 빠진 것으로 계산)
+    async assertCanReceive(player, outgoingHolds, incomingHolds) {
+        await this.gameService.assertCanReceive(
+            player,
+            incomingHolds.filter(hold => hold.hold_type === 'item'),
+            outgoingHolds.filter(hold => hold.hold_type === 'item')
+        );
+    }
+
+    // 아이템 목록 보관 후 보관된 행 기준 목록 반환
+    async holdItems(playerId, items, offerId) {
+        const rows = await this.loadTradeableItems(playerId, items);
+        const heldItems = [];
+
+        for (const { item, row } of rows) {
+            const { inventoryId } = await this.escrowService.holdItem(playerId, row.id, item.quantity, ESCROW_REFERENCE, offerId);
+            heldItems.push({ inventoryId: inventoryId, itemId: row.item_id, name: row.name, quantity: item.quantity });
+        }
+
+        return heldItems;
+    }
+
+    // 보유/거래 가능 여부 확인
+    async loadTradeableItems(playerId, items) {
+        const rows = [];
+
+        for (const item of items) {
+            const row = await this.db.get(`
+                SELECT i.*, im.name, im.is_tradeable
+                FROM inventory i
+                JOIN item_master im ON i.item_id = im.id
+                WHERE i.id = ? AND i.player_id = ?
+            `, [item.inventoryId, playerId]);
+
+            if (!row) {
+                throw new Error('거래할 아이템을 인벤토리에서 찾을 수 없습니다.');
+            }
+
+            if (!row.is_tradeable) {
+                throw new Error(`${row.name}은(는) 거래할 수 없는 아이템입니다.`);
+            }
+
+            if (row.is_locked || row.is_equipped) {
+                throw new Error(`${row.name}은(는) 잠겨 있거나 장착 중입니다.`);
+            }
+
+            if (row.quantity < item.quantity) {
+                throw new Error(`${row.name}의 보유 수량이 부족합니다.`);
+            }
+
+            rows.push({ item, row });
+        }
+
+        return rows;
+    }
+
+    validateTerms(offerGold, offerItems, requestGold, requestItems) {
+        const isValidGold = (gold) => Number.isInteger(gold) && gold >= 0;
+        const isValidItems = (items) => Array.isArray(items) &&
+            items.length <= MAX_ITEMS_PER_SIDE &&
+            items.every(item => typeof item?.inventoryId === 'string' && Number.isInteger(item.quantity) && item.quantity > 0) &&
+            new Set(items.map(item => item.inventoryId)).size === items.length;
+
+        if (!isValidGold(offerGold) || !isValidGold(requestGold)) {
+            throw new Error('골드 금액이 올바르지 않습니다.');
+        }
+
+        if (!isValidItems(offerItems) || !isValidItems(requestItems)) {
+            throw new Error('거래 아이템 목록이 올바르지 않습니다.');
+        }
+
+        if (offerItems.length === 0 && requestItems.length === 0) {
+            throw new Error('최소 한 개 이상의 아이템이 포함되어야 합니다.');
+        }
+    }
+
+    assertNearby(playerA, playerB) {
+        const distance = this.gameService.calculateDistance(
+            playerA.location_lat, playerA.location_lng,
+            playerB.location_lat, playerB.location_lng
+        );
+
+        if (distance > P2P_TRADE_RADIUS_KM) {
+            throw new Error('거래 상대와 너무 멀리 떨어져 있습니다.');
+        }
+    }
+
+    async getOfferRow(offerId) {
+        return await this.db.get('SELECT * FROM p2p_trade_offers WHERE id = ?', [offerId]);
+    }
+
+    async getPendingOffer(offerId) {
+        const offer = await this.getOfferRow(offerId);
+
+        if (!offer) {
+            throw new Error('거래 제안을 찾을 수 없습니다.');
+        }
+
+        if (offer.status !== 'pending') {
+            throw new Error('이미 종료된 거래 제안입니다.');
+        }
+
+        if (offer.expires_at <= this.gameService.clock.sqlTimestamp()) {
+            throw new Error('거래 제안이 만료되었습니다.');
+        }
+
+        return offer;
+    }
+
+    formatOffer(offer) {
+        return {
+            id: offer.id,
+            proposerId: offer.proposer_id,
+            recipientId: offer.recipient_id,
+            proposerGold: offer.proposer_gold,
+            recipientGold: offer.recipient_gold,
+            proposerItems: JSON.parse(offer.proposer_items || '[]'),
+            recipientItems: JSON.parse(offer.recipient_items || '[]'),
+            proposerConfirmed: !!offer.proposer_confirmed,
+            recipientConfirmed: !!offer.recipient_confirmed,
+            message: offer.message,
+            status: offer.status,
+            expiresAt: offer.expires_at,
+            createdAt: offer.created_at,
+            completedAt: offer.completed_at
+        };
+    }
+}
+
+export default P2PTradeService;
@@ -0,0 +1,72 @@
+// 📁 src/services/PriceQuoteService.js - 서명된 가격 견적 발급/검증
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+
+// 견적 유효 시간 (초)
+const QUOTE_TTL_SECONDS = 60;
+
+class PriceQuoteService {
+    constructor(secret = process.env.JWT_SECRET) {
+        if (!secret) {
+            throw new Error('JWT_SECRET 환경변수가 설정되지 않았습니다.');
+        }
+
+        // 인증 토큰과 견적 토큰이 서로 대체되지 않도록 별도 키 사용
+        this.secret = `${secret}:price-quote`;
+        this.usedQuotes = new Map(); // ✅ 견적 재사용 방지 (quoteId -> 만료 시각)
+    }
+
+    // ✅ 견적 발급 (unitPrice 는 개인 할인/가산까지 반영된 실제 거래 단가, listPrice 는 반영 전 가격)
+    issueQuote({ playerId, merchantId, itemId, inventoryId = null, side, quantity, unitPrice, listPrice = unitPrice, bonuses = {} }) {
+        const quoteId = uuidv4();
+        const token = jwt.sign(
+            { playerId, merchantId, itemId, inventoryId, side, quantity, unitPrice, listPrice, bonuses },
+            this.secret,
+            { expiresIn: QUOTE_TTL_SECONDS, jwtid: quoteId }
+        );
+
+        return {
+            quoteId: quoteId,
+            quoteToken: token,
+            expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString()
+        };
+    }
+
+    // ✅ 견적 검증 (만료/변조/조건 불일치 시 예외)
+    verifyQuote(token, expected) {
+        let quote;
+        try {
+            quote = jwt.verify(token, this.secret);
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('가격 견적이 만료되었습니다. 다시 조회해주세요.');
+            }
+            throw new Error('유효하지 않은 가격 견적입니다.');
+        }
+
+        for (const [key, value] of Object.entries(expected)) {
+            if (quote[key] !== value) {
+                throw new Error('가격 견적이 거래 조건과 일치하지 않습니다.');
+            }
+        }
+
+        if (this.usedQuotes.has(quote.jti)) {
+            throw new Error('이미 사용된 가격 견적입니다.');
+        }
+
+        return quote;
+    }
+
+    // 거래가 성사된 견적은 만료 시각까지 재사용 금지
+    markUsed(quote) {
+        const now = Date.now();
+        for (const [quoteId, expiresAt] of this.usedQuotes) {
+            if (expiresAt <= now) {
+                this.usedQuotes.delete(quoteId);
+            }
+        }
+        this.usedQuotes.set(quote.jti, quote.exp * 1000);
+    }
+}
+
+export default PriceQuoteService;
@@ -0,0 +1,66 @@
+// 📁 src/services/RandomService.js - 시드 기반 난수 서비스
+// 가격 변동과 각종 확률 효과를 재현/감사 가능하게 만들기 위해 Math.random 대신 사용
+
+// 문자열 → 32비트 해시 (FNV-1a)
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// 시드 → [0, 1) 난수 생성기 (mulberry32)
+const createGenerator = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+class RandomService {
+    constructor({ seed = process.env.GAME_SEED || Date.now(), clock, priceTickMinutes = parseInt(process.env.PRICE_TICK_MINUTES) || 15 } = {}) {
+        this.seed = String(seed);
+        this.clock = clock;
+        this.priceTickMinutes = priceTickMinutes;
+        this.generator = createGenerator(hashString(this.seed));
+    }
+
+    // 순차 난수 [0, 1) (시드가 같으면 호출 순서대로 같은 값)
+    next() {
+        return this.generator();
+    }
+
+    // [min, max] 정수
+    int(min, max, generator = () => this.next()) {
+        return min + Math.floor(generator() * (max - min + 1));
+    }
+
+    // [min, max) 실수
+    float(min, max, generator = () => this.next()) {
+        return min + generator() * (max - min);
+    }
+
+    // ✅ 키별 독립 난수 생성기 (같은 시드 + 같은 키 → 같은 수열)
+    forKey(...parts) {
+        return createGenerator(hashString([this.seed, ...parts].join(':')));
+    }
+
+    // ✅ 가격 틱 단위 난수 (같은 틱 안에서 같은 키는 항상 같은 값)
+    forPriceTick(key) {
+        return this.forKey('price', this.clock.getTick(this.priceTickMinutes), key);
+    }
+
+    // 시드 재설정 (리플레이)
+    reseed(seed) {
+        this.seed = String(seed);
+        this.generator = createGenerator(hashString(this.seed));
+    }
+}
+
+export default RandomService;
@@ -0,0 +1,136 @@
+// 📁 src/services/RestockService.js - 상인 재고 보충 시스템
+// 상인 유형별 기본 정책 + 아이템별 설정(max_stock, restock_amount, restock_interval_minutes)
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// 상인 유형별 보충 정책 (window: 보충이 일어나는 시간대, 시작 > 종료면 자정을 넘김)
+const RESTOCK_PROFILES = {
+    retail: { intervalMinutes: 30, amount: 2, chance: 1.0, defaultMaxStock: 10, window: { startHour: 8, endHour: 22 } },
+    artisan: { intervalMinutes: 120, amount: 1, chance: 0.8, defaultMaxStock: 5, window: { startHour: 10, endHour: 20 } },
+    mystic: { intervalMinutes: 240, amount: 1, chance: 0.6, defaultMaxStock: 5, window: { startHour: 20, endHour: 4 } },
+    collector: { intervalMinutes: 1440, amount: 1, chance: 0.3, defaultMaxStock: 2, window: { startHour: 0, endHour: 24 } }
+};
+const DEFAULT_PROFILE = RESTOCK_PROFILES.retail;
+
+// 한 번에 따라잡는 최대 보충 횟수 (서버가 오래 꺼져 있던 경우)
+const MAX_CATCH_UP_INTERVALS = 24;
+
+class RestockService {
+    constructor(database, { clock, random }) {
+        this.db = database;
+        this.clock = clock;
+        this.random = random;
+    }
+
+    getProfile(merchantType) {
+        return RESTOCK_PROFILES[merchantType] || DEFAULT_PROFILE;
+    }
+
+    isWithinWindow(window, hour) {
+        if (window.startHour <= window.endHour) {
+            return hour >= window.startHour && hour < window.endHour;
+        }
+        return hour >= window.startHour || hour < window.endHour;
+    }
+
+    // ✅ 전체 상인 재고 보충 (변경된 상인 목록 반환)
+    async runRestockCycle() {
+        const merchants = await this.db.all(
+            'SELECT id, type, district FROM merchants WHERE is_active = 1'
+        );
+
+        const changes = [];
+        for (const merchant of merchants) {
+            // 상인 단위로 트랜잭션 (구매 트랜잭션과 섞이지 않도록 락을 잡음)
+            const releaseTransaction = await acquireTransactionLock(this.db);
+            try {
+                await this.db.run('BEGIN TRANSACTION');
+                const change = await this.restockMerchant(merchant);
+                await this.db.run('COMMIT');
+                if (change) changes.push(change);
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                console.error(`상인 재고 보충 오류 (${merchant.id}):`, error);
+            } finally {
+                releaseTransaction();
+            }
+        }
+
+        return changes;
+    }
+
+    // 트랜잭션 안에서 호출
+    async restockMerchant(merchant) {
+        const profile = this.getProfile(merchant.type);
+        if (!this.isWithinWindow(profile.window, this.clock.getHours())) {
+            return null;
+        }
+
+        const nowMs = this.clock.nowMs();
+        const stockRows = await this.db.all(
+            'SELECT * FROM merchant_stock WHERE merchant_id = ? AND special_item_id IS NULL',
+            [merchant.id]
+        );
+        const updatedItems = [];
+
+        for (const row of stockRows) {
+            const intervalMs = (row.restock_interval_minutes || profile.intervalMinutes) * 60 * 1000;
+            const lastRestockedMs = row.last_restocked_at
+                ? Date.parse(row.last_restocked_at.replace(' ', 'T') + 'Z')
+                : nowMs;
+            const intervals = Math.floor(Math.max(0, nowMs - lastRestockedMs) / intervalMs);
+            const maxStock = row.max_stock ?? profile.defaultMaxStock;
+
+            if (intervals < 1) continue;
+
+            // 보충 주기마다 확률 판정 (같은 시드/시각이면 같은 결과)
+            const roll = this.random.forKey('restock', merchant.id, row.item_id, lastRestockedMs);
+            let added = 0;
+            if (row.stock < maxStock) {
+                for (let i = 0; i < Math.min(intervals, MAX_CATCH_UP_INTERVALS); i++) {
+                    if (roll() < profile.chance) {
+                        added += row.restock_amount || profile.amount;
+                    }
+                }
+            }
+
+            // 재고가 가득 찬 동안은 보충 시간이 쌓이지 않고, 그 외에는 남은 경과 시간을 다음 주기로 이월
+            const restockedAtMs = row.stock >= maxStock ? nowMs : lastRestockedMs + intervals * intervalMs;
+            const restockedAt = new Date(restockedAtMs).toISOString().replace('T', ' ').slice(0, 19);
+
+            // 구매와 동시에 일어나도 차감이 유실되지 않도록 현재 값 기준으로 증가
+            const updated = await this.db.get(`
+                UPDATE merchant_stock SET
+                    stock = MAX(stock, MIN(?, stock + ?)),
+                    last_restocked_at = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+                RETURNING stock
+            `, [maxStock, added, restockedAt, row.id]);
+
+            if (updated && updated.stock !== row.stock) {
+                updatedItems.push({
+                    itemId: row.item_id,
+                    name: row.item_name,
+                    stock: updated.stock,
+                    maxStock: maxStock
+                });
+            }
+        }
+
+        if (updatedItems.length === 0) return null;
+
+        await this.db.run(
+            'UPDATE merchants SET last_restocked = ? WHERE id = ?',
+            [this.clock.sqlTimestamp(), merchant.id]
+        );
+
+        return {
+            merchantId: merchant.id,
+            district: merchant.district,
+            items: updatedItems,
+            restockedAt: this.clock.now().toISOString()
+        };
+    }
+}
+
+export default RestockService;
@@ -0,0 +1,199 @@
+// 📁 src/services/SpecialSpawnService.js - 한정/이벤트 아이템 출현
+// special_items 의 spawn_condition 을 평가해 조건이 맞는 상인 재고(merchant_stock)에 일정 시간 동안 끼워 넣는다.
+// 세계 조건(판매 기간, 시간대, 구역, 상인 유형, 날씨)은 출현 여부를, 플레이어 조건(레벨, 신뢰도)은 구매 자격을 정한다
+import { acquireTransactionLock } from '../database/transactionLock.js';
+
+// spawn_condition 예시:
+// { "time_window": { "start_hour": 22, "end_hour": 3 }, "districts": ["종로구"], "merchant_types": ["mystic"],
+//   "weather": ["rain"], "min_level": 5, "min_reputation": 100, "chance": 0.5, "duration_minutes": 90, "stock": 1 }
+
+// 출현 판정 주기 (분) - 같은 주기 안에서는 상인별로 한 번만 판정
+// 출현 시간(duration_minutes)은 최소 한 주기로 맞춘다: 주기 안에서 만료/삭제되면 같은 판정으로 다시 출현하기 때문
+const SPAWN_TICK_MINUTES = 30;
+
+const DEFAULT_DURATION_MINUTES = 60;
+const DEFAULT_SPAWN_STOCK = 1;
+const DEFAULT_SPAWN_CHANCE = 1.0;
+
+// 구역 날씨 (1시간 단위로 바뀌고, 같은 시드/시각이면 같은 날씨)
+const WEATHER_TYPES = [
+    { type: 'clear', weight: 0.5 },
+    { type: 'cloudy', weight: 0.25 },
+    { type: 'rain', weight: 0.2 },
+    { type: 'snow', weight: 0.05 }
+];
+const WEATHER_TICK_MINUTES = 60;
+
+const toSqlTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+class SpecialSpawnService {
+    constructor(database, { clock, random }) {
+        this.db = database;
+        this.clock = clock;
+        this.random = random;
+    }
+
+    // ✅ 구역 날씨
+    getWeather(district) {
+        const roll = this.random.forKey('weather', district, this.clock.getTick(WEATHER_TICK_MINUTES))();
+
+        let cumulative = 0;
+        for (const weather of WEATHER_TYPES) {
+            cumulative += weather.weight;
+            if (roll < cumulative) return weather.type;
+        }
+        return WEATHER_TYPES[0].type;
+    }
+
+    isWithinWindow(window, hour) {
+        if (!window) return true;
+        if (window.start_hour <= window.end_hour) {
+            return hour >= window.start_hour && hour < window.end_hour;
+        }
+        return hour >= window.start_hour || hour < window.end_hour;
+    }
+
+    // 판매 기간/시간대 (상인과 무관한 조건)
+    isAvailableNow(special, condition) {
+        const now = this.clock.sqlTimestamp();
+        if (special.availability_start && now < special.availability_start) return false;
+        if (special.availability_end && now >= special.availability_end) return false;
+
+        return this.isWithinWindow(condition.time_window, this.clock.getHours());
+    }
+
+    // 상인별 조건 (구역, 상인 유형, 구역 날씨)
+    matchesMerchant(condition, merchant) {
+        if (condition.districts && !condition.districts.includes(merchant.district)) return false;
+        if (condition.merchant_types && !condition.merchant_types.includes(merchant.type)) return false;
+        if (condition.weather && !condition.weather.includes(this.getWeather(merchant.district))) return false;
+        return true;
+    }
+
+    // ✅ 구매 자격 (레벨, 신뢰도) - 통과하면 null, 아니면 사유
+    checkPlayerCondition(condition, player, level) {
+        if (condition.min_level && level < condition.min_level) {
+            return `레벨 ${condition.min_level} 이상만 구매할 수 있는 한정 아이템입니다.`;
+        }
+        if (condition.min_reputation && player.trust_points < condition.min_reputation) {
+            return `신뢰도 ${condition.min_reputation} 이상만 구매할 수 있는 한정 아이템입니다.`;
+        }
+        return null;
+    }
+
+    // ✅ 출현 주기 실행: 만료된 출현 정리 후 새 출현 판정 (상인별 변경 목록 반환)
+    // 반환: [{ merchantId, district, spawned: [...], expired: [...] }]
+    async runSpawnCycle() {
+        const merchants = await this.db.all(
+            'SELECT id, name, type, district FROM merchants WHERE is_active = 1'
+        );
+        const changes = new Map(merchants.map(merchant => [merchant.id, {
+            merchantId: merchant.id,
+            district: merchant.district,
+            spawned: [],
+            expired: []
+        }]));
+
+        const releaseTransaction = await acquireTransactionLock(this.db);
+        try {
+            await this.db.run('BEGIN TRANSACTION');
+
+            const expired = await this.db.all(`
+                DELETE FROM merchant_stock
+                WHERE special_item_id IS NOT NULL AND expires_at <= ?
+                RETURNING merchant_id, item_id, item_name, special_item_id
+            `, [this.clock.sqlTimestamp()]);
+            for (const row of expired) {
+                changes.get(row.merchant_id)?.expired.push({
+                    specialItemId: row.special_item_id,
+                    itemId: row.item_id,
+                    name: row.item_name
+                });
+            }
+
+            const specials = await this.db.all(`
+                SELECT s.*, im.name, im.base_price
+                FROM special_items s
+                JOIN item_master im ON s.base_item_id = im.id
+                WHERE s.is_active = 1
+            `);
+            const tick = this.clock.getTick(SPAWN_TICK_MINUTES);
+
+            for (const special of specials) {
+                const condition = special.spawn_condition ? JSON.parse(special.spawn_condition) : {};
+                if (!this.isAvailableNow(special, condition)) continue;
+
+                for (const merchant of merchants) {
+                    if (!this.matchesMerchant(condition, merchant)) continue;
+
+                    const roll = this.random.forKey('special-spawn', special.id, merchant.id, tick)();
+                    if (roll >= (condition.chance ?? DEFAULT_SPAWN_CHANCE)) continue;
+
+                    const spawned = await this.spawnAt(special, condition, merchant);
+                    if (spawned) {
+                        changes.get(merchant.id).spawned.push(spawned);
+                    }
+                }
+            }
+
+            await this.db.run('COMMIT');
+        } catch (error) {
+            await this.db.run('ROLLBACK');
+            throw error;
+        } finally {
+            releaseTransaction();
+        }
+
+        return [...changes.values()].filter(change => change.spawned.length > 0 || change.expired.length > 0);
+    }
+
+    // 상인 재고에 특별 아이템 추가 (같은 아이템을 이미 파는 상인은 건너뜀, 트랜잭션 안에서 호출)
+    async spawnAt(special, condition, merchant) {
+        const specialProperties = special.special_properties ? JSON.parse(special.special_properties) : {};
+        const name = specialProperties.display_name || special.name;
+        const stock = condition.stock || DEFAULT_SPAWN_STOCK;
+        const price = Math.round(special.base_price * (special.rarity_modifier || 1));
+        const durationMinutes = Math.max(condition.duration_minutes || DEFAULT_DURATION_MINUTES, SPAWN_TICK_MINUTES);
+        const expiresAtMs = this.clock.nowMs() + durationMinutes * 60 * 1000;
+
+        const inserted = await this.db.get(`
+            INSERT INTO merchant_stock (
+                id, merchant_id, item_id, item_name, stock, max_stock, price_override,
+                special_item_id, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT DO NOTHING
+            RETURNING id
+        `, [
+            `${merchant.id}_${special.id}`, merchant.id, special.base_item_id, name, stock, stock, price,
+            special.id, toSqlTimestamp(expiresAtMs)
+        ]);
+        if (!inserted) return null;
+
+        return {
+            specialItemId: special.id,
+            specialType: special.special_type,
+            itemId: special.base_item_id,
+            name: name,
+            price: price,
+            stock: stock,
+            expiresAt: new Date(expiresAtMs).toISOString(),
+            requirements: {
+                minLevel: condition.min_level || null,
+                minReputation: condition.min_reputation || null
+            },
+            properties: specialProperties
+        };
+    }
+
+    async getSpecialItem(specialItemId) {
+        const special = await this.db.get('SELECT * FROM special_items WHERE id = ?', [specialItemId]);
+        if (!special) return null;
+
+        return {
+            ...special,
+            condition: special.spawn_condition ? JSON.parse(special.spawn_condition) : {}
+        };
+    }
+}
+
+export default SpecialSpawnService;